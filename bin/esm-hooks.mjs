@@ -0,0 +1,14 @@
+/**
+ * Node module hooks for the CLI
+ * The app sources are ES modules with a .js extension but the package is not
+ * "type": "module" (react-scripts bundles them), so tell Node to load them as ESM
+ */
+
+const SOURCE_ROOT = new URL('../src/', import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SOURCE_ROOT) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
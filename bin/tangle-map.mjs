@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Tangle Map CLI - Renders editions headlessly from a seed
+ * Usage: tangle-map render --seed 4821 --clusters 4 --width 2400 --height 1600 --out fig.svg
+ */
+
+import { register } from 'node:module';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, extname, resolve } from 'node:path';
+
+register('./esm-hooks.mjs', import.meta.url);
+
+const USAGE = `Usage: tangle-map render [options]
+
+Options:
+  --seed <n>         Random seed (default: 42)
+  --clusters <n>     Number of clusters (default: 3)
+  --width <px>       Canvas width (default: 1600)
+  --height <px>      Canvas height (default: 1000)
+  --padding <px>     Safe zone padding (default: 160)
+  --layers <list>    Comma-separated layers to enable (default: all but shading, labels and furniture)
+  --graph <file>     Concept graph (JSON or CSV edge list) to place clusters from
+  --3d               Render with the 3D perspective transform
+  --legacy-random    Use the pre-sfc32 generator (editions with a 00 prefix)
+  --plotter          Write a pen-plotter SVG (hatched fills, one Inkscape layer per layer)
+  --out <file>       SVG output path (default: tangle-map-<seed>.svg)
+  --json <file>      Scene JSON output path (default: next to the SVG)
+  --help             Show this message
+`;
+
+const DEFAULTS = {
+  seed: 42,
+  clusters: 3,
+  width: 1600,
+  height: 1000,
+  padding: 160
+};
+
+/**
+ * Parse "--flag value" style arguments
+ * @param {Array} argv - Raw arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS, is3D: false, legacy: false, plotter: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return value;
+    };
+    const nextNumber = () => {
+      const value = Number(next());
+      if (!Number.isFinite(value)) {
+        throw new Error(`Expected a number for ${arg}`);
+      }
+      return value;
+    };
+
+    switch (arg) {
+      case '--seed': options.seed = nextNumber(); break;
+      case '--clusters': options.clusters = nextNumber(); break;
+      case '--width': options.width = nextNumber(); break;
+      case '--height': options.height = nextNumber(); break;
+      case '--padding': options.padding = nextNumber(); break;
+      case '--layers': options.layers = next().split(',').map(name => name.trim()).filter(Boolean); break;
+      case '--graph': options.graph = next(); break;
+      case '--3d': options.is3D = true; break;
+      case '--legacy-random': options.legacy = true; break;
+      case '--plotter': options.plotter = true; break;
+      case '--out': options.out = next(); break;
+      case '--json': options.json = next(); break;
+      case '--help': options.help = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const writeOutput = (path, contents) => {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, contents);
+};
+
+const render = async (options) => {
+  const { SeededRandom } = await import('../src/utils/random.js');
+  const { Transform3D } = await import('../src/utils/transform3D.js');
+  const { ClusterSystem } = await import('../src/systems/ClusterSystem.js');
+  const { LayerManager } = await import('../src/systems/LayerManager.js');
+  const { SvgExporter } = await import('../src/export/SvgExporter.js');
+  const { PlotterExporter, formatPlotTime } = await import('../src/export/PlotterExporter.js');
+  const { parseConceptGraph } = await import('../src/utils/conceptGraph.js');
+
+  const { seed, width, height, padding, is3D, legacy } = options;
+  const random = new SeededRandom(seed, { legacy });
+  const clusterSystem = new ClusterSystem(width, height, padding);
+  const transform3D = new Transform3D(width, height);
+  const layerManager = new LayerManager();
+
+  // Match the app's default toggles unless layers were listed explicitly
+  const defaultLayers = layerManager.getDefaultLayerStates();
+  const enabledLayers = options.layers || layerManager.layerOrder.filter(name => defaultLayers[name]);
+  layerManager.layerOrder.forEach(name => {
+    layerManager.setLayerEnabled(name, enabledLayers.includes(name));
+  });
+
+  // Same generation sequence as the app: clusters first, then every layer
+  const graph = options.graph ? parseConceptGraph(readFileSync(options.graph, 'utf8'), options.graph) : null;
+  const clusters = graph
+    ? clusterSystem.generateClustersFromGraph(graph, random, 64)
+    : clusterSystem.generateClusters(random, options.clusters, 64);
+  const params = {
+    width,
+    height,
+    time: 0,
+    clusters,
+    random,
+    noise: random.noise.bind(random),
+    transform3D,
+    is3D,
+    padding,
+    graphEdges: clusterSystem.edges,
+    edition: { seed } // For the title block; the CLI doesn't derive edition codes
+  };
+  layerManager.generateAllData(params);
+
+  const plot = options.plotter ? new PlotterExporter(layerManager).export({}, params) : null;
+  const svg = plot ? plot.svg : new SvgExporter(layerManager).export(params);
+
+  const out = resolve(options.out || `tangle-map-${seed}.svg`);
+  const json = resolve(options.json || `${out.slice(0, out.length - extname(out).length)}.json`);
+
+  const scene = {
+    seed,
+    width,
+    height,
+    padding,
+    is3D,
+    legacyRandom: legacy,
+    clusters,
+    edges: clusterSystem.edges,
+    layerOrder: layerManager.layerOrder,
+    layers: layerManager.exportLayerData()
+  };
+
+  writeOutput(out, svg);
+  writeOutput(json, JSON.stringify(scene, null, 2));
+
+  process.stderr.write(`Rendered seed ${seed} (${width}x${height}, ${clusters.length} clusters)\n  ${out}\n  ${json}\n`);
+  if (plot) {
+    process.stderr.write(`  ${plot.pens.length} pens, estimated plot time ${formatPlotTime(plot.seconds)}\n`);
+  }
+};
+
+const main = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+
+  if (!command || command === '--help' || command === 'help') {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  if (command !== 'render') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const options = parseArgs(rest);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  // Layers log progress to the console; keep stdout clean for scripting
+  console.log = () => {};
+
+  await render(options);
+};
+
+main().catch(error => {
+  process.stderr.write(`tangle-map: ${error.message}\n\n${USAGE}`);
+  process.exitCode = 1;
+});
@@ -3,7 +3,7 @@
  * Orchestrates all systems and provides the main user interface
  */
 
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import {
   DndContext,
   closestCenter,
@@ -26,14 +26,105 @@ import { SeededRandom } from './utils/random.js';
 import { Transform3D } from './utils/transform3D.js';
 import { ClusterSystem } from './systems/ClusterSystem.js';
 import { LayerManager } from './systems/LayerManager.js';
+import { SceneGenerator } from './systems/SceneGenerator.js';
+import { ThemeSystem } from './systems/ThemeSystem.js';
+import { SvgExporter } from './export/SvgExporter.js';
+import { AnimationExporter, ANIMATION_PRESETS, ANIMATION_FORMATS } from './export/AnimationExporter.js';
+import { PosterExporter, PAPER_SIZES } from './export/PosterExporter.js';
+import { PlotterExporter, PLOTTER_GROUPINGS, formatPlotTime } from './export/PlotterExporter.js';
+import { BLEND_MODES } from './render/DrawingSurface.js';
+import { drawClusterHandles } from './render/clusterHandles.js';
+import { drawHitHighlight } from './render/hitHighlight.js';
+import { encodeEdition, decodeEdition } from './utils/edition.js';
+import { buildPermalinkHash, parsePermalinkHash } from './utils/permalink.js';
+import { relativeLuminance, parseColor, formatRgba } from './utils/color.js';
+import { downloadFile } from './utils/download.js';
+import { parseConceptGraph } from './utils/conceptGraph.js';
 import './index.css';
 
 // Persistence keys (module scope to avoid React Hook dependency warnings)
 const STORAGE_KEYS = {
   layers: 'tm_layers',
+  layerOpacity: 'tm_layerOpacity',
+  layerBlendModes: 'tm_layerBlendModes',
   showControls: 'tm_showControls',
   expandedLayers: 'tm_expandedLayers',
-  layerOrder: 'tm_layerOrder'
+  layerOrder: 'tm_layerOrder',
+  theme: 'tm_theme',
+  palette: 'tm_palette',
+  customThemes: 'tm_customThemes',
+  animationSpeed: 'tm_animationSpeed',
+  reveal: 'tm_reveal',
+  animationExport: 'tm_animationExport',
+  posterExport: 'tm_posterExport',
+  plotterExport: 'tm_plotterExport'
+};
+
+const DEFAULT_THEME = 'original';
+const DEFAULT_PALETTE = { hueShift: 0, saturation: 0, brightness: 0 }; // No variation of the theme colors
+
+// "Vary palette" sliders: [key, label, min, max, step]
+const PALETTE_SLIDERS = [
+  ['hueShift', 'Hue Shift', -180, 180, 1],
+  ['saturation', 'Saturation', -1, 1, 0.05],
+  ['brightness', 'Brightness', -1, 1, 0.05]
+];
+const DEFAULT_BACKGROUND = 'rgba(250, 248, 245, 1)';
+
+// Animation: layer motion is tuned in 60fps frames, so the clock counts those
+const FRAME_DURATION = 1000 / 60;
+const DEFAULT_ANIMATION_SPEED = 1;
+const ANIMATION_SPEED_RANGE = { min: 0.25, max: 4, step: 0.25 };
+
+// How a redrawn edition appears: faded in, or drawn on layer by layer
+const REVEAL_MODES = [['fade', 'Fade in'], ['draw', 'Draw on']];
+const DEFAULT_REVEAL = { mode: 'fade', duration: 4000 };
+const REVEAL_DURATION_RANGE = { min: 1000, max: 12000, step: 500 };
+
+// Cluster editing: sizes a ring can be dragged to
+const CLUSTER_RADIUS_RANGE = { min: 24, max: 320 };
+
+// Pointer position in figure coordinates (the canvas is scaled to fit the screen, and the
+// figure letterboxed onto the canvas)
+const canvasPoint = (canvas, e) => {
+  const rect = canvas.getBoundingClientRect();
+  const { scale = 1, x = 0, y = 0 } = canvas._viewport || {};
+  return {
+    x: (((e.clientX - rect.left) / rect.width) * canvas._lastWidth - x) / scale,
+    y: (((e.clientY - rect.top) / rect.height) * canvas._lastHeight - y) / scale
+  };
+};
+
+// Fields of an inspected element: numbers, text and flags as they are, lists by their length
+const INSPECTABLE_TYPES = ['number', 'string', 'boolean'];
+const describeElement = (element) => Object.entries(element)
+  .filter(([, value]) => INSPECTABLE_TYPES.includes(typeof value) || Array.isArray(value))
+  .map(([name, value]) => {
+    if (Array.isArray(value)) return [name, `${value.length} items`];
+    return [name, typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value)];
+  });
+
+// Video/GIF export settings
+const DEFAULT_ANIMATION_EXPORT = { preset: 'animate', format: 'webm', fps: 30, duration: 4, width: 1280 };
+const EXPORT_FPS_OPTIONS = [12, 15, 24, 30, 60];
+const EXPORT_WIDTH_OPTIONS = [640, 960, 1280, 1920];
+
+// Print export settings; bleed is in millimetres
+const DEFAULT_POSTER_EXPORT = { paper: 'a3', orientation: 'portrait', dpi: 300, bleed: 0 };
+const POSTER_DPI_OPTIONS = [72, 150, 300];
+
+// Pen plotter export settings; pen width and hatch spacing are in millimetres
+const DEFAULT_PLOTTER_EXPORT = { grouping: 'layer', separateFiles: false, penWidth: 0.3, hatchSpacing: 0.8 };
+const PEN_WIDTH_OPTIONS = [0.1, 0.2, 0.3, 0.5, 0.8];
+const HATCH_SPACING_RANGE = { min: 0.3, max: 3, step: 0.1 };
+
+// Stable default for the plugins prop, so the effect that runs plugins doesn't rerun every render
+const NO_PLUGINS = [];
+
+const DEFAULT_PARAMETERS = {
+  clusterCount: 3, // Default cluster count
+  padding: 160, // Increased padding to prevent edge clipping
+  noiseScale: 0.02
 };
 
 // Sortable Layer Item Component
@@ -67,6 +158,75 @@ const SortableLayerItem = ({ id, children, ...props }) => {
   );
 };
 
+// Field of a selected element: text and numbers apply as they're typed, keeping the draft
+// while it reads the same ("1." on the way to "1.5"); flags are a checkbox
+const ElementFieldInput = ({ value, onChange }) => {
+  const isNumber = typeof value === 'number';
+  const shown = isNumber ? String(Math.round(value * 100) / 100) : String(value);
+  const [text, setText] = useState(shown);
+  useEffect(() => {
+    setText(current => ((isNumber ? parseFloat(current) : current) === value ? current : shown));
+  }, [isNumber, shown, value]);
+
+  if (typeof value === 'boolean') {
+    return <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />;
+  }
+
+  return (
+    <input
+      type={isNumber ? 'number' : 'text'}
+      step="any"
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const next = isNumber ? parseFloat(e.target.value) : e.target.value;
+        if (!isNumber || Number.isFinite(next)) {
+          onChange(next);
+        }
+      }}
+      className="w-24 px-1.5 py-0.5 text-xs border border-gray-200 rounded"
+    />
+  );
+};
+
+// Theme color slot editor: color picker for the RGB part plus a text field for the full rgba()
+const ThemeColorInput = ({ label, value, onChange }) => {
+  const [text, setText] = useState(value);
+  useEffect(() => setText(value), [value]);
+
+  const parsed = parseColor(value) || { r: 0, g: 0, b: 0, a: 1 };
+  const hex = `#${[parsed.r, parsed.g, parsed.b].map(x => Math.round(x).toString(16).padStart(2, '0')).join('')}`;
+
+  return (
+    <div className="flex items-center space-x-2">
+      <input
+        type="color"
+        value={hex}
+        onChange={(e) => {
+          // Preserve the slot's alpha; the picker only knows RGB
+          const picked = parseColor(e.target.value);
+          onChange(formatRgba({ ...picked, a: parsed.a }));
+        }}
+        className="w-8 h-6 border border-gray-300 rounded cursor-pointer"
+        title={`Pick ${label}`}
+      />
+      <label className="w-20 text-xs text-gray-600 truncate">{label}</label>
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          if (parseColor(e.target.value)) {
+            onChange(e.target.value);
+          }
+        }}
+        className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded font-mono focus:outline-none focus:ring-1 focus:ring-slate-400"
+        placeholder="rgba(r,g,b,a)"
+      />
+    </div>
+  );
+};
+
 // Drag Handle Component
 const DragHandle = ({ listeners, attributes }) => {
   return (
@@ -87,53 +247,58 @@ const DragHandle = ({ listeners, attributes }) => {
   );
 };
 
-const TangleMapApp = () => {
-  // Application component for Tangle Map generative art tool
+/**
+ * Application component for Tangle Map generative art tool
+ * @param {Object} props - Component props
+ * @param {Array} props.plugins - Functions called with the LayerManager once the app mounts,
+ *   to register custom layers (see LayerManager.registerLayer). A plugin may return a function
+ *   that unregisters them again, which runs when the app unmounts
+ */
+const TangleMapApp = ({ plugins = NO_PLUGINS }) => {
   const canvasRef = useRef(null);
   const layerManagerRef = useRef(new LayerManager());
+  const sceneGeneratorRef = useRef(new SceneGenerator(layerManagerRef.current)); // Generates the on-screen figure in a worker
   const clusterSystemRef = useRef(null);
   const transform3DRef = useRef(null);
   const randomRef = useRef(new SeededRandom(42));
+  const clusterRandomRef = useRef(null); // Generator state once the clusters are placed; the layers start from it
   const lastClusterCountRef = useRef(3); // Track last cluster count used
+  const tunedParamsRef = useRef({}); // Layer properties changed from the controls ({ layer: { param: value } })
+  const tunedDefaultsRef = useRef({}); // Original values of tuned properties, so they can be restored
+  const themeSystemRef = useRef(null);
   
   // Initialize state with localStorage values
   const getInitialState = () => {
+    // Default toggles come from the layers themselves (see BaseLayer.enabledByDefault)
+    const defaultLayers = layerManagerRef.current.getDefaultLayerStates();
+
     if (typeof window === 'undefined' || !window.localStorage) {
       return {
-        layers: {
-          grid: true,
-          panels: true,
-          arcs: true,
-          infrastructure: true,
-          plotAreas: true,
-          particles: true,
-          nodes: true,
-          organic: true,
-          flow: true, // FORCE ENABLE FLOW LAYER
-          shading: false,
-          cores: true
-        },
+        layers: defaultLayers,
+        layerOpacity: {},
+        layerBlendModes: {},
         showControls: false,
         expandedLayers: {},
-        layerOrder: [] // Will be set by LayerManager based on z-index
+        layerOrder: [], // Will be set by LayerManager based on z-index
+        theme: DEFAULT_THEME,
+        palette: { ...DEFAULT_PALETTE },
+        customThemes: {},
+        animationSpeed: DEFAULT_ANIMATION_SPEED,
+        reveal: { ...DEFAULT_REVEAL },
+        animationExport: { ...DEFAULT_ANIMATION_EXPORT },
+        posterExport: { ...DEFAULT_POSTER_EXPORT },
+        plotterExport: { ...DEFAULT_PLOTTER_EXPORT }
       };
     }
 
     try {
       const savedLayersRaw = localStorage.getItem(STORAGE_KEYS.layers);
-      const savedLayers = savedLayersRaw ? JSON.parse(savedLayersRaw) : {
-        grid: true,
-        panels: true,
-        arcs: true,
-        infrastructure: true,
-        plotAreas: true,
-        particles: true,
-        nodes: true,
-        organic: true,
-        flow: true,
-        shading: false,
-        cores: true
-      };
+      // Saved toggles predate layers added since, so start from the defaults, and skip
+      // toggles of layers that aren't registered (yet)
+      const savedLayers = { ...defaultLayers };
+      Object.entries(savedLayersRaw ? JSON.parse(savedLayersRaw) : {}).forEach(([name, enabled]) => {
+        if (name in savedLayers) savedLayers[name] = enabled;
+      });
       
       
       // FORCE ENABLE FLOW LAYER - it must always be on!
@@ -142,6 +307,12 @@ const TangleMapApp = () => {
       // FORCE ENABLE PLOT AREAS LAYER - it must always be on!
       savedLayers.plotAreas = true;
 
+      // Opacity and blend mode are stored only for layers that differ from opaque and normal
+      const savedLayerOpacityRaw = localStorage.getItem(STORAGE_KEYS.layerOpacity);
+      const savedLayerOpacity = savedLayerOpacityRaw ? JSON.parse(savedLayerOpacityRaw) : {};
+      const savedLayerBlendModesRaw = localStorage.getItem(STORAGE_KEYS.layerBlendModes);
+      const savedLayerBlendModes = savedLayerBlendModesRaw ? JSON.parse(savedLayerBlendModesRaw) : {};
+
       // Clear the showControls localStorage to force hidden state
       localStorage.removeItem(STORAGE_KEYS.showControls);
       const savedShowControls = false;
@@ -152,39 +323,104 @@ const TangleMapApp = () => {
       const savedLayerOrderRaw = localStorage.getItem(STORAGE_KEYS.layerOrder);
       const savedLayerOrder = savedLayerOrderRaw ? JSON.parse(savedLayerOrderRaw) : []; // Will be set by LayerManager
 
+      const savedTheme = localStorage.getItem(STORAGE_KEYS.theme) || DEFAULT_THEME;
+
+      const savedPaletteRaw = localStorage.getItem(STORAGE_KEYS.palette);
+      const savedPalette = { ...DEFAULT_PALETTE, ...(savedPaletteRaw ? JSON.parse(savedPaletteRaw) : {}) };
+
+      const savedCustomThemesRaw = localStorage.getItem(STORAGE_KEYS.customThemes);
+      const savedCustomThemes = savedCustomThemesRaw ? JSON.parse(savedCustomThemesRaw) : {};
+
+      const savedAnimationSpeed = parseFloat(localStorage.getItem(STORAGE_KEYS.animationSpeed));
+
+      const savedRevealRaw = localStorage.getItem(STORAGE_KEYS.reveal);
+      const savedReveal = { ...DEFAULT_REVEAL, ...(savedRevealRaw ? JSON.parse(savedRevealRaw) : {}) };
+
+      const savedAnimationExportRaw = localStorage.getItem(STORAGE_KEYS.animationExport);
+      const savedAnimationExport = {
+        ...DEFAULT_ANIMATION_EXPORT,
+        ...(savedAnimationExportRaw ? JSON.parse(savedAnimationExportRaw) : {})
+      };
+
+      const savedPosterExportRaw = localStorage.getItem(STORAGE_KEYS.posterExport);
+      const savedPosterExport = {
+        ...DEFAULT_POSTER_EXPORT,
+        ...(savedPosterExportRaw ? JSON.parse(savedPosterExportRaw) : {})
+      };
+
+      const savedPlotterExportRaw = localStorage.getItem(STORAGE_KEYS.plotterExport);
+      const savedPlotterExport = {
+        ...DEFAULT_PLOTTER_EXPORT,
+        ...(savedPlotterExportRaw ? JSON.parse(savedPlotterExportRaw) : {})
+      };
+
       return {
         layers: savedLayers,
+        layerOpacity: savedLayerOpacity,
+        layerBlendModes: savedLayerBlendModes,
         showControls: savedShowControls,
         expandedLayers: savedExpanded,
-        layerOrder: savedLayerOrder
+        layerOrder: savedLayerOrder,
+        theme: savedTheme,
+        palette: savedPalette,
+        customThemes: savedCustomThemes,
+        animationSpeed: Number.isFinite(savedAnimationSpeed) ? savedAnimationSpeed : DEFAULT_ANIMATION_SPEED,
+        reveal: savedReveal,
+        animationExport: savedAnimationExport,
+        posterExport: savedPosterExport,
+        plotterExport: savedPlotterExport
       };
     } catch (e) {
       console.warn('Failed to load initial state from localStorage:', e);
       return {
-        layers: {
-          grid: true,
-          panels: true,
-          arcs: true,
-          infrastructure: true,
-          particles: true,
-          nodes: true,
-          organic: true,
-          flow: true,
-          shading: true,
-          cores: true
-        },
+        layers: defaultLayers,
+        layerOpacity: {},
+        layerBlendModes: {},
         showControls: true,
-        expandedLayers: {}
+        expandedLayers: {},
+        theme: DEFAULT_THEME,
+        palette: { ...DEFAULT_PALETTE },
+        customThemes: {},
+        animationSpeed: DEFAULT_ANIMATION_SPEED,
+        reveal: { ...DEFAULT_REVEAL },
+        animationExport: { ...DEFAULT_ANIMATION_EXPORT },
+        posterExport: { ...DEFAULT_POSTER_EXPORT },
+        plotterExport: { ...DEFAULT_PLOTTER_EXPORT }
       };
     }
   };
 
   const initialState = getInitialState();
 
+  // Set up themes once, before the first render, so the stored theme is drawn straight away
+  if (!themeSystemRef.current) {
+    const themeSystem = new ThemeSystem();
+    themeSystem.registerOriginalTheme(layerManagerRef.current);
+    themeSystem.loadCustomThemes(initialState.customThemes);
+    if (!themeSystem.setTheme(initialState.theme)) {
+      themeSystem.setTheme(DEFAULT_THEME);
+    }
+    themeSystem.applyTheme(
+      layerManagerRef.current,
+      themeSystem.generateThemeVariation(themeSystem.currentTheme, initialState.palette)
+    );
+    themeSystemRef.current = themeSystem;
+  }
+
   // State management
   const [seed, setSeed] = useState(42);
-  const [editionId, setEditionId] = useState(null);
+  const [editionYear, setEditionYear] = useState(() => new Date().getFullYear());
+  const [legacyRandom, setLegacyRandom] = useState(false); // Editions from before per-layer streams
+  const [sceneSize, setSceneSize] = useState(null); // Size the figure is laid out at ({ width, height })
+  const [editedClusters, setEditedClusters] = useState(null); // Clusters placed by hand, carried by edition codes
+  const [elementEdits, setElementEdits] = useState([]); // Fields of elements changed in the inspector (see LayerManager.editElement)
+  const [layerParams, setLayerParams] = useState({});
+  const [editionRevision, setEditionRevision] = useState(0);
+  const [editionInput, setEditionInput] = useState('');
+  const [editionError, setEditionError] = useState(null);
   const [layers, setLayers] = useState(initialState.layers);
+  const [layerOpacity, setLayerOpacity] = useState(initialState.layerOpacity); // Opacity by layer, where not 1
+  const [layerBlendModes, setLayerBlendModes] = useState(initialState.layerBlendModes); // Blend mode by layer, where not normal
   const [isAnimating, setIsAnimating] = useState(false);
   const [canvasOpacity, setCanvasOpacity] = useState(1);
   const [canvasTransitionDuration, setCanvasTransitionDuration] = useState('2000ms');
@@ -192,15 +428,54 @@ const TangleMapApp = () => {
   const [isInitialLoad, setIsInitialLoad] = useState(true);
   const [showControls, setShowControls] = useState(initialState.showControls);
   const [expandedLayers, setExpandedLayers] = useState(initialState.expandedLayers);
-  const [parameters, setParameters] = useState({
-    clusterCount: 3, // Default cluster count
-    padding: 160, // Increased padding to prevent edge clipping
-    noiseScale: 0.02
-  });
+  const [parameters, setParameters] = useState({ ...DEFAULT_PARAMETERS });
   const [layerOrder, setLayerOrder] = useState(initialState.layerOrder);
+  // Toggles and z-index order of the registered layers, before any changes
+  const [layerDefaults, setLayerDefaults] = useState(() => ({
+    layers: layerManagerRef.current.getDefaultLayerStates(),
+    layerOrder: layerManagerRef.current.getDefaultLayerOrder()
+  }));
+  const [themeName, setThemeName] = useState(() => themeSystemRef.current.currentTheme);
+  const [palette, setPalette] = useState(initialState.palette);
+  const [themeDraft, setThemeDraft] = useState(null); // Theme being edited, applied live but not saved
+  const [themeDraftName, setThemeDraftName] = useState('');
+  const [themeError, setThemeError] = useState(null);
+  const themeFileInputRef = useRef(null);
   const [cornerOpacity, setCornerOpacity] = useState(0);
   const [isShowingCorners, setIsShowingCorners] = useState(true);
   const [is3D, setIs3D] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false); // Animation loop running
+  const [animationSpeed, setAnimationSpeed] = useState(initialState.animationSpeed);
+  const animationTimeRef = useRef(0); // Animation clock, in 60fps frames
+  const [reveal, setReveal] = useState(initialState.reveal); // How redrawn editions appear
+  const revealRef = useRef({ progress: 1, frame: null }); // Draw-on progress of the map (1 = fully drawn)
+  const [animationExport, setAnimationExport] = useState(initialState.animationExport); // Video/GIF settings
+  const [exportProgress, setExportProgress] = useState(null); // Status line while a clip renders
+  const [exportError, setExportError] = useState(null);
+  const animationExporterRef = useRef(null); // Export in progress, so it can be cancelled
+  const [posterExport, setPosterExport] = useState(initialState.posterExport); // Print settings
+  const [posterStatus, setPosterStatus] = useState(null); // Set while a poster renders, or to its error
+  const [plotterExport, setPlotterExport] = useState(initialState.plotterExport); // Pen plotter settings
+  const [plotterStatus, setPlotterStatus] = useState(null); // Busy, the last plot's summary, or its error
+  const [generationProgress, setGenerationProgress] = useState(null); // Layers generated so far while the worker runs
+  const renderRef = useRef(null); // Latest render(), for redrawing once the worker's data arrives
+  const [isEditingClusters, setIsEditingClusters] = useState(false); // Cluster handles shown on the canvas
+  const clusterEditRef = useRef({ active: false, hover: null, drag: null }); // Handle under the pointer and the drag in progress
+  const inspectRef = useRef({ hover: null, selected: null }); // Hit test results outlined on the canvas
+  const [hoverInfo, setHoverInfo] = useState(null); // Element under the pointer and where to show its tooltip
+  const [selection, setSelection] = useState(null); // Clicked element, whose fields can be edited
+  const [rotation, setRotation] = useState(null); // Last committed camera rotation, mirrored in the URL
+  const [conceptGraph, setConceptGraph] = useState(null); // Loaded concept graph; places clusters instead of the seed
+  const [conceptGraphName, setConceptGraphName] = useState('');
+  const [graphError, setGraphError] = useState(null);
+  const graphFileInputRef = useRef(null);
+  const urlSeedRef = useRef(null); // Seed of the edition currently in the URL
+  const editionRef = useRef({ id: null, seed: null }); // Current edition, for the map's title block
+  const skipUrlSyncRef = useRef(false); // Set while a permalink from the URL is being applied
+  const loadPermalinkRef = useRef(null); // Latest loadPermalink, for loading the URL on mount
+  const sceneSizeRef = useRef(null); // Size the figure is laid out at; null takes the canvas size on the next figure
+  const editedClustersRef = useRef(null); // Clusters placed by hand and the figure they belong to ({ seed, legacy, clusters })
+  const redrawingRef = useRef(null); // Set by Redraw while it generates the new figure ({ clusterCount })
   const isDraggingCameraRef = useRef(false);
   const lastMousePosRef = useRef({ x: 0, y: 0 });
   // @dnd-kit sensors for better drag and drop
@@ -221,6 +496,14 @@ const TangleMapApp = () => {
     } catch {}
   }, [layers]);
 
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.layerOpacity, JSON.stringify(layerOpacity));
+      localStorage.setItem(STORAGE_KEYS.layerBlendModes, JSON.stringify(layerBlendModes));
+    } catch {}
+  }, [layerOpacity, layerBlendModes]);
+
   useEffect(() => {
     try {
       if (typeof window === 'undefined' || !window.localStorage) return;
@@ -243,10 +526,71 @@ const TangleMapApp = () => {
     } catch {}
   }, [layerOrder]);
 
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.theme, themeName);
+    } catch {}
+  }, [themeName]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.palette, JSON.stringify(palette));
+    } catch {}
+  }, [palette]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.animationSpeed, String(animationSpeed));
+    } catch {}
+  }, [animationSpeed]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.reveal, JSON.stringify(reveal));
+    } catch {}
+  }, [reveal]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.animationExport, JSON.stringify(animationExport));
+    } catch {}
+  }, [animationExport]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.posterExport, JSON.stringify(posterExport));
+    } catch {}
+  }, [posterExport]);
+
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.plotterExport, JSON.stringify(plotterExport));
+    } catch {}
+  }, [plotterExport]);
+
+  // The theme as drawn, with the palette variation applied
+  const activeTheme = useMemo(
+    () => themeSystemRef.current.generateThemeVariation(themeName, palette),
+    [themeName, palette]
+  );
+
+  // Background and overlay contrast follow the active theme
+  const themeBackground = activeTheme?.background || DEFAULT_BACKGROUND;
+  const isDarkTheme = relativeLuminance(themeBackground) < 0.3;
+
 
 
   // Main rendering function - defined first to avoid temporal dead zone
-  const render = useCallback((time = 0, regenerateData = true) => {
+  // Exports pass a target ({ ctx, is3D }) to draw a frame somewhere other than the screen.
+  // Returns a promise while the scene worker generates new data (resolved once it's drawn)
+  const render = useCallback((time = 0, regenerateData = true, target = null) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
@@ -254,32 +598,70 @@ const TangleMapApp = () => {
     // Get dimensions from the outer container (skip the opacity wrapper div)
     const outerContainer = canvas.parentElement?.parentElement;
     const wrapperRect = outerContainer ? outerContainer.getBoundingClientRect() : canvas.parentElement.getBoundingClientRect();
-    const width = wrapperRect.width || window.innerWidth;
-    const height = wrapperRect.height || window.innerHeight;
+    const canvasWidth = wrapperRect.width || window.innerWidth;
+    const canvasHeight = wrapperRect.height || window.innerHeight;
     
     // Only set up canvas if dimensions changed or first render
-    if (!canvas._lastWidth || canvas._lastWidth !== width || canvas._lastHeight !== height) {
-      canvas.width = width * window.devicePixelRatio;
-      canvas.height = height * window.devicePixelRatio;
-      ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-      canvas._lastWidth = width;
-      canvas._lastHeight = height;
-      
-      // Update systems with current dimensions
+    if (!canvas._lastWidth || canvas._lastWidth !== canvasWidth || canvas._lastHeight !== canvasHeight) {
+      canvas.width = canvasWidth * window.devicePixelRatio;
+      canvas.height = canvasHeight * window.devicePixelRatio;
+      canvas._lastWidth = canvasWidth;
+      canvas._lastHeight = canvasHeight;
+    }
+
+    // The figure keeps the size it was laid out at (an edition's, or the canvas's when it
+    // was made) and is letterboxed onto the canvas
+    if (!sceneSizeRef.current) {
+      sceneSizeRef.current = { width: canvasWidth, height: canvasHeight };
+      setSceneSize(sceneSizeRef.current);
+    }
+    const { width, height } = sceneSizeRef.current;
+    if (clusterSystemRef.current.width !== width || clusterSystemRef.current.height !== height) {
       clusterSystemRef.current.updateDimensions(width, height);
       transform3DRef.current.updateDimensions(width, height);
     }
+    const fit = Math.min(canvasWidth / width, canvasHeight / height);
+    canvas._viewport = { scale: fit, x: (canvasWidth - width * fit) / 2, y: (canvasHeight - height * fit) / 2 };
     
     // Generate clusters only when needed
-    // Regenerate if: data regeneration requested, no clusters exist, or cluster count changed
-    const clusterCountChanged = lastClusterCountRef.current !== parameters.clusterCount;
+    // Regenerate if: data regeneration requested (unless the clusters were edited by hand;
+    // new figures clear them), no clusters exist, cluster count or seed changed
+    // Redraw's cluster count applies before its state update reaches this render
+    const clusterCount = redrawingRef.current ? redrawingRef.current.clusterCount : parameters.clusterCount;
+    const clusterCountChanged = !conceptGraph && lastClusterCountRef.current !== clusterCount;
+    const clusterRandom = clusterRandomRef.current;
+    const seedChanged = !clusterRandom || clusterRandom.originalSeed !== randomRef.current.getSeed() ||
+      clusterRandom.legacy !== randomRef.current.legacy;
     let clusters;
-    if (regenerateData || !clusterSystemRef.current.clusters.length || clusterCountChanged) {
-      clusters = clusterSystemRef.current.generateClusters(randomRef.current, parameters.clusterCount, 64);
-      lastClusterCountRef.current = parameters.clusterCount; // Update tracked count
+    if ((regenerateData && !clusterSystemRef.current.edited) || !clusterSystemRef.current.clusters.length ||
+      clusterCountChanged || seedChanged) {
+      // Restart the random stream so a seed always produces the same figure
+      randomRef.current.reset();
+      // A concept graph decides the clusters and how they connect; the seed only styles them
+      clusters = conceptGraph
+        ? clusterSystemRef.current.generateClustersFromGraph(conceptGraph, randomRef.current, 64)
+        : clusterSystemRef.current.generateClusters(randomRef.current, clusterCount, 64);
+      lastClusterCountRef.current = clusterCount; // Update tracked count
+      clusterRandomRef.current = randomRef.current.getSnapshot();
+
+      // Clusters placed by hand (edited, or from an edition code) replace the generated ones
+      // of their figure; generating those first still leaves the stream where the layers expect it
+      const edits = editedClustersRef.current;
+      if (edits) {
+        if (!conceptGraph && edits.seed === randomRef.current.getSeed() && edits.legacy === randomRef.current.legacy) {
+          clusters = clusterSystemRef.current.setClusters(edits.clusters);
+        } else {
+          editedClustersRef.current = null;
+          setEditedClusters(null);
+        }
+      }
     } else {
       clusters = clusterSystemRef.current.getClusters(randomRef.current);
     }
+
+    // Layers continue the stream from where the clusters left it, however often they're
+    // regenerated (in legacy mode they all share it)
+    const random = SeededRandom.fromSnapshot(clusterRandomRef.current);
     
     // Set up rendering parameters
     const renderParams = {
@@ -287,17 +669,105 @@ const TangleMapApp = () => {
       height,
       time: time,
       clusters,
-      random: randomRef.current,
-      noise: randomRef.current.noise.bind(randomRef.current),
+      random,
+      noise: random.noise.bind(random),
       transform3D: transform3DRef.current,
-      is3D: is3D,
-      padding: parameters.padding
+      is3D: target && target.is3D !== undefined ? target.is3D : is3D,
+      padding: parameters.padding,
+      graphEdges: clusterSystemRef.current.edges, // Concept graph edges (null for random clusters)
+      edition: editionRef.current,
+      reveal: revealRef.current.progress
     };
 
+    // The on-screen figure generates its data in a worker and keeps showing the previous
+    // data (or the last frame, if there is none) until it arrives
+    const sceneGenerator = sceneGeneratorRef.current;
+    if (!target && sceneGenerator.isAvailable()) {
+      const hasData = layerManagerRef.current.generatedData.size > 0;
+      if (regenerateData || (!hasData && !sceneGenerator.isBusy())) {
+        const redraw = (regenerate) => {
+          if (sceneGenerator.isBusy()) return; // A newer request took over
+          setGenerationProgress(null);
+          if (canvasRef.current) {
+            renderRef.current(animationTimeRef.current, regenerate);
+          }
+        };
+        setGenerationProgress({ layer: null, done: 0, total: 0 });
+        return sceneGenerator
+          .generate(renderParams, (layer, done, total) => setGenerationProgress({ layer, done, total }))
+          .then(() => redraw(false), e => {
+            // From now on the figure is generated on the main thread (isAvailable turns false)
+            console.warn('Scene worker failed:', e);
+            redraw(true);
+          });
+      }
+      if (!hasData) return;
+      regenerateData = false;
+    }
+
+    // Fill the bars around the figure, then draw it in figure coordinates
+    if (!target) {
+      const { scale, x, y } = canvas._viewport;
+      const ratio = window.devicePixelRatio;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = layerManagerRef.current.backgroundColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+    }
+
     // Render all layers
-    layerManagerRef.current.renderAll(ctx, renderParams, regenerateData);
-    
-  }, [parameters.padding, parameters.clusterCount, is3D]);
+    // Only the on-screen canvas draws from the layer cache
+    layerManagerRef.current.renderAll(target ? target.ctx : ctx, renderParams, regenerateData, !target);
+
+    // Cluster handles go over the figure on screen while editing
+    const clusterEdit = clusterEditRef.current;
+    if (!target && clusterEdit.active) {
+      drawClusterHandles(ctx, clusters, { hover: clusterEdit.hover, dragging: Boolean(clusterEdit.drag) });
+    }
+
+    // Outline the hovered and selected elements, as long as they're part of the data drawn
+    if (!target) {
+      const inspect = inspectRef.current;
+      const layerManager = layerManagerRef.current;
+      if (inspect.hover && inspect.hover.allData !== layerManager.generatedData) {
+        inspect.hover = null;
+        setHoverInfo(null);
+      }
+      if (inspect.selected && inspect.selected.allData !== layerManager.generatedData) {
+        inspect.selected = null;
+        setSelection(null);
+      }
+      const { hover, selected } = inspect;
+      const isShown = (hit) => {
+        const layer = hit && layerManager.getLayer(hit.layer);
+        return Boolean(layer && layer.enabled);
+      };
+      if (isShown(hover) && !(selected && hover.element === selected.element)) {
+        drawHitHighlight(ctx, hover, renderParams);
+      }
+      if (isShown(selected)) {
+        drawHitHighlight(ctx, selected, renderParams, { selected: true });
+      }
+    }
+  }, [parameters.padding, parameters.clusterCount, is3D, conceptGraph]);
+
+  useEffect(() => {
+    renderRef.current = render;
+  }, [render]);
+
+  // Stop the scene worker with the app
+  useEffect(() => {
+    const sceneGenerator = sceneGeneratorRef.current;
+    return () => sceneGenerator.cancel();
+  }, []);
+
+  // Record the camera rotation once a drag ends so permalinks can carry it
+  const commitRotation = useCallback(() => {
+    const transform3D = transform3DRef.current;
+    if (transform3D) {
+      setRotation({ x: transform3D.rotationX, y: transform3D.rotationY });
+    }
+  }, []);
 
   // Removed resize on controls toggle to avoid redraw; canvas remains constant size
 
@@ -308,12 +778,24 @@ const TangleMapApp = () => {
 
     const rect = canvas.getBoundingClientRect();
     clusterSystemRef.current = new ClusterSystem(rect.width, rect.height, parameters.padding);
+    // Keep the camera where it was when padding changes recreate the transform
+    const previousTransform = transform3DRef.current;
     transform3DRef.current = new Transform3D(rect.width, rect.height);
+    if (previousTransform) {
+      transform3DRef.current.setRotation(previousTransform.rotationX, previousTransform.rotationY);
+    }
     
     // Initialize layer order from LayerManager if not already set
     if (layerOrder.length === 0) {
       const managerOrder = layerManagerRef.current.layerOrder;
       setLayerOrder(managerOrder);
+    } else {
+      // A saved order misses layers added since it was stored; append them
+      const managerOrder = layerManagerRef.current.layerOrder;
+      setLayerOrder(order => {
+        const missing = managerOrder.filter(name => !order.includes(name));
+        return missing.length > 0 ? [...order, ...missing] : order;
+      });
     }
     
     // Capture ref values at effect start for cleanup
@@ -339,28 +821,65 @@ const TangleMapApp = () => {
 
   // Regenerate when cluster count changes so it actually affects layout
   useEffect(() => {
+    if (redrawingRef.current) return; // Redraw generates the figure with its new count itself
     if (canvasRef.current) {
       // Clear clusters to force regeneration with new count
       if (clusterSystemRef.current) {
         clusterSystemRef.current.clusters = [];
       }
-      render(0, true);
+      render(animationTimeRef.current, true);
     }
   }, [parameters.clusterCount, render]);
 
+  // Run plugins, and keep toggles, order and controls in step with the registered layers
+  useEffect(() => {
+    const layerManager = layerManagerRef.current;
+    const unsubscribe = layerManager.subscribe(() => {
+      const defaults = layerManager.getDefaultLayerStates();
+      setLayerDefaults({ layers: defaults, layerOrder: layerManager.getDefaultLayerOrder() });
+      setLayers(prev => {
+        const next = {};
+        Object.keys(defaults).forEach(name => {
+          next[name] = name in prev ? prev[name] : defaults[name];
+        });
+        return next;
+      });
+      // The layer manager places new layers by z-index within the current order
+      setLayerOrder([...layerManager.layerOrder]);
+    });
+
+    const cleanups = plugins.map(plugin => plugin(layerManager));
+    return () => {
+      cleanups.forEach(cleanup => typeof cleanup === 'function' && cleanup());
+      unsubscribe();
+    };
+  }, [plugins]);
+
   // Update layer states in layer manager
   useEffect(() => {
     layerManagerRef.current.setLayerStates(layers);
     // Trigger a re-render to show layer changes immediately
     if (canvasRef.current) {
-      render(0, false); // Don't regenerate data, just re-render
+      render(animationTimeRef.current, false); // Don't regenerate data, just re-render
     }
   }, [layers, render]);
 
+  // Apply layer opacity and blending; neither affects generated data, so just redraw
+  useEffect(() => {
+    const layerManager = layerManagerRef.current;
+    layerManager.layerOrder.forEach(layerName => {
+      layerManager.setLayerOpacity(layerName, layerOpacity[layerName] !== undefined ? layerOpacity[layerName] : 1);
+      layerManager.setLayerBlendMode(layerName, layerBlendModes[layerName] || 'source-over');
+    });
+    if (canvasRef.current) {
+      render(animationTimeRef.current, false);
+    }
+  }, [layerOpacity, layerBlendModes, render]);
+
   // Trigger re-render when 3D mode changes
   useEffect(() => {
     if (canvasRef.current) {
-      render(0, false); // Don't regenerate data, just re-render with new 3D state
+      render(animationTimeRef.current, false); // Don't regenerate data, just re-render with new 3D state
     }
   }, [is3D, render]);
 
@@ -391,7 +910,7 @@ const TangleMapApp = () => {
         transform3DRef.current.updateRotation(deltaX, deltaY);
         // Trigger render directly
         if (canvasRef.current) {
-          render(0, false);
+          render(animationTimeRef.current, false);
         }
       }
 
@@ -404,6 +923,7 @@ const TangleMapApp = () => {
         if (canvas) {
           canvas.style.cursor = is3D ? 'grab' : '';
         }
+        commitRotation();
       }
     };
 
@@ -413,6 +933,7 @@ const TangleMapApp = () => {
         if (canvas) {
           canvas.style.cursor = is3D ? 'grab' : '';
         }
+        commitRotation();
       }
     };
 
@@ -427,22 +948,269 @@ const TangleMapApp = () => {
       window.removeEventListener('mouseup', handleMouseUp);
       canvas.removeEventListener('mouseleave', handleMouseLeave);
     };
-  }, [is3D, render]);
+  }, [is3D, render, commitRotation]);
+
+  // Show or hide the cluster handles; editing works on the flat figure only
+  useEffect(() => {
+    clusterEditRef.current = { active: isEditingClusters && !is3D, hover: null, drag: null };
+    if (canvasRef.current) {
+      render(animationTimeRef.current, false);
+    }
+  }, [isEditingClusters, is3D, render]);
+
+  // Edit clusters on the canvas: drag one to move it, drag its ring to resize it,
+  // Shift-click to add one and Alt-click to delete one
+  useEffect(() => {
+    if (!isEditingClusters || is3D) return;
+
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const edit = clusterEditRef.current;
+
+    const redraw = () => render(animationTimeRef.current, false);
+
+    // The clusters stay as edited (see ClusterSystem.edited); the layers are generated
+    // around them again, each from its own random stream, so the rest of the figure holds.
+    // The edits are kept for the edition code, and for redraws that place the clusters again
+    const regenerateLayers = () => {
+      const clusters = clusterSystemRef.current.clusters.map(cluster => ({ ...cluster }));
+      editedClustersRef.current = { seed: randomRef.current.getSeed(), legacy: randomRef.current.legacy, clusters };
+      setEditedClusters(clusters);
+      render(animationTimeRef.current, true);
+    };
+
+    const updateCursor = () => {
+      const { hover, drag } = edit;
+      if (drag) {
+        canvas.style.cursor = drag.handle === 'ring' ? 'ew-resize' : 'grabbing';
+      } else if (hover) {
+        canvas.style.cursor = hover.handle === 'ring' ? 'ew-resize' : 'grab';
+      } else {
+        canvas.style.cursor = 'crosshair';
+      }
+    };
+
+    const handleMouseDown = (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+
+      const clusterSystem = clusterSystemRef.current;
+      const { x, y } = canvasPoint(canvas, e);
+      const handle = clusterSystem.getHandleAtPoint(x, y);
+
+      if (e.shiftKey) {
+        const cluster = clusterSystem.addCluster(x, y, randomRef.current);
+        edit.hover = { cluster, handle: 'center' };
+        regenerateLayers();
+      } else if (e.altKey) {
+        // A figure needs at least one cluster
+        if (handle && clusterSystem.clusters.length > 1) {
+          clusterSystem.removeCluster(handle.cluster.id);
+          edit.hover = null;
+          regenerateLayers();
+        }
+      } else if (handle) {
+        const { cluster } = handle;
+        edit.hover = handle;
+        edit.drag = { ...handle, offsetX: cluster.x - x, offsetY: cluster.y - y, moved: false };
+        redraw();
+      }
+      updateCursor();
+    };
+
+    const handleMouseMove = (e) => {
+      const clusterSystem = clusterSystemRef.current;
+      const { x, y } = canvasPoint(canvas, e);
+
+      if (edit.drag) {
+        const { cluster, handle, offsetX, offsetY } = edit.drag;
+        if (handle === 'ring') {
+          const radius = Math.hypot(x - cluster.x, y - cluster.y);
+          clusterSystem.updateCluster(cluster.id, {
+            radius: Math.max(CLUSTER_RADIUS_RANGE.min, Math.min(CLUSTER_RADIUS_RANGE.max, radius))
+          });
+        } else {
+          // Keep the centre inside the padding, as added clusters are
+          const { padding, width, height } = clusterSystem;
+          clusterSystem.updateCluster(cluster.id, {
+            x: Math.max(padding, Math.min(width - padding, x + offsetX)),
+            y: Math.max(padding, Math.min(height - padding, y + offsetY))
+          });
+        }
+        edit.drag.moved = true;
+        redraw();
+        return;
+      }
+
+      const hover = e.target === canvas ? clusterSystem.getHandleAtPoint(x, y) : null;
+      const changed = (hover && hover.cluster.id) !== (edit.hover && edit.hover.cluster.id) ||
+        (hover && hover.handle) !== (edit.hover && edit.hover.handle);
+      if (changed) {
+        edit.hover = hover;
+        updateCursor();
+        redraw();
+      }
+    };
+
+    const handleMouseUp = () => {
+      if (!edit.drag) return;
+      const { moved } = edit.drag;
+      edit.drag = null;
+      updateCursor();
+      if (moved) {
+        regenerateLayers();
+      } else {
+        redraw();
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setIsEditingClusters(false);
+      }
+    };
+
+    updateCursor();
+    canvas.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      canvas.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      window.removeEventListener('keydown', handleKeyDown);
+      canvas.style.cursor = '';
+    };
+  }, [isEditingClusters, is3D, render]);
+
+  // Inspect the figure: hovering names the element under the pointer, clicking selects it.
+  // Off while editing clusters, whose handles take the pointer
+  useEffect(() => {
+    if (isEditingClusters) return;
+
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const inspect = inspectRef.current;
+    let frame = null;
+
+    const hitAt = (e) => {
+      const layerManager = layerManagerRef.current;
+      const { x, y } = canvasPoint(canvas, e);
+      const hit = layerManager.hitTest(x, y);
+      // Tied to the data it was found in, so it's dropped once that is regenerated
+      return hit && { ...hit, allData: layerManager.generatedData };
+    };
+
+    const handleMouseMove = (e) => {
+      if (isDraggingCameraRef.current) return;
+      const { clientX, clientY } = e;
+      // One hit test per frame however fast the pointer moves
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        const hit = hitAt({ clientX, clientY });
+        const changed = (hit && hit.element) !== (inspect.hover && inspect.hover.element);
+        inspect.hover = hit;
+        setHoverInfo(hit ? { hit, x: clientX, y: clientY } : null);
+        if (changed) {
+          render(animationTimeRef.current, false);
+        }
+      });
+    };
+
+    const clearHover = () => {
+      cancelAnimationFrame(frame);
+      if (inspect.hover) {
+        inspect.hover = null;
+        setHoverInfo(null);
+        render(animationTimeRef.current, false);
+      }
+    };
+
+    const handleClick = (e) => {
+      // Cmd/Ctrl + drag turns the camera in 3D
+      if (e.metaKey || e.ctrlKey) return;
+      const hit = hitAt(e);
+      inspect.selected = hit;
+      setSelection(hit);
+      render(animationTimeRef.current, false);
+    };
+
+    canvas.addEventListener('mousemove', handleMouseMove);
+    canvas.addEventListener('mouseleave', clearHover);
+    canvas.addEventListener('click', handleClick);
+
+    return () => {
+      canvas.removeEventListener('mousemove', handleMouseMove);
+      canvas.removeEventListener('mouseleave', clearHover);
+      canvas.removeEventListener('click', handleClick);
+      clearHover();
+    };
+  }, [isEditingClusters, render]);
+
+  /**
+   * Change a field of the selected element
+   * The layer manager keeps the change over regenerations, and edition codes carry it
+   * @param {string} name - Field name
+   * @param {*} value - New value
+   */
+  const updateSelectedField = useCallback((name, value) => {
+    const hit = inspectRef.current.selected;
+    const layerManager = layerManagerRef.current;
+    if (!hit || !layerManager.editElement(hit.layer, hit.element, name, value)) return;
+
+    if (hit.shape.kind === 'circle' && ['x', 'y', 'radius'].includes(name)) {
+      hit.shape[name] = value;
+    }
+    setElementEdits(layerManager.elementEdits);
+    setSelection({ ...hit });
+    render(animationTimeRef.current, false);
+  }, [render]);
+
+  const clearSelection = useCallback(() => {
+    inspectRef.current.selected = null;
+    setSelection(null);
+    render(animationTimeRef.current, false);
+  }, [render]);
 
   // Note: Removed duplicate useEffect for clusterCount - handled above
 
   // Initial render
   useEffect(() => {
+    if (redrawingRef.current) return; // Redraw's own render is already generating
     // Initial render with data generation
-    render(0, true); // true = generate data
+    render(animationTimeRef.current, true); // true = generate data
   }, [render]);
 
+  // Animation loop - advance the clock and redraw the cached scene every frame
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frame;
+    let lastTimestamp = null;
+    const tick = (timestamp) => {
+      if (lastTimestamp !== null) {
+        // Cap the step so a backgrounded tab doesn't jump ahead when it returns
+        const elapsed = Math.min(timestamp - lastTimestamp, 100);
+        animationTimeRef.current += (elapsed / FRAME_DURATION) * animationSpeed;
+      }
+      lastTimestamp = timestamp;
+
+      render(animationTimeRef.current, false);
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, animationSpeed, render]);
+
   // Handle window resize - redraw canvas without regenerating data
   useEffect(() => {
     const handleResize = () => {
       if (canvasRef.current) {
         // Trigger a redraw without regenerating data
-        render(0, false); // false = don't regenerate data, just redraw
+        render(animationTimeRef.current, false); // false = don't regenerate data, just redraw
       }
     };
 
@@ -493,7 +1261,7 @@ const TangleMapApp = () => {
     const handleBeforeUnload = () => {
       if (canvasRef.current) {
         // Trigger a redraw before page refreshes
-        render(0, false); // false = don't regenerate data, just redraw
+        render(animationTimeRef.current, false); // false = don't regenerate data, just redraw
       }
     };
 
@@ -515,18 +1283,84 @@ const TangleMapApp = () => {
     });
   }, []);
 
-  // Generate unique edition identifier
-  const generateEditionId = useCallback(() => {
-    const year = new Date().getFullYear().toString().slice(-2); // Last 2 digits
-    const random = Math.floor(Math.random() * 1000000);
-    return `00${year}-${random.toString(36).toUpperCase()}`;
+  // Settings that edition codes are encoded against
+  const editionDefaults = useMemo(() => ({
+    padding: DEFAULT_PARAMETERS.padding,
+    noiseScale: DEFAULT_PARAMETERS.noiseScale,
+    layers: layerDefaults.layers,
+    layerOrder: layerDefaults.layerOrder,
+    theme: DEFAULT_THEME,
+    baseTheme: themeSystemRef.current.getTheme(DEFAULT_THEME)
+  }), [layerDefaults]);
+
+  // Edition identifier - encodes everything needed to redraw this figure
+  const editionId = useMemo(() => {
+    try {
+      return encodeEdition({
+        seed,
+        clusterCount: parameters.clusterCount,
+        padding: parameters.padding,
+        noiseScale: parameters.noiseScale,
+        layers,
+        layerOrder,
+        layerParams,
+        layerOpacity,
+        layerBlendModes,
+        year: editionYear,
+        legacy: legacyRandom,
+        theme: themeName,
+        palette,
+        size: sceneSize,
+        clusters: editedClusters,
+        elementEdits,
+        // Custom themes only exist where they were made, so their colors go along (saving
+        // one again sets a new palette object, which recomputes the code)
+        customTheme: themeSystemRef.current.customThemes.get(themeName) || null
+      }, editionDefaults);
+    } catch (e) {
+      console.warn('Failed to encode edition:', e);
+      return null;
+    }
+  }, [seed, parameters, layers, layerOrder, layerParams, layerOpacity, layerBlendModes, editionYear, legacyRandom, themeName, palette, sceneSize, editedClusters, elementEdits, editionDefaults]);
+
+  // Kept in a ref so render() always letters the title block with the latest code
+  editionRef.current = { id: editionId, seed };
+
+  // Draw the current scene on from blank paper, redrawing the cached data every frame
+  const playReveal = useCallback((duration) => {
+    const state = revealRef.current;
+    cancelAnimationFrame(state.frame);
+
+    let start = null;
+    const step = (timestamp) => {
+      if (start === null) start = timestamp;
+      state.progress = Math.min(1, (timestamp - start) / duration);
+      render(animationTimeRef.current, false);
+      state.frame = state.progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    state.frame = requestAnimationFrame(step);
+  }, [render]);
+
+  // Stop a running reveal when the app goes away
+  useEffect(() => {
+    const state = revealRef.current;
+    return () => cancelAnimationFrame(state.frame);
+  }, []);
+
+  // Forget the clusters placed by hand; the next figure generates its own
+  const clearClusterEdits = useCallback(() => {
+    editedClustersRef.current = null;
+    setEditedClusters(null);
   }, []);
 
-  // Simple regenerate with fade transition
+  // Simple regenerate with fade transition, or the map drawing itself on
   const regenerate = useCallback(async () => {
     if (isAnimating) return; // Prevent multiple animations
     
     setIsAnimating(true);
+
+    // A redraw during a reveal cuts it short
+    cancelAnimationFrame(revealRef.current.frame);
     
     // Quick fade out (300ms)
     setCanvasTransitionDuration('300ms');
@@ -536,24 +1370,53 @@ const TangleMapApp = () => {
     // Wait for fade out to complete
     await new Promise(resolve => setTimeout(resolve, 350));
     
-    // Generate new data
-    setSeed(Math.floor(Math.random() * 10000));
-    setEditionId(generateEditionId());
+    // Generate new data - seed the generator now so this render already uses it
+    const newSeed = Math.floor(Math.random() * 10000);
+    randomRef.current.setSeed(newSeed, false);
+    setSeed(newSeed);
+    setEditionYear(new Date().getFullYear());
+    setLegacyRandom(false);
     
     // Randomize cluster count within bounds (1-6)
     const newClusterCount = Math.floor(Math.random() * 6) + 1; // 1 to 6
+    // Generate once, with the new count; the effects the state changes set off leave it to us
+    redrawingRef.current = { clusterCount: newClusterCount };
     setParameters(prev => ({ ...prev, clusterCount: newClusterCount }));
     
     clusterSystemRef.current.clusters = []; // Clear existing clusters
+    sceneSizeRef.current = null; // A new figure is laid out at the canvas size
+    clearClusterEdits();
+    layerManagerRef.current.setElementEdits([]);
+    setElementEdits([]);
+
+    // Drawing on starts from blank paper
+    const drawOn = reveal.mode === 'draw';
+    revealRef.current.progress = drawOn ? 0 : 1;
     
     // Render new data while wrapper is at opacity 0 (invisible)
-    render(0, true); // Regenerate data
+    render(animationTimeRef.current, true); // Regenerate data
+
+    // Wait for the new figure: the worker request can be replaced by a newer one (a resize,
+    // a setting changed meanwhile), so wait for whichever draws the data last
+    await sceneGeneratorRef.current.whenIdle();
     
     // Wait a moment for render to complete
     await new Promise(resolve => setTimeout(resolve, 100));
+    redrawingRef.current = null;
     
     // Enable button immediately after render completes - don't wait for fade-in
     setIsAnimating(false);
+
+    if (drawOn) {
+      // Bring the paper back quickly, then let the layers draw themselves on
+      setCanvasTransitionDuration('300ms');
+      setCanvasOpacity(1);
+      playReveal(reveal.duration);
+      setTimeout(() => {
+        setEditionIdOpacity(1);
+      }, 500);
+      return;
+    }
     
     // Change to slower fade in transition (1500ms for smoother effect)
     setCanvasTransitionDuration('1500ms');
@@ -576,14 +1439,7 @@ const TangleMapApp = () => {
     setTimeout(() => {
       setEditionIdOpacity(1);
     }, 500);
-  }, [render, generateEditionId, isAnimating]);
-
-  // Initialize edition ID on first load
-  useEffect(() => {
-    if (!editionId) {
-      setEditionId(generateEditionId());
-    }
-  }, [editionId, generateEditionId]);
+  }, [render, isAnimating, reveal, playReveal, clearClusterEdits]);
 
   // Trigger initial fade-in after first render
   useEffect(() => {
@@ -622,6 +1478,21 @@ const TangleMapApp = () => {
     }));
   }, []);
 
+  // Layer opacity and blend mode; only values that differ from opaque and normal are kept
+  const updateLayerOpacity = useCallback((layerName, opacity) => {
+    setLayerOpacity(prev => {
+      const { [layerName]: previous, ...rest } = prev;
+      return opacity === 1 ? rest : { ...rest, [layerName]: opacity };
+    });
+  }, []);
+
+  const updateLayerBlendMode = useCallback((layerName, blendMode) => {
+    setLayerBlendModes(prev => {
+      const { [layerName]: previous, ...rest } = prev;
+      return blendMode === 'source-over' ? rest : { ...rest, [layerName]: blendMode };
+    });
+  }, []);
+
   // @dnd-kit drag and drop handler
   const handleDragEnd = useCallback((event) => {
     const { active, over } = event;
@@ -636,30 +1507,376 @@ const TangleMapApp = () => {
     }
   }, []);
 
-  // Debounced render for parameter updates
-  const debouncedRenderRef = useRef(null);
-  
-  // Update layer parameter with no immediate render
-  const updateLayerParameter = useCallback((layerName, paramName, value) => {
-    const layer = layerManagerRef.current.getLayer(layerName);
-    if (layer && layer[paramName] !== undefined) {
-      layer[paramName] = value;
-      
-      // If grid parameters change, we need to regenerate all data
-      if (layerName === 'grid') {
-        // Clear cached data so it gets regenerated
-        layerManagerRef.current.generatedData = new Map();
-      }
-      
-      // Don't trigger any React re-renders - just update the layer property
+  // Export the current composition as layered vector artwork
+  const exportSvg = useCallback(() => {
+    try {
+      const exporter = new SvgExporter(layerManagerRef.current);
+      exporter.download(`tangle-map-${editionId || seed}.svg`);
+    } catch (e) {
+      console.warn('Failed to export SVG:', e);
     }
-  }, []);
+  }, [editionId, seed]);
+
+  // Render frames of the current map (animated, drawn on or orbited) and save them as WebM or GIF
+  const exportAnimation = useCallback(async () => {
+    const manager = layerManagerRef.current;
+    const transform3D = transform3DRef.current;
+    const params = manager.renderParams;
+    if (!params || !transform3D || animationExporterRef.current) return;
+
+    const { preset, format, fps, duration, width } = animationExport;
+    // Keep the map's aspect ratio, in even pixel sizes for video encoders
+    const height = Math.round((width * params.height) / params.width / 2) * 2;
+
+    // The export borrows the clock, reveal and camera; put them back afterwards
+    const wasPlaying = isPlaying;
+    const startRotation = { x: transform3D.rotationX, y: transform3D.rotationY };
+    setIsPlaying(false);
+    cancelAnimationFrame(revealRef.current.frame);
+
+    const exporter = new AnimationExporter((ctx, frame) => {
+      revealRef.current.progress = frame.reveal;
+      transform3D.setRotation(startRotation.x, frame.rotationY);
+      render(frame.time, false, { ctx, is3D: frame.is3D });
+    });
+    animationExporterRef.current = exporter;
+    setExportError(null);
+    setExportProgress('Starting…');
+
+    try {
+      const blob = await exporter.export({
+        format,
+        preset,
+        fps,
+        duration,
+        width,
+        height,
+        sourceWidth: params.width,
+        sourceHeight: params.height,
+        background: manager.backgroundColor,
+        startTime: animationTimeRef.current,
+        speed: animationSpeed,
+        startRotationY: startRotation.y,
+        is3D,
+        onProgress: (done, total) => setExportProgress(`Rendering frame ${done} of ${total}`)
+      });
+      downloadFile(blob, `tangle-map-${editionId || seed}-${preset}.${ANIMATION_FORMATS[format].extension}`);
+    } catch (e) {
+      console.warn('Failed to export animation:', e);
+      setExportError(e.message);
+    } finally {
+      animationExporterRef.current = null;
+      setExportProgress(null);
+      revealRef.current.progress = 1;
+      transform3D.setRotation(startRotation.x, startRotation.y);
+      render(animationTimeRef.current, false);
+      setIsPlaying(wasPlaying);
+    }
+  }, [animationExport, isPlaying, animationSpeed, is3D, render, editionId, seed]);
+
+  // Draw the figure on screen at print size and save it as a PNG tagged with its DPI
+  const exportPoster = useCallback(async () => {
+    const params = layerManagerRef.current.renderParams;
+    if (!params) return;
+
+    setPosterStatus({ busy: true });
+    await new Promise(resolve => setTimeout(resolve, 0)); // Show the status before the long render
+
+    try {
+      const exporter = new PosterExporter(layerManagerRef.current);
+      const blob = await exporter.export({ ...posterExport, params });
+      const { label } = PAPER_SIZES[posterExport.paper];
+      downloadFile(blob, `tangle-map-${editionId || seed}-${label.replace(/\s+/g, '-').toLowerCase()}-${posterExport.dpi}dpi.png`);
+      setPosterStatus(null);
+    } catch (e) {
+      console.warn('Failed to export poster:', e);
+      setPosterStatus({ error: e.message });
+    }
+  }, [posterExport, seed, editionId]);
+
+  // Reduce the current composition to pen strokes and save it as a plotter-ready SVG
+  const exportPlotter = useCallback(async () => {
+    setPlotterStatus({ busy: true });
+    await new Promise(resolve => setTimeout(resolve, 0)); // Show the status before the path optimization
+
+    try {
+      const exporter = new PlotterExporter(layerManagerRef.current);
+      const result = exporter.export(plotterExport);
+      const name = `tangle-map-${editionId || seed}-plot`;
+      if (plotterExport.separateFiles) {
+        result.files.forEach(file => downloadFile(file.svg, `${name}-${file.name}.svg`, 'image/svg+xml;charset=utf-8'));
+      } else {
+        downloadFile(result.svg, `${name}.svg`, 'image/svg+xml;charset=utf-8');
+      }
+      setPlotterStatus({
+        pens: result.pens.length,
+        paths: result.pens.reduce((sum, pen) => sum + pen.paths, 0),
+        seconds: result.seconds,
+        skippedText: result.skippedText
+      });
+    } catch (e) {
+      console.warn('Failed to export plotter SVG:', e);
+      setPlotterStatus({ error: e.message });
+    }
+  }, [plotterExport, editionId, seed]);
+
+  const cancelAnimationExport = useCallback(() => {
+    if (animationExporterRef.current) {
+      animationExporterRef.current.cancel();
+    }
+  }, []);
+
+  // Debounced render for parameter updates
+  const debouncedRenderRef = useRef(null);
+  
+  // Update layer parameter with no immediate render
+  const updateLayerParameter = useCallback((layerName, paramName, value) => {
+    const layer = layerManagerRef.current.getLayer(layerName);
+    if (layer && layer[paramName] !== undefined) {
+      // Remember the original value so loading an edition can restore it
+      const originals = tunedDefaultsRef.current[layerName] || (tunedDefaultsRef.current[layerName] = {});
+      if (!(paramName in originals)) {
+        originals[paramName] = layer[paramName];
+      }
+
+      const tuned = tunedParamsRef.current[layerName] || (tunedParamsRef.current[layerName] = {});
+      if (value === originals[paramName]) {
+        delete tuned[paramName];
+        if (Object.keys(tuned).length === 0) {
+          delete tunedParamsRef.current[layerName];
+        }
+      } else {
+        tuned[paramName] = value;
+      }
+
+      layer[paramName] = value;
+      
+      // Most parameters feed data generation, so regenerate to keep the figure
+      // identical to what its edition code reproduces (colors only affect drawing)
+      if (layerName === 'grid' || !/color/i.test(paramName)) {
+        // Clear cached data so it gets regenerated
+        layerManagerRef.current.generatedData = new Map();
+      }
+      
+      // Don't trigger any React re-renders - just update the layer property
+    }
+  }, []);
+
+  // Snapshot tuned parameters into state so the edition code picks them up
+  const commitLayerParams = useCallback(() => {
+    const snapshot = {};
+    Object.entries(tunedParamsRef.current).forEach(([layerName, params]) => {
+      snapshot[layerName] = { ...params };
+    });
+    setLayerParams(snapshot);
+  }, []);
+
+  /**
+   * Apply a theme with a palette variation; together they take over all layer colors and the background
+   * @param {string} name - Theme name
+   * @param {Object} variation - Palette variation ({ hueShift, saturation, brightness })
+   * @returns {boolean} Whether the theme exists
+   */
+  const applyColorway = useCallback((name, variation) => {
+    const themeSystem = themeSystemRef.current;
+    if (!themeSystem.setTheme(name)) return false;
+    themeSystem.applyTheme(layerManagerRef.current, themeSystem.generateThemeVariation(name, variation));
+
+    // Drop color tweaks so edition codes don't carry colors from the previous colorway
+    [tunedParamsRef.current, tunedDefaultsRef.current].forEach(params => {
+      Object.entries(params).forEach(([layerName, layerParams]) => {
+        Object.keys(layerParams)
+          .filter(paramName => /color/i.test(paramName))
+          .forEach(paramName => delete layerParams[paramName]);
+        if (Object.keys(layerParams).length === 0) {
+          delete params[layerName];
+        }
+      });
+    });
+
+    setThemeName(name);
+    setPalette({ ...DEFAULT_PALETTE, ...variation });
+    setThemeDraft(null); // Any theme being edited is discarded
+    setEditionRevision(revision => revision + 1); // Refresh color inputs
+    return true;
+  }, []);
+
+  // Save custom themes so they survive a reload
+  const persistCustomThemes = useCallback(() => {
+    try {
+      if (typeof window === 'undefined' || !window.localStorage) return;
+      localStorage.setItem(STORAGE_KEYS.customThemes, JSON.stringify(themeSystemRef.current.getCustomThemes()));
+    } catch (e) {
+      console.warn('Failed to save custom themes:', e);
+    }
+  }, []);
+
+  /**
+   * Restore a figure from its edition code
+   * @param {string} code - Edition code
+   * @returns {boolean} Whether the code could be loaded
+   */
+  const loadEdition = useCallback((code) => {
+    let edition;
+    try {
+      edition = decodeEdition(code, editionDefaults);
+    } catch (e) {
+      setEditionError(e.message);
+      return false;
+    }
+
+    const layerManager = layerManagerRef.current;
+
+    // Put every tuned property back to its original value, then apply the edition's
+    Object.entries(tunedDefaultsRef.current).forEach(([layerName, originals]) => {
+      const layer = layerManager.getLayer(layerName);
+      if (layer) {
+        Object.assign(layer, originals);
+      }
+    });
+    tunedParamsRef.current = {};
+    // A custom theme comes with the code; it joins the saved themes (or finds itself there)
+    let colorway = edition.theme;
+    if (edition.customTheme) {
+      try {
+        colorway = themeSystemRef.current.importSharedTheme(edition.customTheme);
+        persistCustomThemes();
+      } catch (e) {
+        console.warn('Failed to load the edition\'s theme:', e);
+      }
+    }
+    applyColorway(colorway, edition.palette);
+    Object.entries(edition.layerParams).forEach(([layerName, params]) => {
+      Object.entries(params).forEach(([paramName, value]) => {
+        updateLayerParameter(layerName, paramName, value);
+      });
+    });
+    commitLayerParams();
+
+    // Keep layers the edition does not know about (e.g. added later) in the order
+    const knownLayers = layerManager.layerOrder.filter(name => !edition.layerOrder.includes(name));
+    const order = [...edition.layerOrder.filter(name => layerManager.getLayer(name)), ...knownLayers];
+
+    randomRef.current.setSeed(edition.seed, edition.legacy);
+    setSeed(edition.seed);
+    setEditionYear(edition.year);
+    setLegacyRandom(edition.legacy);
+    setParameters(prev => ({
+      ...prev,
+      clusterCount: edition.clusterCount,
+      padding: edition.padding,
+      noiseScale: edition.noiseScale
+    }));
+    setLayers(edition.layers);
+    setLayerOpacity(edition.layerOpacity);
+    setLayerBlendModes(edition.layerBlendModes);
+    setLayerOrder(order);
+    layerManager.setLayerOrder(order);
+    // Codes without a size were drawn at whatever size the canvas was
+    sceneSizeRef.current = edition.size;
+    setSceneSize(edition.size);
+    editedClustersRef.current = edition.clusters && { seed: edition.seed, legacy: edition.legacy, clusters: edition.clusters };
+    setEditedClusters(edition.clusters);
+    layerManager.setElementEdits(edition.elementEdits);
+    setElementEdits(edition.elementEdits);
+    setEditionRevision(revision => revision + 1);
+    setEditionError(null);
+    setEditionInput('');
+
+    // Regenerate immediately; effects re-render again if cluster count or padding changed
+    layerManager.generatedData = new Map();
+    if (clusterSystemRef.current) {
+      clusterSystemRef.current.clusters = [];
+    }
+    if (canvasRef.current && renderRef.current) {
+      renderRef.current(animationTimeRef.current, true);
+    }
+    return true;
+  }, [editionDefaults, applyColorway, persistCustomThemes, updateLayerParameter, commitLayerParams]);
+
+  /**
+   * Apply a permalink hash (edition, 3D mode and camera rotation)
+   * @param {string} hash - URL hash
+   * @returns {boolean} Whether the hash described a scene
+   */
+  const loadPermalink = useCallback((hash) => {
+    const scene = parsePermalinkHash(hash);
+    if (!scene) return false;
+
+    // Rotate the camera first so the edition's render already uses it
+    if (scene.rotation && transform3DRef.current) {
+      transform3DRef.current.setRotation(scene.rotation.x, scene.rotation.y);
+    }
+    setRotation(scene.rotation);
+    setIs3D(scene.is3D);
+    return loadEdition(scene.edition);
+  }, [loadEdition]);
+
+  // Kept in a ref so the mount effect below can use it without re-running
+  loadPermalinkRef.current = loadPermalink;
+
+  // Open the scene from the URL once; it takes precedence over the saved tm_* state
+  useEffect(() => {
+    if (loadPermalinkRef.current(window.location.hash)) {
+      skipUrlSyncRef.current = true;
+    }
+  }, []);
+
+  // Mirror the scene in the URL: new editions push a history entry, tweaks replace it
+  useEffect(() => {
+    if (!editionId) return;
+    if (skipUrlSyncRef.current) {
+      // Wait until the state loaded from the URL has been applied
+      skipUrlSyncRef.current = false;
+      return;
+    }
+
+    const isNewEdition = urlSeedRef.current !== null && urlSeedRef.current !== seed;
+    urlSeedRef.current = seed;
+
+    const hash = buildPermalinkHash({ edition: editionId, is3D, rotation });
+    if (window.location.hash === hash) return;
+
+    if (isNewEdition) {
+      window.history.pushState(null, '', hash);
+    } else {
+      window.history.replaceState(null, '', hash);
+    }
+  }, [editionId, seed, is3D, rotation]);
+
+  // Step between visited editions with browser back/forward
+  useEffect(() => {
+    const handleHistoryChange = () => {
+      const hash = buildPermalinkHash({ edition: editionId, is3D, rotation });
+      if (window.location.hash !== hash && loadPermalink(window.location.hash)) {
+        urlSeedRef.current = null; // The URL already matches; don't push it again
+      }
+    };
+
+    window.addEventListener('popstate', handleHistoryChange);
+    window.addEventListener('hashchange', handleHistoryChange);
+    return () => {
+      window.removeEventListener('popstate', handleHistoryChange);
+      window.removeEventListener('hashchange', handleHistoryChange);
+    };
+  }, [editionId, is3D, rotation, loadPermalink]);
+
+  // Copy a link that reopens the current composition
+  const copyPermalink = useCallback(() => {
+    const url = `${window.location.origin}${window.location.pathname}${buildPermalinkHash({ edition: editionId, is3D, rotation })}`;
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(e => console.warn('Failed to copy link:', e));
+    } else {
+      console.warn('Clipboard not available:', url);
+    }
+  }, [editionId, is3D, rotation]);
 
   // Debounced render for parameter changes
   const renderTimeoutRef = useRef(null);
   
   // Manual render trigger for when user finishes adjusting
   const triggerRender = useCallback(() => {
+    commitLayerParams();
     if (canvasRef.current) {
       // Clear existing timeout
       if (renderTimeoutRef.current) {
@@ -674,32 +1891,222 @@ const TangleMapApp = () => {
           // Use requestAnimationFrame for smoother rendering
           requestAnimationFrame(() => {
             if (canvasRef.current) {
-              render(0, needsRegeneration);
+              render(animationTimeRef.current, needsRegeneration);
             }
           });
         }
       }, 50); // 50ms = 20fps for much better performance
     }
-  }, [render]);
+  }, [render, commitLayerParams]);
+
+  // Switch theme, keeping the current palette variation
+  const selectTheme = useCallback((name) => {
+    if (applyColorway(name, palette)) {
+      triggerRender();
+    }
+  }, [applyColorway, palette, triggerRender]);
+
+  /**
+   * Add (or replace) a custom theme and switch to it
+   * @param {string} name - Theme name; built-in theme keys are reserved
+   * @param {Object} themeData - Theme data
+   * @returns {boolean} Whether the theme was valid and saved
+   */
+  const saveCustomTheme = useCallback((name, themeData) => {
+    const themeSystem = themeSystemRef.current;
+    if (themeSystem.themes.has(name)) {
+      setThemeError(`"${name}" is a built-in theme; pick another name`);
+      return false;
+    }
+
+    try {
+      themeSystem.importTheme(name, themeData);
+    } catch (e) {
+      setThemeError(e.message);
+      return false;
+    }
+
+    persistCustomThemes();
+    setThemeError(null);
+    // The variation is baked into the saved colors
+    applyColorway(name, DEFAULT_PALETTE);
+    triggerRender();
+    return true;
+  }, [applyColorway, persistCustomThemes, triggerRender]);
+
+  // Start editing a copy of the theme as drawn
+  const openThemeEditor = useCallback(() => {
+    setThemeDraft(JSON.parse(JSON.stringify(activeTheme)));
+    setThemeDraftName('');
+    setThemeError(null);
+  }, [activeTheme]);
+
+  // Stop editing and put the selected theme back
+  const closeThemeEditor = useCallback(() => {
+    setThemeError(null);
+    applyColorway(themeName, palette);
+    triggerRender();
+  }, [applyColorway, themeName, palette, triggerRender]);
+
+  /**
+   * Change one color of the theme being edited
+   * @param {string|null} slot - Theme slot (e.g. 'nodes'), or null for top-level colors like the background
+   * @param {string} key - Color key within the slot
+   * @param {string} value - New color
+   */
+  const updateThemeDraft = useCallback((slot, key, value) => {
+    setThemeDraft(prev => {
+      const draft = slot ? { ...prev, [slot]: { ...prev[slot], [key]: value } } : { ...prev, [key]: value };
+      themeSystemRef.current.applyTheme(layerManagerRef.current, draft);
+      return draft;
+    });
+    triggerRender();
+  }, [triggerRender]);
+
+  const saveThemeDraft = useCallback(() => {
+    const name = themeDraftName.trim();
+    if (!name) {
+      setThemeError('Give the theme a name first');
+      return;
+    }
+    saveCustomTheme(name, { ...themeDraft, description: 'Custom theme' });
+  }, [themeDraft, themeDraftName, saveCustomTheme]);
+
+  const deleteCurrentTheme = useCallback(() => {
+    const themeSystem = themeSystemRef.current;
+    if (!themeSystem.deleteCustomTheme(themeName)) return;
+    persistCustomThemes();
+    applyColorway(DEFAULT_THEME, palette);
+    triggerRender();
+  }, [themeName, palette, applyColorway, persistCustomThemes, triggerRender]);
+
+  // Download the theme as drawn (or the one being edited) as a JSON file
+  const exportTheme = useCallback(() => {
+    const theme = themeDraft || themeSystemRef.current.exportCurrentTheme(palette);
+    const slug = String(theme.name || themeName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadFile(JSON.stringify(theme, null, 2), `${slug || 'theme'}.json`, 'application/json');
+  }, [themeDraft, themeName, palette]);
+
+  // Read a theme JSON file picked by the user
+  const importThemeFile = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    let themeData;
+    try {
+      themeData = JSON.parse(await file.text());
+    } catch {
+      setThemeError('Theme file is not valid JSON');
+      return;
+    }
+
+    const name = (themeData && typeof themeData.name === 'string' && themeData.name.trim()) || file.name.replace(/\.json$/i, '');
+    saveCustomTheme(name, themeData);
+  }, [saveCustomTheme]);
+
+  // Read a concept graph (JSON or CSV edge list) picked by the user
+  const loadConceptGraphFile = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    try {
+      setConceptGraph(parseConceptGraph(await file.text(), file.name));
+      clusterSystemRef.current.clusters = []; // Place the concepts, even over edited clusters
+      clearClusterEdits();
+      setConceptGraphName(file.name);
+      setGraphError(null);
+    } catch (error) {
+      setGraphError(error.message);
+    }
+  }, [clearClusterEdits]);
+
+  const clearConceptGraph = useCallback(() => {
+    setConceptGraph(null);
+    clusterSystemRef.current.clusters = [];
+    clearClusterEdits();
+    setConceptGraphName('');
+    setGraphError(null);
+  }, [clearClusterEdits]);
+
+  // Change one "Vary palette" slider
+  const updatePalette = useCallback((key, value) => {
+    if (applyColorway(themeName, { ...palette, [key]: value })) {
+      triggerRender();
+    }
+  }, [applyColorway, themeName, palette, triggerRender]);
+
+  // Derive a colorway from the edition seed, so each edition has its own but it reproduces
+  const randomizePalette = useCallback(() => {
+    const variation = themeSystemRef.current.generateRandomVariation(new SeededRandom(seed).fork('palette'));
+    if (applyColorway(themeName, variation)) {
+      triggerRender();
+    }
+  }, [applyColorway, themeName, seed, triggerRender]);
 
   // Update layer manager order when layer order changes
   useEffect(() => {
     if (layerManagerRef.current) {
       // Ensure layer order is not empty before setting it
       if (layerOrder.length > 0) {
+        const currentOrder = layerManagerRef.current.layerOrder;
+        const orderChanged = currentOrder.length !== layerOrder.length ||
+          currentOrder.some((name, i) => name !== layerOrder[i]);
         layerManagerRef.current.setLayerOrder(layerOrder);
+        // Layers read data generated before them, so a new order means new data
+        if (orderChanged) {
+          layerManagerRef.current.generatedData = new Map();
+        }
         // Trigger a re-render when layer order changes
         triggerRender();
       }
     }
   }, [layerOrder, triggerRender]);
 
+  // Opacity and blend mode controls, shared by every layer
+  const renderLayerBlending = (layerName) => {
+    const opacity = layerOpacity[layerName] !== undefined ? layerOpacity[layerName] : 1;
+    return (
+      <>
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="text-xs text-gray-600">Opacity</label>
+            <span className="text-xs text-gray-500 font-mono">{Math.round(opacity * 100)}%</span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={opacity}
+            onChange={(e) => updateLayerOpacity(layerName, parseFloat(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            style={{ accentColor: '#334155' }}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Blend Mode</label>
+          <select
+            value={layerBlendModes[layerName] || 'source-over'}
+            onChange={(e) => updateLayerBlendMode(layerName, e.target.value)}
+            className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+          >
+            {Object.entries(BLEND_MODES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </>
+    );
+  };
+
   // Render parameters for a specific layer
   const renderLayerParameters = useCallback((layerName) => {
     const layer = layerManagerRef.current.getLayer(layerName);
     if (!layer) return null;
 
-    const renderSlider = (paramName, min, max, step = 1, unit = '') => {
+    const renderSlider = (paramName, min, max, step = 1, unit = '', label = null) => {
       const currentValue = layer[paramName] || min;
       const displayValue = typeof currentValue === 'number' ? currentValue.toFixed(step < 1 ? 2 : 0) : currentValue;
       
@@ -707,7 +2114,7 @@ const TangleMapApp = () => {
         <div key={paramName}>
           <div className="flex items-center justify-between mb-1">
             <label className="text-xs text-gray-600 capitalize">
-              {paramName.replace(/([A-Z])/g, ' $1').toLowerCase()} {unit && `(${unit})`}
+              {label || paramName.replace(/([A-Z])/g, ' $1').toLowerCase()} {unit && `(${unit})`}
             </label>
             <span className="text-xs text-gray-500 font-mono">
               {displayValue}
@@ -794,124 +2201,96 @@ const TangleMapApp = () => {
       );
     };
 
-    switch (layerName) {
-      case 'grid':
-        return (
-          <>
-            {renderSlider('gridSize', 16, 128, 8, 'px')}
-            {renderSlider('lineWidth', 0.1, 2, 0.1, 'px')}
-            {renderColorInput('color', 'Grid Color')}
-          </>
-        );
-
-      case 'panels':
-        return (
-          <>
-            {renderSlider('columns', 4, 32, 1)}
-            {renderSlider('rows', 3, 24, 1)}
-            {renderSlider('fillRatio', 0, 1, 0.05)}
-            {renderSlider('lineWidth', 0.1, 2, 0.1, 'px')}
-            {renderColorInput('lineColor', 'Line Color')}
-          </>
-        );
-
-
-      case 'arcs':
-        return (
-          <>
-            {renderSlider('lineWidth', 0.5, 3, 0.1, 'px')}
-            {renderSlider('solidRatio', 0, 1, 0.05)}
-            {renderSlider('circleProbability', 0, 1, 0.05)}
-            {renderSlider('concentricProbability', 0, 1, 0.05)}
-            {renderColorInput('color', 'Arc Color')}
-          </>
-        );
-
-      case 'infrastructure':
-        return (
-          <>
-            {renderSlider('connectionLineWidth', 0.3, 2, 0.1, 'px')}
-            {renderSlider('staticLineWidth', 1, 5, 0.2, 'px')}
-            {renderColorInput('connectionColor', 'Connection Color')}
-            {renderColorInput('staticLineColor', 'Static Line Color')}
-          </>
-        );
-
-      case 'plotAreas':
-        return (
-          <>
-            {renderSlider('baseLineWidth', 0.5, 3, 0.1, 'px')}
-            {renderColorInput('structureColor', 'Plot Color')}
-          </>
-        );
-
-      case 'particles':
-        return (
-          <>
-            {renderColorInput('color', 'Particle Color')}
-          </>
-        );
-
-      case 'nodes':
-        return (
-          <>
-            {renderSlider('nodeLineWidth', 0.5, 3, 0.1, 'px')}
-            {renderSlider('connectionLineWidth', 0.3, 2, 0.1, 'px')}
-            {renderColorInput('nodeColor', 'Node Color')}
-            {renderColorInput('connectionColor', 'Connection Color')}
-          </>
-        );
-
-      case 'organic':
-        return (
-          <>
-            {renderSlider('lineWidth', 0.5, 3, 0.1, 'px')}
-            {renderSlider('noiseScale', 0.001, 0.02, 0.001)}
-            {renderSlider('angleVariation', 0.1, 2, 0.1, 'rad')}
-            {renderColorInput('color', 'Organic Color')}
-          </>
-        );
-
-          case 'flow':
-            return (
-              <>
-                {renderSlider('primaryWidth', 1, 5, 0.2, 'px')}
-                {renderSlider('secondaryWidth', 0.5, 3, 0.1, 'px')}
-                {renderSlider('roadCurviness', 0, 1, 0.1)}
-                {renderSlider('interestPointDensity', 0, 1, 0.05)}
-                {renderSlider('intersectionRadius', 15, 40, 5, 'px')}
-                {renderSlider('interestPointRadius', 8, 25, 2, 'px')}
-                {renderColorInput('color', 'Road Color')}
-              </>
-            );
-
-      case 'shading':
-        return (
-          <>
-            {renderSlider('boundaryLineWidth', 0.5, 3, 0.1, 'px')}
-            {renderSlider('patternLineWidth', 0.2, 1.5, 0.05, 'px')}
-            {renderColorInput('boundaryColor', 'Boundary Color')}
-            {renderColorInput('fillColor', 'Fill Color')}
-          </>
-        );
-
-      case 'cores':
-        return (
-          <>
-            {renderSlider('lineWidth', 1, 5, 0.2, 'px')}
-            {renderSlider('probability', 0, 1, 0.05)}
-            {renderColorInput('fillColor', 'Fill Color')}
-            {renderColorInput('strokeColor', 'Stroke Color')}
-          </>
-        );
-
-      default:
-        return <div className="text-xs text-gray-500">No parameters available</div>;
+    const renderSelect = (paramName, options, displayName) => (
+      <div key={paramName}>
+        <label className="block text-xs text-gray-600 mb-1">{displayName}</label>
+        <select
+          defaultValue={layer[paramName]}
+          onChange={(e) => {
+            updateLayerParameter(layerName, paramName, e.target.value);
+            triggerRender();
+          }}
+          className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white capitalize focus:outline-none focus:ring-1 focus:ring-slate-400"
+        >
+          {options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+    );
+
+    const renderTextArea = (paramName, displayName, placeholder) => (
+      <div key={paramName}>
+        <label className="block text-xs text-gray-600 mb-1">{displayName}</label>
+        <textarea
+          defaultValue={layer[paramName]}
+          onChange={(e) => updateLayerParameter(layerName, paramName, e.target.value)}
+          onBlur={triggerRender}
+          rows={3}
+          className="w-full px-2 py-1 text-xs border border-gray-300 rounded resize-y focus:outline-none focus:ring-1 focus:ring-slate-400"
+          placeholder={placeholder}
+        />
+      </div>
+    );
+
+    const renderTextInput = (paramName, displayName) => (
+      <div key={paramName}>
+        <label className="block text-xs text-gray-600 mb-1">{displayName}</label>
+        <input
+          type="text"
+          defaultValue={layer[paramName]}
+          onChange={(e) => updateLayerParameter(layerName, paramName, e.target.value)}
+          onBlur={triggerRender}
+          onKeyDown={(e) => e.key === 'Enter' && triggerRender()}
+          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-slate-400"
+        />
+      </div>
+    );
+
+    const renderCheckbox = (paramName, displayName) => (
+      <label key={paramName} className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          defaultChecked={Boolean(layer[paramName])}
+          onChange={(e) => {
+            updateLayerParameter(layerName, paramName, e.target.checked);
+            triggerRender();
+          }}
+          style={{ accentColor: '#334155' }}
+        />
+        {displayName}
+      </label>
+    );
+
+    // Controls come from the layer's parameter schema (see BaseLayer.parameters)
+    const renderParameter = (parameter) => {
+      const { name, type, label = name.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()) } = parameter;
+      switch (type) {
+        case 'number':
+          return renderSlider(name, parameter.min, parameter.max, parameter.step, parameter.unit, parameter.label);
+        case 'color':
+          return renderColorInput(name, label);
+        case 'select':
+          return renderSelect(name, parameter.options, label);
+        case 'boolean':
+          return renderCheckbox(name, label);
+        case 'text':
+          return renderTextInput(name, label);
+        case 'textarea':
+          return renderTextArea(name, label, parameter.placeholder);
+        default:
+          return null;
+      }
+    };
+
+    if (layer.parameters.length === 0) {
+      return <div className="text-xs text-gray-500">No parameters available</div>;
     }
+    return <>{layer.parameters.map(renderParameter)}</>;
   }, [triggerRender, updateLayerParameter]);
 
   return (
-    <div className="w-full h-screen relative overflow-hidden" style={{ background: 'rgba(250, 248, 245, 1)' }}>
+    <div className="w-full h-screen relative overflow-hidden" style={{ background: themeBackground }}>
       {/* Canvas area - directly centered */}
       <div 
         className="absolute inset-0 flex items-center justify-center transition-all duration-500 ease-in-out"
@@ -938,7 +2317,7 @@ const TangleMapApp = () => {
           <canvas 
             ref={canvasRef}
             style={{ 
-              background: 'rgba(250, 248, 245, 1)',
+              background: themeBackground,
               display: 'block',
               maxWidth: '90vw',
               maxHeight: '90vh',
@@ -947,7 +2326,86 @@ const TangleMapApp = () => {
             }}
           />
         </div>
-        
+
+        {/* Generation progress - fades in only if the worker takes a moment */}
+        <div
+          className="absolute top-10 left-1/2 -translate-x-1/2 w-48 pointer-events-none transition-opacity duration-300 ease-in-out"
+          style={{
+            opacity: generationProgress ? 1 : 0,
+            transitionDelay: generationProgress ? '200ms' : '0ms'
+          }}
+        >
+          <p className={`text-xs text-center mb-1 ${isDarkTheme ? 'text-gray-300' : 'text-gray-600'}`}>
+            {generationProgress && generationProgress.layer
+              ? `Generating ${generationProgress.layer} (${generationProgress.done}/${generationProgress.total})`
+              : 'Generating…'}
+          </p>
+          <div className={`h-px ${isDarkTheme ? 'bg-gray-700' : 'bg-gray-200'}`}>
+            <div
+              className={`h-px transition-all duration-200 ${isDarkTheme ? 'bg-gray-300' : 'bg-gray-600'}`}
+              style={{
+                width: generationProgress && generationProgress.total
+                  ? `${(generationProgress.done / generationProgress.total) * 100}%`
+                  : '0%'
+              }}
+            />
+          </div>
+        </div>
+
+        {/* Hover tooltip naming the element under the pointer */}
+        {hoverInfo && !(selection && selection.element === hoverInfo.hit.element) && (
+          <div
+            className="fixed z-20 pointer-events-none bg-white/95 border border-gray-200 rounded-lg shadow-sm px-2 py-1.5"
+            style={{ left: hoverInfo.x + 14, top: hoverInfo.y + 14 }}
+          >
+            <p className="text-xs font-medium text-gray-800 capitalize">
+              {hoverInfo.hit.type} <span className="font-normal text-gray-400">· {hoverInfo.hit.layer}</span>
+            </p>
+            {describeElement(hoverInfo.hit.element).slice(0, 8).map(([name, value]) => (
+              <p key={name} className="text-xs text-gray-600">
+                <span className="text-gray-400">{name}</span> {value}
+              </p>
+            ))}
+          </div>
+        )}
+
+        {/* Selected element, with its fields open for editing */}
+        {selection && (
+          <div className="absolute top-28 left-10 z-10 w-56 bg-white/95 border border-gray-200 rounded-lg shadow-sm p-3">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-medium text-gray-800 capitalize">
+                {selection.type} <span className="font-normal text-gray-400">· {selection.layer}</span>
+              </p>
+              <button onClick={clearSelection} className="text-xs text-gray-400 hover:text-gray-700" title="Deselect">
+                ✕
+              </button>
+            </div>
+            <div className="space-y-1.5 max-h-80 overflow-y-auto">
+              {Object.entries(selection.element)
+                .filter(([, value]) => INSPECTABLE_TYPES.includes(typeof value))
+                .map(([name, value]) => (
+                  <label key={name} className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-gray-500 truncate">{name}</span>
+                    <ElementFieldInput value={value} onChange={(next) => updateSelectedField(name, next)} />
+                  </label>
+                ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-400">Edition codes carry the changes</p>
+          </div>
+        )}
+
+        {/* Cluster editing help */}
+        {isEditingClusters && !is3D && (
+          <div className="absolute bottom-24 left-1/2 -translate-x-1/2 pointer-events-none">
+            <p className={`text-xs text-center whitespace-nowrap ${isDarkTheme ? 'text-gray-300' : 'text-gray-600'}`}>
+              Drag a cluster to move it, or its ring to resize it · Shift-click to add · Alt-click to delete · Esc when done
+            </p>
+            <p className={`text-xs text-center ${isDarkTheme ? 'text-gray-500' : 'text-gray-400'}`}>
+              Edited clusters aren't part of the edition code
+            </p>
+          </div>
+        )}
+
         {/* Canvas Overlay Title */}
         <div 
           className="absolute top-10 left-10 transition-opacity ease-in-out"
@@ -956,7 +2414,7 @@ const TangleMapApp = () => {
             transitionDuration: isShowingCorners ? '2000ms' : '500ms'
           }}
         >
-          <h1 className="text-4xl instrument-serif text-gray-800 drop-shadow-sm">Tangle Map</h1>
+          <h1 className={`text-4xl instrument-serif drop-shadow-sm ${isDarkTheme ? 'text-gray-100' : 'text-gray-800'}`}>Tangle Map</h1>
         </div>
 
           {/* Footer */}
@@ -967,7 +2425,7 @@ const TangleMapApp = () => {
               transitionDuration: isShowingCorners ? '2000ms' : '500ms'
             }}
           >
-            <p className="font-serif text-gray-600 text-xl">
+            <p className={`font-serif text-xl ${isDarkTheme ? 'text-gray-300' : 'text-gray-600'}`}>
             Robotic by nature, organic by design  •  {new Date().getFullYear()}, PixelCzar ©
             </p>
           </div>
@@ -981,9 +2439,9 @@ const TangleMapApp = () => {
                 transitionDuration: '2000ms'
               }}
             >
-              <p className="text-3xl italic font-serif text-gray-800 mb-1">fig</p>
+              <p className={`text-3xl italic font-serif mb-1 ${isDarkTheme ? 'text-gray-100' : 'text-gray-800'}`}>fig</p>
               <div className="w-6 h-px bg-gray-400 mb-2"></div>
-              <p className="text-lg font-sans text-gray-600 tracking-widest uppercase">
+              <p className={`text-lg font-sans tracking-widest uppercase max-w-md break-all ${isDarkTheme ? 'text-gray-300' : 'text-gray-600'}`}>
                 {editionId}
               </p>
             </div>
@@ -1004,14 +2462,42 @@ const TangleMapApp = () => {
               className={`px-2 py-1 text-xs rounded-lg transition-colors duration-300 ease-in-out border border-gray-200 ${
                 isAnimating
                   ? 'text-gray-400 cursor-not-allowed' 
-                  : 'text-gray-600 hover:text-gray-800 hover:border-gray-300'
+                  : isDarkTheme
+                    ? 'text-gray-300 hover:text-white hover:border-gray-400'
+                    : 'text-gray-600 hover:text-gray-800 hover:border-gray-300'
               }`}
             >
               Redraw
             </button>
+            <button
+              onClick={() => setIsPlaying(playing => !playing)}
+              className={`px-2 py-1 text-xs rounded-lg transition-colors duration-300 ease-in-out border border-gray-200 ${
+                isDarkTheme ? 'text-gray-300 hover:text-white hover:border-gray-400' : 'text-gray-600 hover:text-gray-800 hover:border-gray-300'
+              }`}
+            >
+              {isPlaying ? 'Pause' : 'Play'}
+            </button>
+            <button
+              onClick={() => setIsEditingClusters(editing => !editing)}
+              disabled={is3D}
+              title={is3D ? 'Clusters can be edited in 2D' : 'Move, resize, add and delete clusters on the canvas'}
+              className={`px-2 py-1 text-xs rounded-lg transition-colors duration-300 ease-in-out border ${
+                is3D
+                  ? 'border-gray-200 text-gray-400 cursor-not-allowed'
+                  : isEditingClusters
+                    ? 'border-blue-400 text-blue-600'
+                    : isDarkTheme
+                      ? 'border-gray-200 text-gray-300 hover:text-white hover:border-gray-400'
+                      : 'border-gray-200 text-gray-600 hover:text-gray-800 hover:border-gray-300'
+              }`}
+            >
+              {isEditingClusters ? 'Done' : 'Edit'}
+            </button>
             <button
               onClick={() => setShowControls(true)}
-              className="px-2 py-1 text-xs rounded-lg transition-colors duration-300 ease-in-out border border-gray-200 text-gray-600 hover:text-gray-800 hover:border-gray-300"
+              className={`px-2 py-1 text-xs rounded-lg transition-colors duration-300 ease-in-out border border-gray-200 ${
+                isDarkTheme ? 'text-gray-300 hover:text-white hover:border-gray-400' : 'text-gray-600 hover:text-gray-800 hover:border-gray-300'
+              }`}
             >
               Controls
             </button>
@@ -1038,6 +2524,164 @@ const TangleMapApp = () => {
             </button>
           </div>
 
+          {/* Theme */}
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold mb-3 text-gray-700">Theme</h3>
+            <select
+              value={themeName}
+              onChange={(e) => selectTheme(e.target.value)}
+              className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+            >
+              {themeSystemRef.current.getThemeNames().map(name => (
+                <option key={name} value={name}>
+                  {themeSystemRef.current.getTheme(name).name}{themeSystemRef.current.customThemes.has(name) ? ' (custom)' : ''}
+                </option>
+              ))}
+            </select>
+            {(() => {
+              const preview = themeSystemRef.current.getThemePreview(themeName, palette);
+              return preview && (
+                <div className="flex gap-1 mt-2">
+                  {Object.entries(preview).map(([slot, color]) => (
+                    <span
+                      key={slot}
+                      title={slot}
+                      className="h-3 flex-1 rounded-sm border border-gray-200"
+                      style={{ background: color }}
+                    />
+                  ))}
+                </div>
+              );
+            })()}
+
+            <div className="flex gap-2 mt-2">
+              {[
+                ['Edit', themeDraft ? closeThemeEditor : openThemeEditor],
+                ['Import', () => themeFileInputRef.current && themeFileInputRef.current.click()],
+                ['Export', exportTheme],
+                ...(themeSystemRef.current.customThemes.has(themeName) ? [['Delete', deleteCurrentTheme]] : [])
+              ].map(([label, action]) => (
+                <button
+                  key={label}
+                  onClick={action}
+                  className={`flex-1 py-1 px-2 rounded-lg border transition-colors text-xs font-medium ${
+                    label === 'Edit' && themeDraft
+                      ? 'text-gray-800 border-gray-400 bg-gray-50'
+                      : 'text-gray-600 border-gray-200 hover:text-gray-800 hover:border-gray-300'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              <input
+                ref={themeFileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={importThemeFile}
+                className="hidden"
+              />
+            </div>
+            {themeError && (
+              <p className="mt-1 text-xs text-red-600">{themeError}</p>
+            )}
+
+            {/* Theme editor: every slot of the draft, applied live */}
+            {themeDraft && (
+              <div className="mt-3 p-2 space-y-3 border border-gray-200 rounded-lg">
+                <div>
+                  <p className="text-xs font-medium text-gray-700 mb-1">Background</p>
+                  <ThemeColorInput
+                    label="background"
+                    value={themeDraft.background}
+                    onChange={(value) => updateThemeDraft(null, 'background', value)}
+                  />
+                </div>
+                {Object.entries(themeDraft)
+                  .filter(([, colors]) => colors && typeof colors === 'object')
+                  .map(([slot, colors]) => (
+                    <div key={slot}>
+                      <p className="text-xs font-medium text-gray-700 mb-1 capitalize">{slot}</p>
+                      <div className="space-y-1">
+                        {Object.entries(colors)
+                          .filter(([, value]) => parseColor(value))
+                          .map(([key, value]) => (
+                            <ThemeColorInput
+                              key={key}
+                              label={key.replace(/([A-Z])/g, ' $1').toLowerCase()}
+                              value={value}
+                              onChange={(color) => updateThemeDraft(slot, key, color)}
+                            />
+                          ))}
+                      </div>
+                    </div>
+                  ))}
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    saveThemeDraft();
+                  }}
+                  className="flex gap-2"
+                >
+                  <input
+                    type="text"
+                    value={themeDraftName}
+                    onChange={(e) => {
+                      setThemeDraftName(e.target.value);
+                      setThemeError(null);
+                    }}
+                    placeholder="New theme name"
+                    className="flex-1 min-w-0 py-1 px-2 text-xs text-gray-700 rounded-lg border border-gray-200 focus:outline-none focus:border-gray-400"
+                  />
+                  <button
+                    type="submit"
+                    className="py-1 px-2 bg-slate-700 text-white rounded-lg hover:bg-slate-800 transition-colors text-xs font-medium"
+                  >
+                    Save as New
+                  </button>
+                </form>
+              </div>
+            )}
+
+            <h4 className="text-xs font-semibold mt-4 mb-2 text-gray-600">Vary Palette</h4>
+            <div className="space-y-3">
+              {PALETTE_SLIDERS.map(([key, label, min, max, step]) => (
+                <div key={key}>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="text-xs text-gray-600">{label}</label>
+                    <span className="text-xs text-gray-500 font-mono">
+                      {step < 1 ? palette[key].toFixed(2) : `${palette[key]}°`}
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={palette[key]}
+                    onChange={(e) => updatePalette(key, parseFloat(e.target.value))}
+                    className="w-full"
+                    style={{ accentColor: '#334155' }}
+                  />
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button
+                  onClick={randomizePalette}
+                  className="flex-1 py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+                  title="Random palette from this theme, seeded by the edition"
+                >
+                  Random Palette
+                </button>
+                <button
+                  onClick={() => applyColorway(themeName, DEFAULT_PALETTE) && triggerRender()}
+                  className="py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+                >
+                  Reset
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Layers */}
           <div className="mb-6">
             <h3 className="text-sm font-semibold mb-3 text-gray-700">Layers</h3>
@@ -1105,7 +2749,8 @@ const TangleMapApp = () => {
                   
                           {/* Expandable Parameters */}
                           {expandedLayers[key] && (
-                            <div className="mt-2 p-3 bg-gray-50 rounded space-y-3">
+                            <div key={editionRevision} className="mt-2 p-3 bg-gray-50 rounded space-y-3">
+                              {renderLayerBlending(key)}
                               {renderLayerParameters(key)}
                             </div>
                           )}
@@ -1119,11 +2764,47 @@ const TangleMapApp = () => {
             </DndContext>
           </div>
 
+          {/* Concept Graph */}
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold mb-3 text-gray-700">Concept Graph</h3>
+            {conceptGraph ? (
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-gray-600 truncate" title={conceptGraphName}>
+                  {conceptGraphName}: {conceptGraph.nodes.length} concepts, {conceptGraph.edges.length} links
+                </p>
+                <button
+                  onClick={clearConceptGraph}
+                  className="py-1 px-2 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+                >
+                  Clear
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => graphFileInputRef.current && graphFileInputRef.current.click()}
+                className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+                title="JSON { nodes, edges } or a CSV edge list (source,target,type,weight)"
+              >
+                Load Graph (JSON or CSV)
+              </button>
+            )}
+            <input
+              ref={graphFileInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={loadConceptGraphFile}
+              className="hidden"
+            />
+            {graphError && (
+              <p className="mt-1 text-xs text-red-600">{graphError}</p>
+            )}
+          </div>
+
           {/* Parameters */}
           <div className="mb-6">
             <h3 className="text-sm font-semibold mb-3 text-gray-700">Parameters</h3>
             <div className="space-y-3">
-              <div>
+              <div className={conceptGraph ? 'opacity-50 pointer-events-none' : ''} title={conceptGraph ? 'Set by the concept graph' : undefined}>
                 <div className="flex items-center justify-between mb-1">
                   <label className="text-xs text-gray-600">Cluster Count</label>
                   <span className="text-xs text-gray-500 font-mono">{parameters.clusterCount}</span>
@@ -1133,7 +2814,10 @@ const TangleMapApp = () => {
                   min="1"
                   max="6"
                   value={parameters.clusterCount}
-                  onChange={(e) => updateParameter('clusterCount', parseInt(e.target.value))}
+                  onChange={(e) => {
+                    clearClusterEdits(); // A new count places the clusters afresh
+                    updateParameter('clusterCount', parseInt(e.target.value));
+                  }}
                   onMouseUp={(e) => {
                     // Ensure clusters are regenerated when user finishes adjusting
                     if (clusterSystemRef.current) {
@@ -1141,7 +2825,7 @@ const TangleMapApp = () => {
                     }
                     // Force regeneration by calling render directly
                     if (canvasRef.current) {
-                      render(0, true);
+                      render(animationTimeRef.current, true);
                     }
                   }}
                   onTouchEnd={(e) => {
@@ -1151,7 +2835,7 @@ const TangleMapApp = () => {
                     }
                     // Force regeneration by calling render directly
                     if (canvasRef.current) {
-                      render(0, true);
+                      render(animationTimeRef.current, true);
                     }
                   }}
                   className="w-full"
@@ -1176,6 +2860,67 @@ const TangleMapApp = () => {
                   />
                 </button>
               </div>
+              <div className="flex items-center justify-between">
+                <label className="text-xs text-gray-600">Animate</label>
+                <button
+                  onClick={() => setIsPlaying(playing => !playing)}
+                  className={`relative inline-flex h-4 w-7 items-center rounded-full transition-colors ${
+                    isPlaying ? 'bg-gray-600' : 'bg-gray-300'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-2.5 w-2.5 transform rounded-full bg-white transition-transform ${
+                      isPlaying ? 'translate-x-3.5' : 'translate-x-0.5'
+                    }`}
+                  />
+                </button>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs text-gray-600">Animation Speed</label>
+                  <span className="text-xs text-gray-500 font-mono">{animationSpeed}×</span>
+                </div>
+                <input
+                  type="range"
+                  min={ANIMATION_SPEED_RANGE.min}
+                  max={ANIMATION_SPEED_RANGE.max}
+                  step={ANIMATION_SPEED_RANGE.step}
+                  value={animationSpeed}
+                  onChange={(e) => setAnimationSpeed(parseFloat(e.target.value))}
+                  className="w-full"
+                  style={{ accentColor: '#334155' }}
+                />
+              </div>
+              <div className="flex items-center justify-between">
+                <label className="text-xs text-gray-600">Redraw Reveal</label>
+                <select
+                  value={reveal.mode}
+                  onChange={(e) => setReveal(prev => ({ ...prev, mode: e.target.value }))}
+                  className="px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+                >
+                  {REVEAL_MODES.map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {reveal.mode === 'draw' && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="text-xs text-gray-600">Reveal Duration</label>
+                    <span className="text-xs text-gray-500 font-mono">{(reveal.duration / 1000).toFixed(1)}s</span>
+                  </div>
+                  <input
+                    type="range"
+                    min={REVEAL_DURATION_RANGE.min}
+                    max={REVEAL_DURATION_RANGE.max}
+                    step={REVEAL_DURATION_RANGE.step}
+                    value={reveal.duration}
+                    onChange={(e) => setReveal(prev => ({ ...prev, duration: parseInt(e.target.value) }))}
+                    className="w-full"
+                    style={{ accentColor: '#334155' }}
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -1189,6 +2934,218 @@ const TangleMapApp = () => {
             >
               Redraw
             </button>
+            <button
+              onClick={exportSvg}
+              className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+            >
+              Export SVG
+            </button>
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  ['preset', Object.entries(ANIMATION_PRESETS).map(([key, { label }]) => [key, label])],
+                  ['format', Object.entries(ANIMATION_FORMATS).map(([key, { label }]) => [key, label])],
+                  ['fps', EXPORT_FPS_OPTIONS.map(fps => [fps, `${fps} fps`])],
+                  ['width', EXPORT_WIDTH_OPTIONS.map(width => [width, `${width}px wide`])]
+                ].map(([key, options]) => (
+                  <select
+                    key={key}
+                    value={animationExport[key]}
+                    disabled={Boolean(exportProgress)}
+                    onChange={(e) => {
+                      const value = typeof DEFAULT_ANIMATION_EXPORT[key] === 'number' ? parseInt(e.target.value) : e.target.value;
+                      setAnimationExport(prev => ({ ...prev, [key]: value }));
+                    }}
+                    className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+                  >
+                    {options.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs text-gray-600">Clip Length</label>
+                  <span className="text-xs text-gray-500 font-mono">{animationExport.duration}s</span>
+                </div>
+                <input
+                  type="range"
+                  min="1"
+                  max="20"
+                  value={animationExport.duration}
+                  disabled={Boolean(exportProgress)}
+                  onChange={(e) => setAnimationExport(prev => ({ ...prev, duration: parseInt(e.target.value) }))}
+                  className="w-full"
+                  style={{ accentColor: '#334155' }}
+                />
+              </div>
+              <button
+                onClick={exportProgress ? cancelAnimationExport : exportAnimation}
+                className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+              >
+                {exportProgress ? 'Cancel Export' : `Export ${ANIMATION_FORMATS[animationExport.format].label}`}
+              </button>
+              {exportProgress && (
+                <p className="text-xs text-gray-500">{exportProgress}</p>
+              )}
+              {exportError && (
+                <p className="text-xs text-red-600">{exportError}</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  ['paper', Object.entries(PAPER_SIZES).map(([key, { label }]) => [key, label])],
+                  ['orientation', [['portrait', 'Portrait'], ['landscape', 'Landscape']]],
+                  ['dpi', POSTER_DPI_OPTIONS.map(dpi => [dpi, `${dpi} dpi`])]
+                ].map(([key, options]) => (
+                  <select
+                    key={key}
+                    value={posterExport[key]}
+                    onChange={(e) => {
+                      const value = typeof DEFAULT_POSTER_EXPORT[key] === 'number' ? parseInt(e.target.value) : e.target.value;
+                      setPosterExport(prev => ({ ...prev, [key]: value }));
+                    }}
+                    className="w-full px-1 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+                  >
+                    {options.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs text-gray-600">Bleed</label>
+                  <span className="text-xs text-gray-500 font-mono">{posterExport.bleed}mm</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="10"
+                  value={posterExport.bleed}
+                  onChange={(e) => setPosterExport(prev => ({ ...prev, bleed: parseInt(e.target.value) }))}
+                  className="w-full"
+                  style={{ accentColor: '#334155' }}
+                />
+              </div>
+              <button
+                onClick={exportPoster}
+                disabled={Boolean(posterStatus && posterStatus.busy)}
+                className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium disabled:opacity-50"
+              >
+                {posterStatus && posterStatus.busy ? 'Rendering Poster…' : 'Export Poster'}
+              </button>
+              {(() => {
+                const size = PosterExporter.getSize(posterExport);
+                return (
+                  <p className="text-xs text-gray-500 font-mono">{size.width} × {size.height} px PNG</p>
+                );
+              })()}
+              {posterStatus && posterStatus.error && (
+                <p className="text-xs text-red-600">{posterStatus.error}</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={plotterExport.grouping}
+                  onChange={(e) => setPlotterExport(prev => ({ ...prev, grouping: e.target.value }))}
+                  className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+                >
+                  {Object.entries(PLOTTER_GROUPINGS).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={plotterExport.penWidth}
+                  onChange={(e) => setPlotterExport(prev => ({ ...prev, penWidth: parseFloat(e.target.value) }))}
+                  className="w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-slate-400"
+                >
+                  {PEN_WIDTH_OPTIONS.map(width => (
+                    <option key={width} value={width}>{width}mm pen</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs text-gray-600">Hatch Spacing</label>
+                  <span className="text-xs text-gray-500 font-mono">{plotterExport.hatchSpacing.toFixed(1)}mm</span>
+                </div>
+                <input
+                  type="range"
+                  min={HATCH_SPACING_RANGE.min}
+                  max={HATCH_SPACING_RANGE.max}
+                  step={HATCH_SPACING_RANGE.step}
+                  value={plotterExport.hatchSpacing}
+                  onChange={(e) => setPlotterExport(prev => ({ ...prev, hatchSpacing: parseFloat(e.target.value) }))}
+                  className="w-full"
+                  style={{ accentColor: '#334155' }}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={plotterExport.separateFiles}
+                  onChange={(e) => setPlotterExport(prev => ({ ...prev, separateFiles: e.target.checked }))}
+                  style={{ accentColor: '#334155' }}
+                />
+                One file per pen
+              </label>
+              <button
+                onClick={exportPlotter}
+                disabled={Boolean(plotterStatus && plotterStatus.busy)}
+                className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium disabled:opacity-50"
+              >
+                {plotterStatus && plotterStatus.busy ? 'Optimizing Paths…' : 'Export Plotter SVG'}
+              </button>
+              {plotterStatus && plotterStatus.seconds !== undefined && (
+                <p className="text-xs text-gray-500 font-mono">
+                  {plotterStatus.pens} pens · {plotterStatus.paths} paths · ≈ {formatPlotTime(plotterStatus.seconds)}
+                  {plotterStatus.skippedText > 0 && ' · text not plotted'}
+                </p>
+              )}
+              {plotterStatus && plotterStatus.error && (
+                <p className="text-xs text-red-600">{plotterStatus.error}</p>
+              )}
+            </div>
+            <button
+              onClick={copyPermalink}
+              className="w-full py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium"
+            >
+              Copy Link
+            </button>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                loadEdition(editionInput);
+              }}
+            >
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={editionInput}
+                  onChange={(e) => {
+                    setEditionInput(e.target.value);
+                    setEditionError(null);
+                  }}
+                  placeholder="Paste edition code"
+                  spellCheck={false}
+                  className="flex-1 min-w-0 py-1.5 px-2 text-xs font-mono text-gray-700 rounded-lg border border-gray-200 focus:outline-none focus:border-gray-400"
+                />
+                <button
+                  type="submit"
+                  disabled={!editionInput.trim()}
+                  className="py-1.5 px-3 text-gray-600 rounded-lg border border-gray-200 hover:text-gray-800 hover:border-gray-300 transition-colors text-xs font-medium disabled:opacity-50"
+                >
+                  Load
+                </button>
+              </div>
+              {editionError && (
+                <p className="mt-1 text-xs text-red-600">{editionError}</p>
+              )}
+            </form>
           </div>
 
 
@@ -1196,6 +3153,7 @@ const TangleMapApp = () => {
           <div className="mt-8 pt-6 border-t">
             <div className="text-xs text-gray-500">
               <p className="mb-2">Seed: {seed}</p>
+              <p className="mb-2 font-mono break-all select-all">Edition: {editionId}</p>
               <p className="mt-12">Tanglemap is generative art project inspirated by planning diagrams, the landscape, forms of humanity & geography, and the visualization of abstract ideas.</p>
             </div>
           </div>
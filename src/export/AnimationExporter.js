@@ -0,0 +1,195 @@
+/**
+ * Animation Exporter - Renders a sequence of frames and encodes them as WebM or GIF
+ * Frames are drawn by a callback (the app's own render path) into an offscreen canvas
+ * at the export resolution; WebM goes through MediaRecorder, GIF through GifEncoder.
+ */
+
+import { GifEncoder } from './GifEncoder.js';
+
+// What changes over the course of an export. Each preset maps the position in the clip
+// (0-1) to frame settings; looping presets stop one frame short of where they started.
+export const ANIMATION_PRESETS = {
+  animate: {
+    label: 'Animation',
+    loops: false,
+    frame: () => ({})
+  },
+  drawOn: {
+    label: 'Draw on',
+    loops: false,
+    frame: (t) => ({ reveal: t })
+  },
+  orbit: {
+    label: 'Orbit',
+    loops: true,
+    is3D: true,
+    frame: (t) => ({ rotationY: t * Math.PI * 2 })
+  }
+};
+
+export const ANIMATION_FORMATS = {
+  webm: { label: 'WebM', extension: 'webm' },
+  gif: { label: 'GIF', extension: 'gif' }
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+export class AnimationExporter {
+  /**
+   * @param {Function} renderFrame - Draws one frame: (ctx, frame) where frame is
+   *   { index, time, reveal, rotationY, is3D }; ctx is already scaled to map coordinates
+   */
+  constructor(renderFrame) {
+    this.renderFrame = renderFrame;
+    this.cancelled = false;
+  }
+
+  /**
+   * Whether this browser can record WebM
+   * @returns {boolean}
+   */
+  static supportsWebm() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  }
+
+  /**
+   * Stop an export in progress; export() then rejects
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Settings for every frame of the clip
+   * @param {Object} options - See export()
+   * @returns {Array} Frames { index, time, reveal, rotationY, is3D }
+   */
+  planFrames({ preset = 'animate', fps = 30, duration = 4, startTime = 0, speed = 1, startRotationY = 0, is3D = false }) {
+    const settings = ANIMATION_PRESETS[preset];
+    if (!settings) {
+      throw new Error(`Unknown animation preset: ${preset}`);
+    }
+
+    const count = Math.max(1, Math.round(fps * duration));
+    const span = settings.loops ? count : Math.max(1, count - 1);
+
+    return Array.from({ length: count }, (_, index) => {
+      const { reveal = 1, rotationY = 0 } = settings.frame(index / span);
+      return {
+        index,
+        // The animation clock counts 60fps frames
+        time: startTime + index * (60 / fps) * speed,
+        reveal,
+        rotationY: startRotationY + rotationY,
+        is3D: settings.is3D || is3D
+      };
+    });
+  }
+
+  /**
+   * Render and encode a clip
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'webm' or 'gif'
+   * @param {string} options.preset - Key of ANIMATION_PRESETS
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.duration - Length in seconds
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.sourceWidth - Width of the map being drawn
+   * @param {number} options.sourceHeight - Height of the map being drawn
+   * @param {string} options.background - Color behind the map where aspect ratios differ
+   * @param {number} options.startTime - Animation time of the first frame
+   * @param {number} options.speed - Animation speed multiplier
+   * @param {number} options.startRotationY - Camera yaw the orbit starts from
+   * @param {boolean} options.is3D - Whether the map is shown in 3D
+   * @param {Function} options.onProgress - Called with (framesDone, frameCount)
+   * @returns {Promise<Blob>} Encoded clip
+   */
+  async export(options) {
+    const { format = 'webm', width, height, sourceWidth, sourceHeight, background = '#ffffff', onProgress = () => {} } = options;
+    if (!ANIMATION_FORMATS[format]) {
+      throw new Error(`Unknown animation format: ${format}`);
+    }
+    if (format === 'webm' && !AnimationExporter.supportsWebm()) {
+      throw new Error('This browser cannot record WebM video; export a GIF instead');
+    }
+
+    this.cancelled = false;
+    const frames = this.planFrames(options);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+    const ctx = canvas.getContext('2d');
+
+    // Fit the map inside the frame, centred
+    const scale = Math.min(canvas.width / sourceWidth, canvas.height / sourceHeight);
+    const offsetX = (canvas.width - sourceWidth * scale) / 2;
+    const offsetY = (canvas.height - sourceHeight * scale) / 2;
+
+    const drawFrame = (frame) => {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+      this.renderFrame(ctx, frame);
+    };
+
+    return format === 'gif'
+      ? this.encodeGif(canvas, ctx, frames, drawFrame, options.fps, onProgress)
+      : this.encodeWebm(canvas, frames, drawFrame, options.fps, onProgress);
+  }
+
+  async encodeGif(canvas, ctx, frames, drawFrame, fps, onProgress) {
+    const encoder = new GifEncoder(canvas.width, canvas.height);
+
+    for (const frame of frames) {
+      if (this.cancelled) throw new Error('Export cancelled');
+      drawFrame(frame);
+      encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, 1000 / fps);
+      onProgress(frame.index + 1, frames.length);
+      await nextTick(); // Let the progress show
+    }
+
+    return encoder.finish();
+  }
+
+  async encodeWebm(canvas, frames, drawFrame, fps, onProgress) {
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+
+    // MediaRecorder timestamps frames by the wall clock, so frames are paced in real time
+    recorder.start();
+    const start = performance.now();
+    try {
+      for (const frame of frames) {
+        if (this.cancelled) throw new Error('Export cancelled');
+        drawFrame(frame);
+        if (track.requestFrame) track.requestFrame();
+        onProgress(frame.index + 1, frames.length);
+        await wait(start + ((frame.index + 1) * 1000) / fps - performance.now());
+      }
+    } finally {
+      recorder.stop();
+      track.stop();
+    }
+
+    await stopped;
+    return new Blob(chunks, { type: 'video/webm' });
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * GIF Encoder - Writes animated GIF89a files from canvas frames
+ * Each frame gets its own 256-color palette (median cut over a 15-bit color histogram)
+ * and is LZW-compressed as the format requires. No dependencies.
+ */
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4096;
+const BLOCK_SIZE = 255;
+
+// 5 bits per channel: 32768 histogram bins
+const binOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+const CHANNEL_OF_BIN = [
+  (bin) => bin >> 10,
+  (bin) => (bin >> 5) & 31,
+  (bin) => bin & 31
+];
+
+/**
+ * Reduce the colors of an RGBA frame to at most 256 with median cut
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @returns {Object} { palette: [[r, g, b]], indices: Uint8Array } with one index per pixel
+ */
+const quantize = (pixels) => {
+  const pixelCount = pixels.length / 4;
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const bins = new Uint16Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = pixels[i * 4];
+    const g = pixels[i * 4 + 1];
+    const b = pixels[i * 4 + 2];
+    const bin = binOf(r, g, b);
+    bins[i] = bin;
+    counts[bin]++;
+    sums[bin * 3] += r;
+    sums[bin * 3 + 1] += g;
+    sums[bin * 3 + 2] += b;
+  }
+
+  const used = [];
+  for (let bin = 0; bin < counts.length; bin++) {
+    if (counts[bin] > 0) used.push(bin);
+  }
+
+  // Split the box with the widest channel range at its median until there are enough colors
+  const boxes = [used];
+  while (boxes.length < MAX_COLORS) {
+    let widest = -1;
+    let widestRange = 0;
+    let widestChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 31;
+        let max = 0;
+        box.forEach(bin => {
+          const value = CHANNEL_OF_BIN[channel](bin);
+          if (value < min) min = value;
+          if (value > max) max = value;
+        });
+        if (max - min > widestRange) {
+          widest = i;
+          widestRange = max - min;
+          widestChannel = channel;
+        }
+      }
+    });
+    if (widest < 0) break;
+
+    const box = boxes[widest];
+    const channelOf = CHANNEL_OF_BIN[widestChannel];
+    box.sort((a, b) => channelOf(a) - channelOf(b));
+
+    // Median by pixel count, so busy colors get more of the palette
+    const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+    let running = 0;
+    let split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      running += counts[box[i]];
+      if (running >= total / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+    boxes.splice(widest, 1, box.slice(0, split), box.slice(split));
+  }
+
+  const binToIndex = new Uint8Array(32768);
+  const palette = boxes.map((box, index) => {
+    let count = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    box.forEach(bin => {
+      binToIndex[bin] = index;
+      count += counts[bin];
+      r += sums[bin * 3];
+      g += sums[bin * 3 + 1];
+      b += sums[bin * 3 + 2];
+    });
+    return count > 0
+      ? [Math.round(r / count), Math.round(g / count), Math.round(b / count)]
+      : [0, 0, 0];
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = binToIndex[bins[i]];
+  }
+
+  return { palette, indices };
+};
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + extra) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value & 0xff;
+  }
+
+  short(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  toArray() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * LZW-compress color indices into GIF image data sub-blocks
+ * @param {ByteWriter} out - Output
+ * @param {Uint8Array} indices - Color index per pixel
+ * @param {number} minCodeSize - Bits per color index (8 for 256 colors)
+ */
+const writeLzw = (out, indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const block = new Uint8Array(BLOCK_SIZE);
+  let blockLength = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    out.byte(blockLength);
+    out.ensure(blockLength);
+    out.bytes.set(block.subarray(0, blockLength), out.length);
+    out.length += blockLength;
+    blockLength = 0;
+  };
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bits & 0xff;
+      if (blockLength === BLOCK_SIZE) flushBlock();
+      bits >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    block[blockLength++] = bits & 0xff;
+  }
+  flushBlock();
+  out.byte(0); // Block terminator
+};
+
+export class GifEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {Object} options - Options
+   * @param {number} options.loop - Times to repeat (0 = forever, -1 = play once)
+   */
+  constructor(width, height, { loop = 0 } = {}) {
+    this.width = Math.round(width);
+    this.height = Math.round(height);
+    this.frameCount = 0;
+    this.out = new ByteWriter();
+
+    this.out.string('GIF89a');
+    this.out.short(this.width);
+    this.out.short(this.height);
+    this.out.byte(0); // No global color table: every frame brings its own
+    this.out.byte(0); // Background color index
+    this.out.byte(0); // Square pixels
+
+    if (loop >= 0) {
+      // NETSCAPE2.0 application extension: repeat count
+      this.out.byte(0x21);
+      this.out.byte(0xff);
+      this.out.byte(11);
+      this.out.string('NETSCAPE2.0');
+      this.out.byte(3);
+      this.out.byte(1);
+      this.out.short(loop);
+      this.out.byte(0);
+    }
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} pixels - RGBA pixels, width x height (e.g. ImageData.data)
+   * @param {number} delay - How long the frame shows, in milliseconds
+   */
+  addFrame(pixels, delay) {
+    if (pixels.length !== this.width * this.height * 4) {
+      throw new Error('GIF frame size does not match the animation');
+    }
+
+    const { palette, indices } = quantize(pixels);
+    const out = this.out;
+
+    // Graphic control extension: frame delay, frames replace each other
+    out.byte(0x21);
+    out.byte(0xf9);
+    out.byte(4);
+    out.byte(1 << 2);
+    out.short(Math.max(2, Math.round(delay / 10))); // Centiseconds; browsers slow anything faster
+    out.byte(0);
+    out.byte(0);
+
+    // Image descriptor with a full-size local color table
+    out.byte(0x2c);
+    out.short(0);
+    out.short(0);
+    out.short(this.width);
+    out.short(this.height);
+    out.byte(0x80 | 7);
+
+    for (let i = 0; i < MAX_COLORS; i++) {
+      const color = palette[i] || [0, 0, 0];
+      out.byte(color[0]);
+      out.byte(color[1]);
+      out.byte(color[2]);
+    }
+
+    writeLzw(out, indices, 8);
+    this.frameCount++;
+  }
+
+  /**
+   * Finish the file
+   * @returns {Blob} GIF image
+   */
+  finish() {
+    if (this.frameCount === 0) {
+      throw new Error('A GIF needs at least one frame');
+    }
+    this.out.byte(0x3b);
+    return new Blob([this.out.toArray()], { type: 'image/gif' });
+  }
+}
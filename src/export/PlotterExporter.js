@@ -0,0 +1,360 @@
+/**
+ * Plotter Exporter - Writes the composition as a pen-plotter SVG
+ * Renders through a plotter surface (fills become hatching, everything becomes strokes),
+ * then prepares the strokes for a plotter: pieces that meet end to end are joined into
+ * one pen-down, nearly collinear runs are merged, and paths are ordered to keep pen-up
+ * travel short. Each pen (a layer or a color) is an Inkscape layer, numbered for AxiDraw
+ * style layer plotting, or a file of its own, with an estimated plot time.
+ */
+
+import { PlotterSurface } from '../render/PlotterSurface.js';
+import { polylineLength, simplifyPolyline } from '../utils/polyline.js';
+import { round, escapeAttribute } from '../utils/svg.js';
+
+// CSS pixels are 1/96 inch
+const PX_PER_MM = 96 / 25.4;
+
+// Pieces whose ends are closer than this are one line, in pixels
+const JOIN_DISTANCE = 0.01;
+// Points closer than this to a straight run are dropped, in pixels
+const SIMPLIFY_TOLERANCE = 0.1;
+// Spatial index resolution for the travel optimization
+const GRID_CELLS = 64;
+
+export const PLOTTER_GROUPINGS = {
+  layer: { label: 'Pen per layer' },
+  color: { label: 'Pen per color' }
+};
+
+export const DEFAULT_PLOTTER_OPTIONS = {
+  grouping: 'layer',
+  separateFiles: false,
+  penWidth: 0.3, // mm
+  hatchSpacing: 0.8, // mm between lines of a solid fill
+  drawSpeed: 40, // mm/s with the pen down
+  travelSpeed: 120, // mm/s with the pen up
+  penLiftTime: 0.3 // s to lift and lower the pen
+};
+
+const pointKey = ({ x, y }) => `${Math.round(x / JOIN_DISTANCE)},${Math.round(y / JOIN_DISTANCE)}`;
+
+const isClosed = (points) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  return points.length > 3 && Math.hypot(last.x - first.x, last.y - first.y) <= JOIN_DISTANCE;
+};
+
+/**
+ * Join polylines that continue one another into single polylines
+ * @param {Array} lines - Polylines
+ * @returns {Array} Fewer, longer polylines
+ */
+const joinContiguous = (lines) => {
+  const starts = new Map();
+  const ends = new Map();
+  const index = (map, key, i) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(i);
+  };
+  lines.forEach((points, i) => {
+    index(starts, pointKey(points[0]), i);
+    index(ends, pointKey(points[points.length - 1]), i);
+  });
+
+  const used = new Uint8Array(lines.length);
+  const take = (map, key) => {
+    const candidates = map.get(key) || [];
+    const i = candidates.find(candidate => !used[candidate]);
+    if (i === undefined) return -1;
+    used[i] = 1;
+    return i;
+  };
+
+  const joined = [];
+  lines.forEach((points, i) => {
+    if (used[i]) return;
+    used[i] = 1;
+    let chain = [...points];
+
+    // Grow forward from the end, then backward from the start, taking pieces either way round
+    for (;;) {
+      const key = pointKey(chain[chain.length - 1]);
+      let next = take(starts, key);
+      if (next >= 0) {
+        chain = chain.concat(lines[next].slice(1));
+        continue;
+      }
+      next = take(ends, key);
+      if (next >= 0) {
+        chain = chain.concat([...lines[next]].reverse().slice(1));
+        continue;
+      }
+      break;
+    }
+    for (;;) {
+      const key = pointKey(chain[0]);
+      let previous = take(ends, key);
+      if (previous >= 0) {
+        chain = lines[previous].slice(0, -1).concat(chain);
+        continue;
+      }
+      previous = take(starts, key);
+      if (previous >= 0) {
+        chain = [...lines[previous]].reverse().slice(0, -1).concat(chain);
+        continue;
+      }
+      break;
+    }
+
+    joined.push(chain);
+  });
+
+  return joined;
+};
+
+/**
+ * Order polylines greedily so each starts near where the last one ended, reversing
+ * open lines and rotating closed loops to begin at their nearest point
+ * @param {Array} lines - Polylines
+ * @param {number} width - Page width
+ * @param {number} height - Page height
+ * @returns {Array} Reordered polylines
+ */
+const orderForTravel = (lines, width, height) => {
+  const cellSize = Math.max(width, height, 1) / GRID_CELLS;
+  const cellOf = (value) => Math.max(0, Math.min(GRID_CELLS - 1, Math.floor(value / cellSize)));
+  const grid = new Map();
+  const add = (point, line, reversed) => {
+    const key = cellOf(point.x) * GRID_CELLS + cellOf(point.y);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push({ point, line, reversed });
+  };
+  lines.forEach((points, line) => {
+    add(points[0], line, false);
+    if (!isClosed(points)) add(points[points.length - 1], line, true);
+  });
+
+  const used = new Uint8Array(lines.length);
+  const ordered = [];
+  let position = { x: 0, y: 0 };
+
+  const nearest = () => {
+    const cx = cellOf(position.x);
+    const cy = cellOf(position.y);
+    let best = null;
+    let bestDistance = Infinity;
+
+    // Widen the search ring by ring until nothing closer can lie outside it
+    for (let radius = 0; radius < GRID_CELLS; radius++) {
+      for (let gx = cx - radius; gx <= cx + radius; gx++) {
+        for (let gy = cy - radius; gy <= cy + radius; gy++) {
+          const onRing = Math.abs(gx - cx) === radius || Math.abs(gy - cy) === radius;
+          if (!onRing || gx < 0 || gy < 0 || gx >= GRID_CELLS || gy >= GRID_CELLS) continue;
+          for (const entry of grid.get(gx * GRID_CELLS + gy) || []) {
+            if (used[entry.line]) continue;
+            const d = Math.hypot(entry.point.x - position.x, entry.point.y - position.y);
+            if (d < bestDistance) {
+              best = entry;
+              bestDistance = d;
+            }
+          }
+        }
+      }
+      if (best && bestDistance <= radius * cellSize) break;
+    }
+    return best;
+  };
+
+  for (let count = 0; count < lines.length; count++) {
+    const entry = nearest();
+    if (!entry) break;
+    used[entry.line] = 1;
+
+    let points = lines[entry.line];
+    if (entry.reversed) {
+      points = [...points].reverse();
+    } else if (isClosed(points)) {
+      // A loop can start anywhere along itself
+      let start = 0;
+      let startDistance = Infinity;
+      for (let i = 0; i < points.length - 1; i++) {
+        const d = Math.hypot(points[i].x - position.x, points[i].y - position.y);
+        if (d < startDistance) {
+          start = i;
+          startDistance = d;
+        }
+      }
+      if (start > 0) {
+        const ring = points.slice(0, -1);
+        points = [...ring.slice(start), ...ring.slice(0, start), { ...ring[start] }];
+      }
+    }
+
+    ordered.push(points);
+    position = points[points.length - 1];
+  }
+
+  return ordered;
+};
+
+/**
+ * Pen-down length, pen-up travel (from and back to the home corner) and pen lifts
+ */
+const measurePaths = (paths) => {
+  let draw = 0;
+  let travel = 0;
+  let position = { x: 0, y: 0 };
+  paths.forEach(points => {
+    travel += Math.hypot(points[0].x - position.x, points[0].y - position.y);
+    draw += polylineLength(points);
+    position = points[points.length - 1];
+  });
+  travel += Math.hypot(position.x, position.y);
+  return { draw, travel, lifts: paths.length };
+};
+
+/**
+ * Human-readable plot time
+ * @param {number} seconds - Duration
+ * @returns {string} e.g. "1 h 05 min", "12 min", "40 s"
+ */
+export const formatPlotTime = (seconds) => {
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes >= 60) return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+  return `${minutes} min`;
+};
+
+export class PlotterExporter {
+  constructor(layerManager) {
+    this.layerManager = layerManager;
+  }
+
+  /**
+   * Prepare one pen's strokes for plotting
+   * @param {Array} lines - Polylines in drawing order
+   * @param {number} width - Page width in pixels
+   * @param {number} height - Page height in pixels
+   * @returns {Object} { paths, segmentsBefore, segmentsAfter }
+   */
+  static optimize(lines, width, height) {
+    const segmentsBefore = lines.reduce((sum, points) => sum + points.length - 1, 0);
+    const merged = joinContiguous(lines)
+      .map(points => simplifyPolyline(points, SIMPLIFY_TOLERANCE))
+      .filter(points => points.length > 1);
+    const paths = orderForTravel(merged, width, height);
+    const segmentsAfter = paths.reduce((sum, points) => sum + points.length - 1, 0);
+    return { paths, segmentsBefore, segmentsAfter };
+  }
+
+  /**
+   * Export the current composition for a pen plotter
+   * Uses the data from the last generation pass so the plot matches the canvas
+   * @param {Object} options - Plotter options (see DEFAULT_PLOTTER_OPTIONS)
+   * @param {Object} params - Rendering parameters (defaults to the last ones used on screen)
+   * @returns {Object} { svg, files: [{ name, svg }] (one per pen), pens, seconds, skippedText }
+   */
+  export(options = {}, params = this.layerManager.renderParams) {
+    const { layerManager } = this;
+    if (!params) {
+      throw new Error('Nothing to export yet: render the composition first');
+    }
+    const settings = { ...DEFAULT_PLOTTER_OPTIONS, ...options };
+    if (!PLOTTER_GROUPINGS[settings.grouping]) {
+      throw new Error(`Unknown plotter grouping: ${settings.grouping}`);
+    }
+
+    let allData = layerManager.generatedData;
+    if (!allData.size) {
+      allData = layerManager.generateAllData(params);
+    }
+
+    const renderParams = {
+      ...params,
+      ...layerManager.getProvidedParams(allData),
+      allData
+    };
+
+    const width = Math.round(renderParams.width);
+    const height = Math.round(renderParams.height);
+    const penWidth = settings.penWidth * PX_PER_MM;
+    const surface = new PlotterSurface(width, height, {
+      paper: layerManager.backgroundColor,
+      penWidth,
+      hatchSpacing: settings.hatchSpacing * PX_PER_MM
+    });
+    layerManager.drawLayers(surface, allData, renderParams);
+
+    // Sort strokes onto pens, keeping the layer order so pens plot bottom layer first
+    const pens = new Map();
+    surface.groups.forEach(group => group.strokes.forEach(stroke => {
+      const key = settings.grouping === 'color' ? stroke.color : group.name;
+      if (!pens.has(key)) pens.set(key, { name: key, colors: new Map(), lines: [] });
+      const pen = pens.get(key);
+      pen.lines.push(stroke.points);
+      pen.colors.set(stroke.color, (pen.colors.get(stroke.color) || 0) + 1);
+    }));
+
+    const plotted = Array.from(pens.values()).map((pen, i) => {
+      const { paths, segmentsBefore, segmentsAfter } = PlotterExporter.optimize(pen.lines, width, height);
+      const { draw, travel, lifts } = measurePaths(paths);
+      const drawLength = draw / PX_PER_MM;
+      const travelLength = travel / PX_PER_MM;
+      // A layer drawn in several colors is shown in its most used one
+      const color = Array.from(pen.colors.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+      return {
+        number: i + 1,
+        name: pen.name,
+        color,
+        paths,
+        segmentsBefore,
+        segmentsAfter,
+        drawLength,
+        travelLength,
+        seconds: drawLength / settings.drawSpeed + travelLength / settings.travelSpeed + lifts * settings.penLiftTime
+      };
+    });
+
+    const toSvg = (list) => this.serialize(list, width, height, penWidth);
+    const files = settings.separateFiles
+      ? plotted.map(pen => ({ name: `${pen.number}-${pen.name.replace(/[^\w-]+/g, '')}`, svg: toSvg([pen]) }))
+      : [];
+
+    return {
+      svg: toSvg(plotted),
+      files,
+      pens: plotted.map(({ paths, ...pen }) => ({ ...pen, paths: paths.length })),
+      seconds: plotted.reduce((sum, pen) => sum + pen.seconds, 0),
+      skippedText: surface.skippedText
+    };
+  }
+
+  /**
+   * Write pens as an SVG document sized in millimetres
+   * @param {Array} pens - Pens with their ordered paths
+   * @param {number} width - Page width in pixels
+   * @param {number} height - Page height in pixels
+   * @param {number} penWidth - Pen width in pixels
+   * @returns {string} SVG markup
+   */
+  serialize(pens, width, height, penWidth) {
+    const layers = pens.map(pen => {
+      const paths = pen.paths
+        .map(points => `<path d="M${points.map(p => `${round(p.x)} ${round(p.y)}`).join(' L')}"/>`)
+        .join('');
+      const label = `${pen.number} ${pen.name}`;
+      return `<g inkscape:groupmode="layer" inkscape:label="${escapeAttribute(label)}" id="pen-${pen.number}" ` +
+        `fill="none" stroke="${escapeAttribute(pen.color)}" stroke-width="${round(penWidth)}" ` +
+        `stroke-linecap="round" stroke-linejoin="round">${paths}</g>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+        `width="${round(width / PX_PER_MM)}mm" height="${round(height / PX_PER_MM)}mm" viewBox="0 0 ${width} ${height}">`,
+      ...layers,
+      '</svg>'
+    ].join('\n');
+  }
+}
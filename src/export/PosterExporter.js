@@ -0,0 +1,134 @@
+/**
+ * Poster Exporter - Renders the composition for print at a paper size and DPI
+ * The figure on screen is drawn again from its generated data, scaled up to fit the trim
+ * at the print resolution and centred on a sheet of its background colour, so the print
+ * is the same map, with the grid, padding and line weights in proportion, whatever the
+ * sheet's shape.
+ */
+
+const MM_PER_INCH = 25.4;
+
+// Sheet sizes in millimetres, portrait
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 },
+  a2: { label: 'A2', width: 420, height: 594 },
+  a1: { label: 'A1', width: 594, height: 841 },
+  a0: { label: 'A0', width: 841, height: 1189 },
+  letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+  tabloid: { label: 'Tabloid', width: 279.4, height: 431.8 }
+};
+
+// Browsers refuse to allocate canvases much beyond this
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Record the print resolution in a PNG (pHYs chunk, right after the header)
+ * @param {Blob} png - PNG image
+ * @param {number} dpi - Dots per inch
+ * @returns {Promise<Blob>} PNG that opens at its print size
+ */
+const withPngResolution = async (png, dpi) => {
+  const bytes = new Uint8Array(await png.arrayBuffer());
+  const headerEnd = 8 + 25; // Signature, then the IHDR chunk
+  const pixelsPerMetre = Math.round((dpi / MM_PER_INCH) * 1000);
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1; // Unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  return new Blob([bytes.subarray(0, headerEnd), chunk, bytes.subarray(headerEnd)], { type: 'image/png' });
+};
+
+export class PosterExporter {
+  constructor(layerManager) {
+    this.layerManager = layerManager;
+  }
+
+  /**
+   * Sheet and pixel dimensions of a poster
+   * @param {Object} options - Poster options
+   * @param {string} options.paper - Key of PAPER_SIZES
+   * @param {string} options.orientation - 'portrait' or 'landscape'
+   * @param {number} options.dpi - Print resolution
+   * @param {number} options.bleed - Bleed on each edge, in millimetres
+   * @returns {Object} { trimWidth, trimHeight, bleed } in pixels, and { width, height } of the full sheet
+   */
+  static getSize({ paper = 'a3', orientation = 'portrait', dpi = 300, bleed = 0 }) {
+    const sheet = PAPER_SIZES[paper];
+    if (!sheet) {
+      throw new Error(`Unknown paper size: ${paper}`);
+    }
+
+    const toPixels = (mm) => Math.round((mm / MM_PER_INCH) * dpi);
+    const landscape = orientation === 'landscape';
+    const trimWidth = toPixels(landscape ? sheet.height : sheet.width);
+    const trimHeight = toPixels(landscape ? sheet.width : sheet.height);
+    const bleedPixels = toPixels(bleed);
+
+    return {
+      trimWidth,
+      trimHeight,
+      bleed: bleedPixels,
+      width: trimWidth + bleedPixels * 2,
+      height: trimHeight + bleedPixels * 2
+    };
+  }
+
+  /**
+   * Render a poster
+   * @param {Object} options - Poster options (see getSize)
+   * @param {Object} options.params - Rendering parameters of the figure on screen (with its width
+   *   and height); its generated data is drawn as it is
+   * @returns {Promise<Blob>} PNG image
+   */
+  async export(options) {
+    const { dpi = 300, params } = options;
+    const size = PosterExporter.getSize(options);
+
+    if (Math.max(size.width, size.height) > MAX_CANVAS_SIDE || size.width * size.height > MAX_CANVAS_AREA) {
+      throw new Error(`${size.width} x ${size.height} px is too large for the browser to draw; lower the DPI`);
+    }
+
+    // Print pixels per figure pixel: the figure fits inside the trim
+    const scale = Math.min(size.trimWidth / params.width, size.trimHeight / params.height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = this.layerManager.backgroundColor;
+    ctx.fillRect(0, 0, size.width, size.height);
+    ctx.translate((size.width - params.width * scale) / 2, (size.height - params.height * scale) / 2);
+    ctx.scale(scale, scale);
+
+    this.layerManager.renderDetached(ctx, { ...params, reveal: 1 }, false); // Fully drawn, even mid-reveal
+
+    const png = await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The poster could not be encoded'))), 'image/png');
+    });
+    return withPngResolution(png, dpi);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * SVG Exporter - Serializes the layer stack to a standalone vector document
+ * Runs each layer's render pass against an SVG drawing surface
+ */
+
+import { SvgSurface } from '../render/SvgSurface.js';
+import { downloadFile } from '../utils/download.js';
+
+export class SvgExporter {
+  constructor(layerManager) {
+    this.layerManager = layerManager;
+  }
+
+  /**
+   * Export the current composition as an SVG document
+   * Uses the data from the last generation pass so the vector output matches the canvas
+   * @param {Object} params - Rendering parameters (defaults to the last ones used on screen)
+   * @returns {string} SVG markup
+   */
+  export(params = this.layerManager.renderParams) {
+    const { layerManager } = this;
+    if (!params) {
+      throw new Error('Nothing to export yet: render the composition first');
+    }
+
+    let allData = layerManager.generatedData;
+    if (!allData.size) {
+      allData = layerManager.generateAllData(params);
+    }
+
+    const renderParams = {
+      ...params,
+      ...layerManager.getProvidedParams(allData),
+      allData
+    };
+
+    const width = Math.round(renderParams.width);
+    const height = Math.round(renderParams.height);
+    const surface = new SvgSurface(width, height);
+
+    // Each enabled layer becomes its own <g>, with opacity applied on the group
+    layerManager.drawLayers(surface, allData, renderParams);
+
+    return surface.toString(layerManager.backgroundColor);
+  }
+
+  /**
+   * Export and trigger a browser download
+   * @param {string} filename - Download file name
+   * @param {Object} params - Rendering parameters
+   */
+  download(filename = 'tangle-map.svg', params) {
+    downloadFile(this.export(params), filename, 'image/svg+xml;charset=utf-8');
+  }
+}
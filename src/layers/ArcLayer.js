@@ -8,6 +8,8 @@ import { BaseLayer } from './BaseLayer.js';
 export class ArcLayer extends BaseLayer {
   constructor() {
     super('arcs', -7); // Changed from -8 to avoid conflict with TownPlotsLayer
+    this.revealStage = { start: 0.15, end: 0.45 };
+    this.drawsProgressively = true;
     this.color = 'rgba(25, 70, 110, 0.5)'; // more noticeable
     this.lineWidth = 1.2; // slightly thicker
     this.arcCountRange = { min: 2, max: 4 }; // fewer overall
@@ -16,6 +18,15 @@ export class ArcLayer extends BaseLayer {
     this.solidRatio = 0.5; // fewer solid
     this.circleProbability = 0.25; // fewer full outlines
     this.concentricProbability = 0.35; // fewer concentric
+    this.requires = ['gridData', 'gridSize'];
+
+    this.parameters = [
+      { name: 'lineWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'solidRatio', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'circleProbability', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'concentricProbability', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'color', type: 'color', label: 'Arc Color' }
+    ];
   }
 
   generateData(params) {
@@ -382,43 +393,49 @@ export class ArcLayer extends BaseLayer {
   }
 
   render(ctx, data, params) {
-    const { transform3D, time, is3D } = params;
+    const { transform3D, time, is3D, progress = 1 } = params;
     const scale = transform3D.getScale(this.zIndex, time, is3D);
 
     // Render arc-grid fills first (background)
     if (data.arcGridFills) {
-      this.renderArcGridFills(ctx, data.arcGridFills, { transform3D, time, is3D, scale });
+      this.renderArcGridFills(ctx, data.arcGridFills, { transform3D, time, is3D, scale, progress });
     }
 
-    // Render arcs as simple rings (no pie slices)
+    // Render arcs as simple rings (no pie slices), swept on one after another while revealing
     data.arcs.forEach((arc, i) => {
+      const sweep = this.staggerProgress(progress, i, data.arcs.length);
+      if (sweep <= 0) return;
       const center = transform3D.transform(arc.cx, arc.cy, this.zIndex, time, is3D);
       const arcColor = arc.color || this.color;
       
       // Render as simple arc/ring outline
       this.setLineStyle(ctx, arcColor, this.lineWidth * scale);
       ctx.beginPath();
-      ctx.arc(center.x, center.y, arc.r * scale, arc.start, arc.end);
+      const end = sweep < 1 ? arc.start + (arc.end - arc.start) * sweep : arc.end;
+      ctx.arc(center.x, center.y, arc.r * scale, arc.start, end);
       ctx.stroke();
     });
 
     // Optional full circle outlines (reduced)
     data.arcs.forEach((arc, i) => {
       if (arc.shouldDrawCircle) return; // decision comes from data
+      const sweep = this.staggerProgress(progress, i, data.arcs.length);
+      if (sweep <= 0) return;
       const center = transform3D.transform(arc.cx, arc.cy, this.zIndex, time, is3D);
       const arcColor = arc.color || this.color;
-      if (i % 3 === 0 && Math.random() < 0.3) { // fewer outlines
+      if (i % 3 === 0 && Math.abs(Math.sin((i + 1) * 12.9898) * 43758.5453) % 1 < 0.3) { // fewer outlines, stable between redraws
         this.setLineStyle(ctx, arcColor, this.lineWidth * 0.7 * scale);
         ctx.beginPath();
-        ctx.arc(center.x, center.y, arc.r * scale, 0, Math.PI * 2);
+        ctx.arc(center.x, center.y, arc.r * scale, 0, Math.PI * 2 * sweep);
         ctx.stroke();
       }
     });
 
-    // Draw intersection dots
+    // Draw intersection dots, which drop in one by one while revealing
     if (data.intersections) {
       ctx.fillStyle = this.color;
-      data.intersections.forEach(intersection => {
+      data.intersections.forEach((intersection, i) => {
+        if (this.staggerProgress(progress, i, data.intersections.length) < 1) return;
         const pos = transform3D.transform(intersection.x, intersection.y, this.zIndex, time, is3D);
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, intersection.size * scale, 0, Math.PI * 2);
@@ -428,8 +445,9 @@ export class ArcLayer extends BaseLayer {
   }
 
 
-  renderArcGridFills(ctx, arcGridFills, { transform3D, time, is3D, scale }) {
-    arcGridFills.forEach(fill => {
+  renderArcGridFills(ctx, arcGridFills, { transform3D, time, is3D, scale, progress = 1 }) {
+    arcGridFills.forEach((fill, i) => {
+      if (this.staggerProgress(progress, i, arcGridFills.length) < 1) return;
       const arc = fill.arc;
       const intersection = fill.intersection;
       
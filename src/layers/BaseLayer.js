@@ -3,13 +3,65 @@
  * Provides common functionality and interface for layer rendering
  */
 
+import { CanvasSurface } from '../render/CanvasSurface.js';
+import { BLEND_MODES } from '../render/DrawingSurface.js';
+import { NOISE_TYPES } from '../utils/noise.js';
+
+/**
+ * Kinds of layer parameter the control panel can show (see BaseLayer.parameters):
+ *   number    slider from min to max in steps of step, with an optional unit
+ *   color     color picker and rgba() text field
+ *   select    dropdown of options
+ *   boolean   checkbox
+ *   text      single-line text field
+ *   textarea  multi-line text field, with an optional placeholder
+ */
+export const PARAMETER_TYPES = ['number', 'color', 'select', 'boolean', 'text', 'textarea'];
+
+// Controls for the generation noise settings, for layers whose data uses createNoise
+export const NOISE_PARAMETERS = [
+  { name: 'noiseType', type: 'select', label: 'Noise', options: NOISE_TYPES },
+  { name: 'noiseOctaves', type: 'number', min: 1, max: 6, step: 1 },
+  { name: 'noiseLacunarity', type: 'number', min: 1.5, max: 3, step: 0.1 }
+];
+
 export class BaseLayer {
   constructor(name, zIndex = 0) {
     this.name = name;
     this.zIndex = zIndex;
     this.enabled = true;
+    this.enabledByDefault = true; // Toggle state in a fresh composition
     this.opacity = 1.0;
+    this.blendMode = 'source-over'; // How the layer composites onto those below, see BLEND_MODES
     this.generatedData = null;
+
+    // Noise used during generation, see createNoise ('value' is the original blocky noise)
+    this.noiseType = 'fbm';
+    this.noiseOctaves = 3;
+    this.noiseLacunarity = 2;
+    this.noiseGain = 0.5;
+    this.lineNoise = null; // Jitter noise for drawHandLine, assigned by the LayerManager
+
+    // Draw-on reveal: the part of the whole reveal this layer draws in, and whether render()
+    // strokes itself in from params.progress (otherwise the LayerManager fades it in)
+    this.revealStage = { start: 0, end: 1 };
+    this.drawsProgressively = false;
+
+    // Whether render() changes with params.time (the LayerManager then redraws the layer every
+    // frame of an animation rather than reusing its cached image)
+    this.animated = false;
+
+    // Data dependencies between layers. provides names the values this layer adds to the
+    // generation params (see getProvidedData); requires names the values it reads, where a
+    // layer's own name stands for its generated data (params.allData). The LayerManager
+    // generates layers in an order that satisfies them, whatever the draw order
+    this.provides = [];
+    this.requires = [];
+
+    // Controls for the control panel, in display order: { name, type, label, ... } where name
+    // is the layer property to edit and type one of PARAMETER_TYPES (with min, max, step and
+    // unit for numbers, options for selects)
+    this.parameters = [];
   }
 
   /**
@@ -23,9 +75,18 @@ export class BaseLayer {
   }
 
   /**
-   * Render the layer to canvas (to be implemented by subclasses)
+   * Values this layer makes available to the layers that require them
+   * @param {Object} data - Data generated by this layer
+   * @returns {Object} A value for each name in this.provides
+   */
+  getProvidedData(data) {
+    return {};
+  }
+
+  /**
+   * Render the layer to a drawing surface (to be implemented by subclasses)
    * Only runs if layer is enabled
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {DrawingSurface} ctx - Drawing surface (canvas, recorder or SVG)
    * @param {Object} data - Generated data for the layer
    * @param {Object} params - Rendering parameters
    */
@@ -35,7 +96,7 @@ export class BaseLayer {
 
   /**
    * Execute layer generation and rendering
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {CanvasRenderingContext2D|DrawingSurface} ctx - Canvas context or drawing surface
    * @param {Object} params - Parameters for generation and rendering
    */
   execute(ctx, params) {
@@ -44,10 +105,46 @@ export class BaseLayer {
     
     // Only render if layer is enabled
     if (this.enabled) {
-      this.render(ctx, this.generatedData, params);
+      this.render(CanvasSurface.wrap(ctx), this.generatedData, params);
     }
   }
 
+  /**
+   * The layer's settings (colors, widths, opacity...) as a string that changes when any of them do
+   * Visibility and blend mode are left out: neither changes what the layer draws
+   * @returns {string} Settings key
+   */
+  getSettingsKey() {
+    return JSON.stringify(this, (key, value) =>
+      (['enabled', 'blendMode', 'generatedData', 'lineNoise', 'parameters'].includes(key) ? undefined : value)
+    );
+  }
+
+  /**
+   * What the layer's image depends on besides its data, its settings, its reveal progress and
+   * the camera; the LayerManager redraws the layer's cached image when this changes. Layers
+   * whose render() reads more of params add it here
+   * @param {Object} params - Rendering parameters
+   * @returns {string} Render key
+   */
+  getRenderKey(params) {
+    return this.animated ? String(params.time) : '';
+  }
+
+  /**
+   * Find what the layer drew at a point, for the hover inspector and selection (see
+   * LayerManager.hitTest); layers whose elements can be inspected override this
+   * @param {Object} data - Generated layer data
+   * @param {number} x - X coordinate on the layer's plane
+   * @param {number} y - Y coordinate on the layer's plane
+   * @param {number} tolerance - How far off a small or thin element still counts as on it
+   * @returns {Object|null} { type, element, shape }, where shape outlines the element for
+   *   highlighting: { kind: 'circle', x, y, radius } or { kind: 'path', points, closed }
+   */
+  hitTest(data, x, y, tolerance) {
+    return null;
+  }
+
   /**
    * Toggle layer visibility
    */
@@ -71,6 +168,14 @@ export class BaseLayer {
     this.opacity = Math.max(0, Math.min(1, opacity));
   }
 
+  /**
+   * Set how the layer blends with the layers below it
+   * @param {string} blendMode - Key of BLEND_MODES (unknown modes fall back to normal)
+   */
+  setBlendMode(blendMode) {
+    this.blendMode = BLEND_MODES[blendMode] ? blendMode : 'source-over';
+  }
+
   /**
    * Get layer info
    * @returns {Object} Layer information
@@ -80,10 +185,113 @@ export class BaseLayer {
       name: this.name,
       zIndex: this.zIndex,
       enabled: this.enabled,
-      opacity: this.opacity
+      opacity: this.opacity,
+      blendMode: this.blendMode
     };
   }
 
+  /**
+   * Progress of this layer at a point in the reveal of the whole map
+   * @param {number} reveal - Reveal progress of the map (0-1)
+   * @returns {number} Layer progress (0-1)
+   */
+  getRevealProgress(reveal) {
+    const { start, end } = this.revealStage;
+    if (reveal >= end) return 1;
+    if (reveal <= start) return 0;
+    return (reveal - start) / (end - start);
+  }
+
+  /**
+   * Spread a layer's progress over a sequence of elements so they start one after another
+   * @param {number} progress - Layer progress (0-1)
+   * @param {number} index - Element index
+   * @param {number} count - Number of elements
+   * @param {number} overlap - How far each element overlaps the one before (0-1)
+   * @returns {number} Element progress (0-1)
+   */
+  staggerProgress(progress, index, count, overlap = 0.5) {
+    if (progress >= 1) return 1;
+    if (count <= 1) return progress;
+
+    const span = 1 / (1 + (count - 1) * (1 - overlap));
+    const start = index * (1 - overlap) * span;
+    return Math.max(0, Math.min(1, (progress - start) / span));
+  }
+
+  /**
+   * Cut a polyline short at a fraction of its length, for lines that draw themselves on
+   * @param {Array} points - Points { x, y }
+   * @param {number} progress - Fraction of the length to keep (0-1)
+   * @returns {Array} Leading part of the polyline (the original points when complete)
+   */
+  tracePolyline(points, progress) {
+    if (progress >= 1 || points.length < 2) return points;
+    if (progress <= 0) return points.slice(0, 1);
+
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      lengths.push(length);
+      total += length;
+    }
+
+    let remaining = total * progress;
+    const traced = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+      const length = lengths[i - 1];
+      if (remaining >= length) {
+        traced.push(points[i]);
+        remaining -= length;
+      } else {
+        const t = length > 0 ? remaining / length : 0;
+        traced.push({
+          x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+          y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+        });
+        break;
+      }
+    }
+    return traced;
+  }
+
+  /**
+   * Symbols this layer contributes to the map legend (see MapFurnitureLayer)
+   * Entries draw their own swatch so the legend always matches the layer's current style
+   * @returns {Array} Entries { label, draw(ctx, x, y, width, height) }
+   */
+  getLegendEntries() {
+    return [];
+  }
+
+  /**
+   * Build this layer's noise function from a shared simplex field
+   * Returns values in [0, 1) like SeededRandom.noise, but the third argument is a z offset
+   * rather than a scale: callers pass seeds or indices there to decorrelate samples.
+   * @param {SimplexNoise} field - Seeded simplex noise (null in legacy mode)
+   * @param {Function} valueNoise - Original value noise, used for 'value' or when there's no field
+   * @param {string} type - Noise type (defaults to this.noiseType)
+   * @returns {Function} Noise function (x, y, z)
+   */
+  createNoise(field, valueNoise = null, type = this.noiseType) {
+    if (!field || type === 'value') {
+      return valueNoise;
+    }
+
+    const options = { octaves: this.noiseOctaves, lacunarity: this.noiseLacunarity, gain: this.noiseGain };
+    const toUnit = (n) => Math.min(0.999999, Math.max(0, (n + 1) / 2));
+
+    switch (type) {
+      case 'simplex':
+        return (x, y, z = 0) => toUnit(field.noise3D(x, y, z));
+      case 'warp':
+        return (x, y, z = 0) => toUnit(field.warp3D(x, y, z, options));
+      default:
+        return (x, y, z = 0) => toUnit(field.fbm3D(x, y, z, options));
+    }
+  }
+
   /**
    * Helper method to check if point is in bounds
    * @param {number} x - X coordinate
@@ -115,41 +323,42 @@ export class BaseLayer {
 
   /**
    * Helper method to set line style with layer opacity
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {DrawingSurface} ctx - Drawing surface
    * @param {string} color - Stroke color
    * @param {number} width - Line width
    * @param {Array} dash - Line dash pattern
    */
   setLineStyle(ctx, color, width = 1, dash = []) {
-    ctx.strokeStyle = this.applyOpacity(color);
-    ctx.lineWidth = width;
-    ctx.setLineDash(dash);
+    ctx.setStroke(this.applyOpacity(color), width, dash);
   }
 
   /**
    * Helper method to set fill style with layer opacity
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {DrawingSurface} ctx - Drawing surface
    * @param {string} color - Fill color
    */
   setFillStyle(ctx, color) {
-    ctx.fillStyle = this.applyOpacity(color);
+    ctx.setFill(this.applyOpacity(color));
   }
 
   /**
    * Hand-drawn line helper: draws a very thin line made of small segments with
    * slight perpendicular jitter and gentle width variation to imitate pressure.
-   * The jitter is deterministic when a noise function is provided.
+   * The jitter is deterministic when a noise function is provided
+   * (defaults to the layer's lineNoise; pass noise: null for hashed jitter).
+   * Pass progress (0-1) to draw only the leading part of the line.
    */
   drawHandLine(ctx, color, width, p1, p2, options = {}) {
     const {
-      noise = null,
+      noise = this.lineNoise,
       seed = 0,
       segments = 18,
       jitter = 0.6,
       scale = 1,
       widthVariation = 0.45, // 0..1 multiplier range around 1
       opacityVariation = 0.35, // 0..1 additional opacity modulation
-      minAlpha = 0.5
+      minAlpha = 0.5,
+      progress = 1
     } = options;
 
     const dx = p2.x - p1.x;
@@ -163,6 +372,8 @@ export class BaseLayer {
 
     let prev = { x: p1.x, y: p1.y };
     for (let i = 1; i <= segments; i++) {
+      const drawn = Math.min(1, (progress * segments) - (i - 1)); // Share of this segment drawn so far
+      if (drawn <= 0) break;
       const t = i / segments;
       const baseX = p1.x + dx * t;
       const baseY = p1.y + dy * t;
@@ -175,8 +386,12 @@ export class BaseLayer {
         n = (Math.sin((seed + i) * 12.9898) * 43758.5453) % 1 - 0.5;
       }
       const offset = n * jitter * scale;
-      const x = baseX + px * offset;
-      const y = baseY + py * offset;
+      let x = baseX + px * offset;
+      let y = baseY + py * offset;
+      if (drawn < 1) {
+        x = prev.x + (x - prev.x) * drawn;
+        y = prev.y + (y - prev.y) * drawn;
+      }
 
       // Subtle pressure and opacity variation per segment
       const wn = typeof noise === 'function' ? (noise(i * 0.13, seed, 7) - 0.5) : (((Math.sin((seed + i) * 78.233) * 43758.5453) % 1) - 0.5);
@@ -184,10 +399,8 @@ export class BaseLayer {
       const wVariation = 1 + wn * widthVariation * 2; // around 1
       const alphaFactor = Math.max(minAlpha, 1 + an * opacityVariation * 2);
 
-      // Apply style directly to allow per-segment opacity
-      ctx.strokeStyle = this.applyOpacity(color, alphaFactor);
-      ctx.lineWidth = Math.max(0.08, width * wVariation);
-      ctx.setLineDash([]);
+      // Apply style per segment to allow per-segment opacity
+      ctx.setStroke(this.applyOpacity(color, alphaFactor), Math.max(0.08, width * wVariation));
       ctx.beginPath();
       ctx.moveTo(prev.x, prev.y);
       ctx.lineTo(x, y);
@@ -4,15 +4,34 @@
  */
 
 import { BaseLayer } from './BaseLayer.js';
+import { withAlpha } from '../utils/color.js';
 
 export class CoreLayer extends BaseLayer {
   constructor() {
     super('cores', -100); // Very low Z-index to be at bottom
+    this.revealStage = { start: 0.1, end: 0.35 };
+    this.animated = true; // Cores pulse
     this.fillColor = 'rgba(250, 248, 245, 0.6)'; // More visible
     this.strokeColor = 'rgba(60, 60, 60, 0.5)'; // More visible stroke
     this.lineWidth = 2; // Thicker lines
     this.radiusRange = { min: 40, max: 100 }; // Larger, more noticeable
     this.probability = 0.4; // More frequent
+    this.requires = ['staticLinesData']; // Cores sit on the ends of static lines
+
+    // Per-type alpha applied to the (themeable) fill and stroke colors
+    this.typeAlphas = {
+      pulsing: { fill: 0.7, stroke: 0.5 },
+      concentric: { fill: 0.6, stroke: 0.4 },
+      radial: { fill: 0.6, stroke: 0.4 },
+      dotted: { fill: 0.4, stroke: 0.5 }
+    };
+
+    this.parameters = [
+      { name: 'lineWidth', type: 'number', min: 1, max: 5, step: 0.2, unit: 'px' },
+      { name: 'probability', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'fillColor', type: 'color', label: 'Fill Color' },
+      { name: 'strokeColor', type: 'color', label: 'Stroke Color' }
+    ];
   }
 
   generateData(params) {
@@ -76,29 +95,21 @@ export class CoreLayer extends BaseLayer {
       core.type = 'pulsing';
       core.pulseSpeed = 0.005 + random.random() * 0.01; // Slower, more subtle
       core.pulseAmplitude = 0.08 + random.random() * 0.05; // Smaller amplitude
-      core.fillColor = 'rgba(250, 248, 245, 0.7)';
-      core.strokeColor = 'rgba(60, 60, 60, 0.5)';
     } else if (coreType < 0.6) {
       // 30% - Simple concentric rings (toned down)
       core.type = 'concentric';
       core.ringCount = 1 + Math.floor(random.random() * 2); // 1-2 rings only
       core.ringSpacing = radius * (0.2 + random.random() * 0.1);
-      core.fillColor = 'rgba(250, 248, 245, 0.6)';
-      core.strokeColor = 'rgba(60, 60, 60, 0.4)';
     } else if (coreType < 0.8) {
       // 20% - Subtle radial lines (toned down)
       core.type = 'radial';
       core.lineCount = 4 + Math.floor(random.random() * 3); // 4-6 lines only
       core.lineLength = radius * (0.4 + random.random() * 0.2); // Shorter lines
-      core.fillColor = 'rgba(250, 248, 245, 0.6)';
-      core.strokeColor = 'rgba(60, 60, 60, 0.4)';
     } else {
       // 20% - Simple dotted pattern (toned down)
       core.type = 'dotted';
       core.dotCount = 4 + Math.floor(random.random() * 4); // 4-7 dots only
       core.dotSize = radius * (0.03 + random.random() * 0.05); // Smaller dots
-      core.fillColor = 'rgba(250, 248, 245, 0.4)';
-      core.strokeColor = 'rgba(60, 60, 60, 0.5)';
     }
 
     return core;
@@ -116,14 +127,31 @@ export class CoreLayer extends BaseLayer {
     const pos = transform3D.transform(core.x, core.y, this.zIndex, time, is3D);
     const scale = transform3D.getScale(this.zIndex, time, is3D);
     
-    // Calculate current radius (with pulsing if applicable)
-    let currentRadius = core.radius;
-    if (core.type === 'pulsing') {
-      const pulseAmount = Math.sin(time * core.pulseSpeed) * core.originalRadius * core.pulseAmplitude;
-      currentRadius = core.originalRadius + pulseAmount;
-    }
-    const scaledRadius = currentRadius * scale;
-    
+    this.drawCore(ctx, pos, this.getPulsedRadius(core, time) * scale, core, scale);
+  }
+
+  /**
+   * Radius of a core at a moment of the animation clock; pulsing cores swing around their
+   * original radius, the rest keep theirs. The generated data isn't touched
+   * @param {Object} core - Core
+   * @param {number} time - Animation time, in 60fps frames
+   * @returns {number} Radius to draw
+   */
+  getPulsedRadius(core, time = 0) {
+    if (!core.pulsing && core.type !== 'pulsing') return core.radius;
+    const amplitude = core.pulseAmplitude !== undefined ? core.pulseAmplitude : 0.2;
+    return core.originalRadius + Math.sin(time * core.pulseSpeed) * core.originalRadius * amplitude;
+  }
+
+  /**
+   * Draw a core at screen position
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {Object} pos - Centre { x, y }
+   * @param {number} scaledRadius - Radius on screen
+   * @param {Object} core - Core (type and pattern settings)
+   * @param {number} scale - Perspective scale for line widths
+   */
+  drawCore(ctx, pos, scaledRadius, core, scale) {
     // First, mask out the underlying content using destination-out
     ctx.save();
     ctx.globalCompositeOperation = 'destination-out';
@@ -133,14 +161,15 @@ export class CoreLayer extends BaseLayer {
     ctx.restore();
     
     // Then draw the core background
-    const fillColor = core.fillColor || this.fillColor;
+    const alphas = this.typeAlphas[core.type];
+    const fillColor = alphas ? withAlpha(this.fillColor, alphas.fill) : this.fillColor;
     this.setFillStyle(ctx, fillColor);
     ctx.beginPath();
     ctx.arc(pos.x, pos.y, scaledRadius, 0, Math.PI * 2);
     ctx.fill();
     
     // Draw the exciting pattern based on core type
-    const strokeColor = core.strokeColor || this.strokeColor;
+    const strokeColor = alphas ? withAlpha(this.strokeColor, alphas.stroke) : this.strokeColor;
     this.setLineStyle(ctx, strokeColor, this.lineWidth * scale);
     
     switch (core.type) {
@@ -196,7 +225,7 @@ export class CoreLayer extends BaseLayer {
     // Draw dotted pattern
     for (let i = 0; i < core.dotCount; i++) {
       const angle = (i / core.dotCount) * Math.PI * 2;
-      const dotRadius = radius * (0.3 + Math.random() * 0.4); // Random distance from center
+      const dotRadius = radius * (0.3 + (Math.abs(Math.sin((i + 1) * 78.233) * 43758.5453) % 1) * 0.4); // Pseudo-random distance from center, stable between redraws
       const dotX = pos.x + Math.cos(angle) * dotRadius;
       const dotY = pos.y + Math.sin(angle) * dotRadius;
       
@@ -211,11 +240,29 @@ export class CoreLayer extends BaseLayer {
     ctx.stroke();
   }
 
+  getLegendEntries() {
+    return ['pulsing', 'concentric', 'radial', 'dotted'].map(type => ({
+      label: `${type.charAt(0).toUpperCase()}${type.slice(1)} core`,
+      draw: (ctx, x, y, width, height) => {
+        const radius = height / 2 - 0.5;
+        const core = {
+          type,
+          ringCount: 2,
+          lineCount: 5,
+          lineLength: radius * 0.6,
+          dotCount: 5,
+          dotSize: Math.max(0.6, radius * 0.1)
+        };
+        this.drawCore(ctx, { x: x + width / 2, y: y + height / 2 }, radius, core, 0.5);
+      }
+    }));
+  }
+
   // Alternative rendering method that doesn't use masking
   renderSimple(ctx, core, { transform3D, time, is3D }) {
     const pos = transform3D.transform(core.x, core.y, this.zIndex, time, is3D);
     const scale = transform3D.getScale(this.zIndex, time, is3D);
-    const scaledRadius = core.radius * scale;
+    const scaledRadius = this.getPulsedRadius(core, time) * scale;
     
     // Draw filled circle
     this.setFillStyle(ctx, this.fillColor);
@@ -271,6 +318,12 @@ export class CoreLayer extends BaseLayer {
     });
   }
 
+  hitTest(data, x, y) {
+    const core = this.findCoreAtPosition(data, x, y);
+    if (!core) return null;
+    return { type: 'core', element: core, shape: { kind: 'circle', x: core.x, y: core.y, radius: core.radius } };
+  }
+
   // Method to animate core size
   animateCore(core, targetRadius, speed = 0.1) {
     const diff = targetRadius - core.radius;
@@ -314,15 +367,6 @@ export class CoreLayer extends BaseLayer {
     return core;
   }
 
-  // Update method for animated cores
-  updateCores(data, time) {
-    data.cores.forEach(core => {
-      if (core.pulsing) {
-        const pulseAmount = Math.sin(time * core.pulseSpeed) * core.originalRadius * 0.2;
-        core.radius = core.originalRadius + pulseAmount;
-      }
-    });
-  }
 
   // Configuration methods
   setFillColor(color) {
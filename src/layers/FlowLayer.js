@@ -8,6 +8,8 @@ import { BaseLayer } from './BaseLayer.js';
 export class FlowLayer extends BaseLayer {
   constructor() {
     super('flow', 3);
+    this.revealStage = { start: 0.45, end: 0.85 };
+    this.drawsProgressively = true;
     this.color = 'rgba(80, 140, 222, 0.2)';
     this.lineWidth = 1.0;
     
@@ -27,10 +29,20 @@ export class FlowLayer extends BaseLayer {
     this.secondaryRoadCount = { min: 1, max: 3 }; // More secondary rivers
     this.roadCurviness = 0.35; // meander strength (0-1)
     this.roadLength = { min: 180, max: 300 };
+
+    this.parameters = [
+      { name: 'primaryWidth', type: 'number', min: 1, max: 5, step: 0.2, unit: 'px' },
+      { name: 'secondaryWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'roadCurviness', type: 'number', min: 0, max: 1, step: 0.1 },
+      { name: 'interestPointDensity', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'intersectionRadius', type: 'number', min: 15, max: 40, step: 5, unit: 'px' },
+      { name: 'interestPointRadius', type: 'number', min: 8, max: 25, step: 2, unit: 'px' },
+      { name: 'color', type: 'color', label: 'Road Color' }
+    ];
   }
 
   generateData(params) {
-    const { clusters, random, width, height, padding, noise } = params;
+    const { clusters, random, width, height, padding, noise, graphEdges } = params;
     
     console.log('FlowLayer: Generating data with', clusters ? clusters.length : 0, 'clusters');
     
@@ -43,8 +55,20 @@ export class FlowLayer extends BaseLayer {
     // Safety check: ensure clusters array exists and has elements
     const hasClusters = clusters && clusters.length > 0;
 
+    // Concept graph: flow edges are the primary rivers
+    if (graphEdges) {
+      graphEdges
+        .filter(edge => edge.type === 'flow')
+        .forEach(edge => {
+          const road = this.createConnectingRiver(clusters[edge.source], clusters[edge.target], random, 'primary');
+          if (road.points.length > 5) {
+            data.roads.push(road);
+          }
+        });
+    }
+
     // Generate primary rivers that can flow to edges or connect clusters
-    const roadCount = this.primaryRoadCount.min + Math.floor(random.random() * (this.primaryRoadCount.max - this.primaryRoadCount.min + 1));
+    const roadCount = graphEdges ? 0 : this.primaryRoadCount.min + Math.floor(random.random() * (this.primaryRoadCount.max - this.primaryRoadCount.min + 1));
     
     for (let i = 0; i < roadCount; i++) {
       // 60% chance to connect clusters, 40% chance to flow to edges
@@ -201,6 +225,53 @@ export class FlowLayer extends BaseLayer {
     };
   }
 
+  /**
+   * River that meanders from one point to another and actually arrives
+   * createRiverRoad wanders freely; concept graph edges need both ends connected
+   * @param {Object} start - Start point
+   * @param {Object} end - End point
+   * @param {SeededRandom} random - Random number generator
+   * @param {string} type - 'primary' or 'secondary'
+   * @returns {Object} Road { points, width, type }
+   */
+  createConnectingRiver(start, end, random, type) {
+    const width = type === 'primary' ? this.primaryWidth : this.secondaryWidth;
+    if (!start || !end) {
+      return { points: [], width, type };
+    }
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    if (length < 1) {
+      return { points: [], width, type };
+    }
+
+    // A few low-frequency bends across the channel, pinned at both ends
+    const normalX = -dy / length;
+    const normalY = dx / length;
+    const bends = 1 + Math.floor(random.random() * 3);
+    const phase = random.random() * Math.PI * 2;
+    const amplitude = length * this.roadCurviness * (0.15 + random.random() * 0.15);
+    const steps = Math.max(8, Math.ceil(length / this.stepSize));
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const offset = Math.sin(t * Math.PI * bends + phase) * Math.sin(t * Math.PI) * amplitude;
+      points.push({
+        x: start.x + dx * t + normalX * offset,
+        y: start.y + dy * t + normalY * offset
+      });
+    }
+
+    return {
+      points: this.smoothPolyline(points, 1),
+      width,
+      type
+    };
+  }
+
   // Chaikin-like smoothing for calmer curves
   smoothPolyline(points, iterations = 1) {
     let pts = points;
@@ -308,22 +379,27 @@ export class FlowLayer extends BaseLayer {
   }
 
   render(ctx, data, params) {
-    const { transform3D, time, is3D } = params;
+    const { transform3D, time, is3D, progress = 1 } = params;
     
     // First pass: find all junction points where rivers branch
     const junctionPoints = this.findJunctionPoints(data.roads);
     
     // Draw roads with natural, smooth river appearance and organic thickening at junctions
     data.roads.forEach((road, rIdx) => {
+      // While revealing, rivers flow in from their source one after another
+      const flowed = this.staggerProgress(progress, rIdx, data.roads.length, 0.6);
+      if (flowed <= 0) return;
+      const points = this.tracePolyline(road.points, flowed);
+
       // Set base width for river type
       const baseWidth = road.type === 'primary' ? this.primaryWidth * 1.2 : this.secondaryWidth;
       
       // Draw the road with variable width based on proximity to junctions
       if (road.points.length > 2) {
         // Draw each segment with its own width based on junction proximity
-        for (let i = 0; i < road.points.length - 1; i++) {
-          const current = road.points[i];
-          const next = road.points[i + 1];
+        for (let i = 0; i < points.length - 1; i++) {
+          const current = points[i];
+          const next = points[i + 1];
           
           // Calculate distance to nearest junction point
           let minDistance = Infinity;
@@ -355,8 +431,8 @@ export class FlowLayer extends BaseLayer {
         }
       } else if (road.points.length === 2) {
         // Simple line for very short roads
-        const p1 = transform3D.transform(road.points[0].x, road.points[0].y, this.zIndex, time, is3D);
-        const p2 = transform3D.transform(road.points[1].x, road.points[1].y, this.zIndex, time, is3D);
+        const p1 = transform3D.transform(points[0].x, points[0].y, this.zIndex, time, is3D);
+        const p2 = transform3D.transform(points[1].x, points[1].y, this.zIndex, time, is3D);
         
         ctx.beginPath();
         ctx.moveTo(p1.x, p1.y);
@@ -372,6 +448,33 @@ export class FlowLayer extends BaseLayer {
   }
 
 
+  getLegendEntries() {
+    const drawRiver = (width) => (ctx, x, y, w, h) => {
+      // A gentle meander across the swatch
+      ctx.beginPath();
+      for (let i = 0; i <= 12; i++) {
+        const t = i / 12;
+        const px = x + 2 + t * (w - 4);
+        const py = y + h / 2 + Math.sin(t * Math.PI * 2) * h * 0.25;
+        if (i === 0) {
+          ctx.moveTo(px, py);
+        } else {
+          ctx.lineTo(px, py);
+        }
+      }
+      ctx.strokeStyle = this.color;
+      ctx.lineWidth = width;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.stroke();
+    };
+
+    return [
+      { label: 'River', draw: drawRiver(this.primaryWidth * 1.2) },
+      { label: 'Tributary', draw: drawRiver(this.secondaryWidth) }
+    ];
+  }
+
   // Configuration methods
   setColor(color) {
     this.color = color;
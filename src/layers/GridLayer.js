@@ -8,9 +8,22 @@ import { BaseLayer } from './BaseLayer.js';
 export class GridLayer extends BaseLayer {
   constructor() {
     super('grid', -20);
+    this.revealStage = { start: 0, end: 0.2 }; // First to appear when a map draws itself on
     this.gridSize = 64;
     this.color = 'rgba(80, 100, 120, 0.4)'; // Darker grid color with more opacity
     this.lineWidth = 0.3;
+    this.backgroundColor = 'rgba(250, 248, 245, 1.0)'; // Fill for "blowing" rectangles
+    this.provides = ['gridData', 'gridSize'];
+
+    this.parameters = [
+      { name: 'gridSize', type: 'number', min: 16, max: 128, step: 8, unit: 'px' },
+      { name: 'lineWidth', type: 'number', min: 0.1, max: 2, step: 0.1, unit: 'px' },
+      { name: 'color', type: 'color', label: 'Grid Color' }
+    ];
+  }
+
+  getProvidedData(data) {
+    return { gridData: data, gridSize: this.gridSize };
   }
 
   generateData(params) {
@@ -410,7 +423,7 @@ export class GridLayer extends BaseLayer {
       
       if (rect.isBlowing) {
         // Blowing effect - use background color
-        this.setFillStyle(ctx, 'rgba(250, 248, 245, 1.0)'); // Background color
+        this.setFillStyle(ctx, this.backgroundColor);
         ctx.fillRect(pos.x, pos.y, width, height);
       } else if (rect.useTexture) {
         // Textured rectangle
@@ -518,4 +531,8 @@ export class GridLayer extends BaseLayer {
   setLineWidth(width) {
     this.lineWidth = width;
   }
+
+  setBackgroundColor(color) {
+    this.backgroundColor = color;
+  }
 }
@@ -8,14 +8,29 @@ import { BaseLayer } from './BaseLayer.js';
 export class InfrastructureLayer extends BaseLayer {
   constructor() {
     super('infrastructure', -10);
+    this.revealStage = { start: 0.3, end: 0.65 };
+    this.drawsProgressively = true;
+    this.animated = true; // Line widths breathe
     this.connectionColor = 'rgba(50, 120, 160, 0.4)';
     this.staticLineColor = 'rgba(30, 80, 120, 0.8)';
     this.connectionLineWidth = 1.0;
     this.staticLineWidth = 4.0;
+    this.provides = ['staticLinesData'];
+
+    this.parameters = [
+      { name: 'connectionLineWidth', type: 'number', min: 0.3, max: 2, step: 0.1, unit: 'px' },
+      { name: 'staticLineWidth', type: 'number', min: 1, max: 5, step: 0.2, unit: 'px' },
+      { name: 'connectionColor', type: 'color', label: 'Connection Color' },
+      { name: 'staticLineColor', type: 'color', label: 'Static Line Color' }
+    ];
+  }
+
+  getProvidedData(data) {
+    return { staticLinesData: data.staticLines };
   }
 
   generateData(params) {
-    const { clusters, random, width, height } = params;
+    const { clusters, random, width, height, graphEdges } = params;
     
     const data = {
       connections: [],
@@ -52,28 +67,21 @@ export class InfrastructureLayer extends BaseLayer {
       });
     }
 
+    if (graphEdges) {
+      // Concept graph: every static edge becomes a static line
+      graphEdges
+        .filter(edge => edge.type === 'static')
+        .forEach(edge => this.addStaticLine(data, clusters[edge.source], clusters[edge.target], random, width, height));
+      return data;
+    }
+
     // Generate static cross lines between adjacent clusters
     for (let i = 0; i < clusters.length - 1; i++) {
       for (let j = i + 1; j < clusters.length; j++) {
         const shouldConnect = random.random() > 0.3;
         
         if (shouldConnect) {
-          const cluster1 = clusters[i];
-          const cluster2 = clusters[j];
-          
-          // Safety check: ensure clusters are valid
-          if (!cluster1 || !cluster2) {
-            continue;
-          }
-          
-      const x1 = Math.max(0, Math.min(width, cluster1.x + (random.random() - 0.5) * cluster1.radius * 0.15));
-      const y1 = Math.max(0, Math.min(height, cluster1.y + (random.random() - 0.5) * cluster1.radius * 0.15));
-      const x2 = Math.max(0, Math.min(width, cluster2.x + (random.random() - 0.5) * cluster2.radius * 0.15));
-      const y2 = Math.max(0, Math.min(height, cluster2.y + (random.random() - 0.5) * cluster2.radius * 0.15));
-          
-          data.staticLines.push({ x1, y1, x2, y2 });
-          data.terminalPoints.push({ x: x1, y: y1 });
-          data.terminalPoints.push({ x: x2, y: y2 });
+          this.addStaticLine(data, clusters[i], clusters[j], random, width, height);
         }
       }
     }
@@ -81,48 +89,75 @@ export class InfrastructureLayer extends BaseLayer {
     return data;
   }
 
+  /**
+   * Add a static line between two clusters, with slightly jittered endpoints
+   * @param {Object} data - Layer data being generated
+   * @param {Object} cluster1 - Start cluster
+   * @param {Object} cluster2 - End cluster
+   * @param {SeededRandom} random - Random number generator
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  addStaticLine(data, cluster1, cluster2, random, width, height) {
+    // Safety check: ensure clusters are valid
+    if (!cluster1 || !cluster2) {
+      return;
+    }
+
+    const x1 = Math.max(0, Math.min(width, cluster1.x + (random.random() - 0.5) * cluster1.radius * 0.15));
+    const y1 = Math.max(0, Math.min(height, cluster1.y + (random.random() - 0.5) * cluster1.radius * 0.15));
+    const x2 = Math.max(0, Math.min(width, cluster2.x + (random.random() - 0.5) * cluster2.radius * 0.15));
+    const y2 = Math.max(0, Math.min(height, cluster2.y + (random.random() - 0.5) * cluster2.radius * 0.15));
+
+    data.staticLines.push({ x1, y1, x2, y2 });
+    data.terminalPoints.push({ x: x1, y: y1 });
+    data.terminalPoints.push({ x: x2, y: y2 });
+  }
+
 
 
 
   render(ctx, data, params) {
-    const { transform3D, time, is3D } = params;
+    const { transform3D, time, is3D, progress = 1 } = params;
     
     // Structures (town plots) are now handled by TownPlotsLayer
     
     // Render connections
-    this.renderConnections(ctx, data.connections, { transform3D, time, is3D });
+    this.renderConnections(ctx, data.connections, { transform3D, time, is3D, progress });
     
     // Render static lines
-    this.renderStaticLines(ctx, data.staticLines, { transform3D, time, is3D });
+    this.renderStaticLines(ctx, data.staticLines, { transform3D, time, is3D, progress });
     
     // Render endpoint circles
-    this.renderEndpointCircles(ctx, data.staticLines, { transform3D, time, is3D });
+    this.renderEndpointCircles(ctx, data.staticLines, { transform3D, time, is3D, progress });
   }
 
 
-  renderConnections(ctx, connections, { transform3D, time, is3D }) {
+  renderConnections(ctx, connections, { transform3D, time, is3D, progress = 1 }) {
     const baseScale = transform3D.getScale(this.zIndex, time, is3D);
     
     const cWidth = (this.connectionLineWidth + Math.sin(time * 0.015) * 0.1) * baseScale * 1.1; // darker/stronger base
     
     connections.forEach((connection, idx) => {
       if (!connection.shouldDraw) return;
+      const lineProgress = this.staggerProgress(progress, idx, connections.length);
+      if (lineProgress <= 0) return;
       
       const p1 = transform3D.transform(connection.x1, connection.y1, this.zIndex, time, is3D);
       const p2 = transform3D.transform(connection.x2, connection.y2, this.zIndex, time, is3D);
       // Make connection lines straighter with less jitter
       if ((idx % 5) === 0) {
         // promote to strong primary line - straighter
-        this.drawOverdrawLine(ctx, this.connectionColor, cWidth * 1.9, p1, p2, { seed: idx * 13, segments: 8, jitter: 0.2, widthVariation: 0.15, opacityVariation: 0.1, passes: 3 });
+        this.drawOverdrawLine(ctx, this.connectionColor, cWidth * 1.9, p1, p2, { seed: idx * 13, segments: 8, jitter: 0.2, widthVariation: 0.15, opacityVariation: 0.1, passes: 3, progress: lineProgress });
       } else if ((idx % 4) === 0) {
-        this.drawOverdrawLine(ctx, this.connectionColor, cWidth, p1, p2, { seed: idx, segments: 6, jitter: 0.3, widthVariation: 0.2, opacityVariation: 0.15, passes: 2 });
+        this.drawOverdrawLine(ctx, this.connectionColor, cWidth, p1, p2, { seed: idx, segments: 6, jitter: 0.3, widthVariation: 0.2, opacityVariation: 0.15, passes: 2, progress: lineProgress });
       } else {
-        this.drawHandLine(ctx, this.connectionColor, cWidth, p1, p2, { seed: idx, segments: 8, jitter: 0.25, widthVariation: 0.15, opacityVariation: 0.1, minAlpha: 0.8 });
+        this.drawHandLine(ctx, this.connectionColor, cWidth, p1, p2, { seed: idx, segments: 8, jitter: 0.25, widthVariation: 0.15, opacityVariation: 0.1, minAlpha: 0.8, progress: lineProgress });
       }
     });
   }
 
-  renderStaticLines(ctx, staticLines, { transform3D, time, is3D }) {
+  renderStaticLines(ctx, staticLines, { transform3D, time, is3D, progress = 1 }) {
     const lineZ = -5; // Slightly higher Z than main infrastructure
     const lineScale = transform3D.getScale(lineZ, time, is3D);
     
@@ -133,6 +168,8 @@ export class InfrastructureLayer extends BaseLayer {
     );
     
     staticLines.forEach((line, i) => {
+      const lineProgress = this.staggerProgress(progress, i, staticLines.length);
+      if (lineProgress <= 0) return;
       const p1 = transform3D.transform(line.x1, line.y1, lineZ, time, is3D);
       const p2 = transform3D.transform(line.x2, line.y2, lineZ, time, is3D);
       // Use straighter static lines with minimal jitter
@@ -142,115 +179,160 @@ export class InfrastructureLayer extends BaseLayer {
         this.staticLineWidth * lineScale * 0.6,
         p1,
         p2,
-        { noise: null, seed: i, segments: 6, jitter: 0.3, scale: 1, widthVariation: 0.2, opacityVariation: 0.15, passes: 2 }
+        { noise: null, seed: i, segments: 6, jitter: 0.3, scale: 1, widthVariation: 0.2, opacityVariation: 0.15, passes: 2, progress: lineProgress }
       );
     });
   }
 
-  renderEndpointCircles(ctx, staticLines, { transform3D, time, is3D }) {
+  renderEndpointCircles(ctx, staticLines, { transform3D, time, is3D, progress = 1 }) {
     const circleZ = 1; // Slightly higher than static lines
     const circleScale = transform3D.getScale(circleZ, time, is3D);
     
-    this.setFillStyle(ctx, 'rgba(30, 80, 120, 0.9)');
-    this.setLineStyle(ctx, 'rgba(30, 80, 120, 1.0)', 1.2 * circleScale);
+    this.setEndpointStyle(ctx, circleScale);
     
     staticLines.forEach((line, li) => {
+      // While revealing, a line's start marker appears with it and its end marker once it arrives
+      const lineProgress = this.staggerProgress(progress, li, staticLines.length);
+
       // Draw varied shapes at each endpoint
       [{ x: line.x1, y: line.y1 }, { x: line.x2, y: line.y2 }].forEach((point, pi) => {
+        if (pi === 0 ? lineProgress <= 0 : lineProgress < 1) return;
         const pos = transform3D.transform(point.x, point.y, circleZ, time, is3D);
         const rBase = 8 * circleScale;
         
         // More varied shapes
         const shapeType = (li * 7 + pi * 3) % 8;
-        
-        switch (shapeType) {
-          case 0: // Regular circle
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-            break;
-            
-          case 1: // Large circle
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase * 1.8, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-            break;
-            
-          case 2: // Hollow circle
-            ctx.save();
-            ctx.globalCompositeOperation = 'destination-out';
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
-            ctx.stroke();
-            break;
-            
-          case 3: // Incomplete arc
-            const start = (li + pi) % (Math.PI * 2);
-            const end = start + Math.PI * (0.6 + ((li + pi) % 2) * 0.4);
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase, start, end);
-            ctx.stroke();
-            break;
-            
-          case 4: // Square
-            const size = rBase * 1.2;
-            ctx.beginPath();
-            ctx.rect(pos.x - size/2, pos.y - size/2, size, size);
-            ctx.fill();
-            ctx.stroke();
-            break;
-            
-          case 5: // Diamond
-            const diamondSize = rBase * 1.1;
-            ctx.beginPath();
-            ctx.moveTo(pos.x, pos.y - diamondSize);
-            ctx.lineTo(pos.x + diamondSize, pos.y);
-            ctx.lineTo(pos.x, pos.y + diamondSize);
-            ctx.lineTo(pos.x - diamondSize, pos.y);
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
-            break;
-            
-          case 6: // Triangle
-            const triSize = rBase * 1.3;
-            ctx.beginPath();
-            ctx.moveTo(pos.x, pos.y - triSize);
-            ctx.lineTo(pos.x + triSize * 0.866, pos.y + triSize * 0.5);
-            ctx.lineTo(pos.x - triSize * 0.866, pos.y + triSize * 0.5);
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
-            break;
-            
-          case 7: // Cross
-            const crossSize = rBase * 0.8;
-            ctx.beginPath();
-            ctx.moveTo(pos.x - crossSize, pos.y);
-            ctx.lineTo(pos.x + crossSize, pos.y);
-            ctx.moveTo(pos.x, pos.y - crossSize);
-            ctx.lineTo(pos.x, pos.y + crossSize);
-            ctx.stroke();
-            break;
-          
-          default:
-            // Default to regular circle
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-            break;
-        }
+        this.drawEndpointShape(ctx, pos, rBase, shapeType, li + pi);
       });
     });
   }
 
+  /**
+   * Set the fill and stroke used for endpoint shapes
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {number} scale - Perspective scale
+   */
+  setEndpointStyle(ctx, scale) {
+    this.setFillStyle(ctx, 'rgba(30, 80, 120, 0.9)');
+    this.setLineStyle(ctx, 'rgba(30, 80, 120, 1.0)', 1.2 * scale);
+  }
+
+  /**
+   * Draw one of the eight endpoint shapes
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {Object} pos - Centre { x, y }
+   * @param {number} rBase - Base radius
+   * @param {number} shapeType - Shape index (0-7)
+   * @param {number} phase - Varies where incomplete arcs start
+   */
+  drawEndpointShape(ctx, pos, rBase, shapeType, phase) {
+    switch (shapeType) {
+      case 0: // Regular circle
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 1: // Large circle
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase * 1.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 2: // Hollow circle
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
+        ctx.stroke();
+        break;
+        
+      case 3: // Incomplete arc
+        const start = phase % (Math.PI * 2);
+        const end = start + Math.PI * (0.6 + (phase % 2) * 0.4);
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase, start, end);
+        ctx.stroke();
+        break;
+        
+      case 4: // Square
+        const size = rBase * 1.2;
+        ctx.beginPath();
+        ctx.rect(pos.x - size/2, pos.y - size/2, size, size);
+        ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 5: // Diamond
+        const diamondSize = rBase * 1.1;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y - diamondSize);
+        ctx.lineTo(pos.x + diamondSize, pos.y);
+        ctx.lineTo(pos.x, pos.y + diamondSize);
+        ctx.lineTo(pos.x - diamondSize, pos.y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 6: // Triangle
+        const triSize = rBase * 1.3;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y - triSize);
+        ctx.lineTo(pos.x + triSize * 0.866, pos.y + triSize * 0.5);
+        ctx.lineTo(pos.x - triSize * 0.866, pos.y + triSize * 0.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 7: // Cross
+        const crossSize = rBase * 0.8;
+        ctx.beginPath();
+        ctx.moveTo(pos.x - crossSize, pos.y);
+        ctx.lineTo(pos.x + crossSize, pos.y);
+        ctx.moveTo(pos.x, pos.y - crossSize);
+        ctx.lineTo(pos.x, pos.y + crossSize);
+        ctx.stroke();
+        break;
+      
+      default:
+        // Default to regular circle
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, rBase, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        break;
+    }
+  }
+
+  getLegendEntries() {
+    return [{
+      label: 'Static line',
+      draw: (ctx, x, y, width, height) => {
+        const rBase = height * 0.28;
+        const p1 = { x: x + rBase, y: y + height / 2 };
+        const p2 = { x: x + width - rBase * 1.1, y: y + height / 2 };
+        this.setLineStyle(ctx, this.staticLineColor, this.staticLineWidth * 0.6);
+        ctx.beginPath();
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p2.x, p2.y);
+        ctx.stroke();
+
+        // A circle and a diamond, two of the terminal shapes used on the map
+        this.setEndpointStyle(ctx, 0.6);
+        this.drawEndpointShape(ctx, p1, rBase, 0, 0);
+        this.drawEndpointShape(ctx, p2, rBase, 5, 0);
+      }
+    }];
+  }
+
   // Configuration methods
   setStructureColor(color) {
     this.structureColor = color;
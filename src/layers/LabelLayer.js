@@ -0,0 +1,420 @@
+/**
+ * Label Layer - Place names for clusters, river names and plot numbers
+ * Lettered like the edition ID: Instrument Sans, uppercase, widely tracked
+ */
+
+import { BaseLayer } from './BaseLayer.js';
+import { createToponymGenerator } from '../utils/toponyms.js';
+import { estimateTextWidth, fontShorthand } from '../utils/typography.js';
+
+// Candidate positions around a cluster centre, best first (right of the centre reads most naturally)
+const PLACEMENTS = [
+  [1, 0], [1, -1], [1, 1], [-1, 0], [-1, -1], [-1, 1], [0, -1], [0, 1]
+];
+
+// Where along a river its name is tried, as fractions of the river length
+const RIVER_POSITIONS = [0.5, 0.35, 0.65, 0.2, 0.8];
+
+/**
+ * Cumulative distances along a polyline
+ * @param {Array} points - Points { x, y }
+ * @returns {Array} Distance from the first point to each point
+ */
+const cumulativeLengths = (points) => {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  return lengths;
+};
+
+/**
+ * Point at a distance along a polyline
+ * @param {Array} points - Points { x, y }
+ * @param {Array} lengths - Cumulative lengths from cumulativeLengths
+ * @param {number} distance - Distance from the first point (clamped to the line)
+ * @returns {Object} Point { x, y }
+ */
+const pointAlong = (points, lengths, distance) => {
+  const total = lengths[lengths.length - 1];
+  const d = Math.max(0, Math.min(total, distance));
+  let i = 1;
+  while (i < lengths.length - 1 && lengths[i] < d) i++;
+
+  const segment = lengths[i] - lengths[i - 1];
+  const t = segment > 0 ? (d - lengths[i - 1]) / segment : 0;
+  return {
+    x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+    y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+  };
+};
+
+/**
+ * Overlapping area of two boxes { x, y, w, h }
+ */
+const overlapArea = (a, b) => {
+  const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  return w > 0 && h > 0 ? w * h : 0;
+};
+
+/**
+ * Area and centroid of a simple polygon (shoelace formula)
+ * @param {Array} points - Polygon vertices { x, y }
+ * @returns {Object} { area, x, y }
+ */
+const polygonCentroid = (points) => {
+  let twiceArea = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach((p, i) => {
+    const next = points[(i + 1) % points.length];
+    const cross = p.x * next.y - next.x * p.y;
+    twiceArea += cross;
+    cx += (p.x + next.x) * cross;
+    cy += (p.y + next.y) * cross;
+  });
+
+  if (Math.abs(twiceArea) < 1e-9) {
+    return {
+      area: 0,
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+  return { area: Math.abs(twiceArea) / 2, x: cx / (3 * twiceArea), y: cy / (3 * twiceArea) };
+};
+
+const boxAround = (x, y, w, h) => ({ x: x - w / 2, y: y - h / 2, w, h });
+
+export class LabelLayer extends BaseLayer {
+  constructor() {
+    super('labels', 50);
+    this.revealStage = { start: 0.85, end: 1 };
+    this.color = 'rgba(60, 60, 60, 0.9)'; // Place names
+    this.riverColor = 'rgba(50, 110, 150, 0.9)';
+    this.numberColor = 'rgba(180, 80, 60, 0.8)'; // Matches the brick plot divisions
+    this.haloColor = 'rgba(250, 248, 245, 0.85)'; // Knock-out behind letters, follows the background
+    this.names = ''; // Place names, in cluster order, separated by commas or new lines
+    this.fontSize = 13; // Size of the most important place name; others step down from it
+    this.letterSpacing = 0.1; // Tracking in em (Tailwind's tracking-widest, as on the edition ID)
+    this.riverLabels = 3; // Maximum number of named rivers
+    this.plotNumbers = true;
+    this.enabledByDefault = false;
+    this.requires = ['cores', 'nodes', 'flow', 'plotAreas']; // Obstacles, rivers and plots to number
+
+    this.parameters = [
+      { name: 'names', type: 'textarea', label: 'Place Names', placeholder: 'One per cluster, comma or line separated; blank for generated names' },
+      { name: 'fontSize', type: 'number', min: 8, max: 24, step: 1, unit: 'px' },
+      { name: 'letterSpacing', type: 'number', min: 0, max: 0.4, step: 0.02, unit: 'em' },
+      { name: 'riverLabels', type: 'number', min: 0, max: 8, step: 1 },
+      { name: 'plotNumbers', type: 'boolean', label: 'Number plot divisions' },
+      { name: 'color', type: 'color', label: 'Place Name Color' },
+      { name: 'riverColor', type: 'color', label: 'River Name Color' },
+      { name: 'numberColor', type: 'color', label: 'Plot Number Color' }
+    ];
+  }
+
+  generateData(params) {
+    const { clusters = [], random, width, height, allData } = params;
+
+    const data = {
+      places: [],
+      rivers: [],
+      numbers: []
+    };
+
+    const toponyms = createToponymGenerator(random);
+    const obstacles = this.collectObstacles(allData);
+    const placed = []; // Boxes of the labels placed so far
+    const bounds = { x: 0, y: 0, w: width, h: height };
+
+    // Every cluster draws a generated name so user names don't reshuffle the others
+    const generated = clusters.map(() => toponyms.place());
+    const userNames = String(this.names || '')
+      .split(/[\n,;]/)
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    // Bigger clusters get bigger, bolder names and first pick of the space
+    const ranked = clusters
+      .map((cluster, index) => ({ cluster, index }))
+      .sort((a, b) => b.cluster.radius - a.cluster.radius);
+
+    ranked.forEach(({ cluster, index }, rank) => {
+      const name = userNames[index] || cluster.label || generated[index];
+      const scale = rank === 0 ? 1 : rank < 3 ? 0.82 : 0.68;
+      const place = this.placeName(String(name).toUpperCase(), cluster, this.fontSize * scale, rank === 0 ? 600 : 500, obstacles, placed, bounds);
+      data.places.push(place);
+      placed.push(place.box);
+    });
+
+    this.generateRiverNames(data, allData, toponyms, obstacles, placed);
+
+    if (this.plotNumbers) {
+      this.generatePlotNumbers(data, allData, obstacles, placed, bounds);
+    }
+
+    return data;
+  }
+
+  /**
+   * Boxes around cores and nodes, which labels must not cover
+   * @param {Map} allData - Data of the layers generated so far
+   * @returns {Array} Boxes { x, y, w, h }
+   */
+  collectObstacles(allData) {
+    const obstacles = [];
+    if (!allData) return obstacles;
+
+    const cores = allData.get('cores');
+    const nodes = allData.get('nodes');
+    [...(cores ? cores.cores : []), ...(nodes ? nodes.nodes : [])].forEach(({ x, y, radius }) => {
+      obstacles.push(boxAround(x, y, radius * 2, radius * 2));
+    });
+
+    return obstacles;
+  }
+
+  /**
+   * Pick the free spot around a cluster with the least overlap
+   * @param {string} text - Label text
+   * @param {Object} cluster - Cluster being named
+   * @param {number} size - Font size
+   * @param {number} weight - Font weight
+   * @param {Array} obstacles - Boxes to avoid
+   * @param {Array} placed - Boxes of labels already placed
+   * @param {Object} bounds - Canvas box
+   * @returns {Object} Place label { text, x, y, size, weight, tracking, box }
+   */
+  placeName(text, cluster, size, weight, obstacles, placed, bounds) {
+    const tracking = size * this.letterSpacing;
+    const textWidth = estimateTextWidth(text, size, tracking);
+    const gap = Math.max(cluster.radius * 0.2, size);
+
+    let best = null;
+    for (const [dx, dy] of PLACEMENTS) {
+      const x = cluster.x + dx * (textWidth / 2 + gap);
+      const y = cluster.y + dy * (size / 2 + gap);
+      const box = boxAround(x, y, textWidth + size * 0.4, size * 1.4);
+
+      const outside = box.w * box.h - overlapArea(box, bounds);
+      const cost = outside * 4 + [...obstacles, ...placed].reduce((sum, other) => sum + overlapArea(box, other), 0);
+      if (!best || cost < best.cost) {
+        best = { x, y, box, cost };
+      }
+      if (cost === 0) break;
+    }
+
+    return { text, x: best.x, y: best.y, size, weight, tracking, box: best.box };
+  }
+
+  /**
+   * Name rivers, primaries first, with the name set along their course
+   * @param {Object} data - Layer data being generated
+   * @param {Map} allData - Data of the layers generated so far
+   * @param {Object} toponyms - Name generator
+   * @param {Array} obstacles - Boxes to avoid
+   * @param {Array} placed - Boxes of labels already placed (extended in place)
+   */
+  generateRiverNames(data, allData, toponyms, obstacles, placed) {
+    const flow = allData && allData.get('flow');
+    if (!flow || this.riverLabels <= 0) return;
+
+    // Primary rivers first, then tributaries
+    const roads = flow.roads
+      .filter(road => road.points && road.points.length > 1)
+      .sort((a, b) => (a.type === 'primary' ? 0 : 1) - (b.type === 'primary' ? 0 : 1));
+
+    const size = this.fontSize * 0.78;
+    const tracking = size * this.letterSpacing * 0.5;
+
+    for (const road of roads) {
+      if (data.rivers.length >= this.riverLabels) break;
+
+      const text = toponyms.river();
+      const textWidth = estimateTextWidth(text, size, tracking);
+
+      // Run names left to right so they are never upside down
+      const first = road.points[0];
+      const last = road.points[road.points.length - 1];
+      const points = last.x < first.x ? [...road.points].reverse() : road.points;
+      const lengths = cumulativeLengths(points);
+      const total = lengths[lengths.length - 1];
+      if (total < textWidth * 1.4) continue;
+
+      for (const position of RIVER_POSITIONS) {
+        const center = Math.max(textWidth / 2, Math.min(total - textWidth / 2, total * position));
+
+        // Sample the run of letters with letter-sized boxes
+        const boxes = [];
+        for (let d = center - textWidth / 2; d <= center + textWidth / 2; d += size) {
+          const point = pointAlong(points, lengths, d);
+          boxes.push(boxAround(point.x, point.y, size * 1.6, size * 1.6));
+        }
+
+        const collides = boxes.some(box => [...obstacles, ...placed].some(other => overlapArea(box, other) > 0));
+        if (!collides) {
+          data.rivers.push({ text, points, position: center / total, size, tracking });
+          placed.push(...boxes);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Number the divisions of each town plot, skipping those too small or crowded to letter
+   * @param {Object} data - Layer data being generated
+   * @param {Map} allData - Data of the layers generated so far
+   * @param {Array} obstacles - Boxes to avoid
+   * @param {Array} placed - Boxes of labels already placed (extended in place)
+   * @param {Object} bounds - Canvas box
+   */
+  generatePlotNumbers(data, allData, obstacles, placed, bounds) {
+    const plotAreas = allData && allData.get('plotAreas');
+    if (!plotAreas) return;
+
+    const size = Math.max(7, this.fontSize * 0.58);
+
+    plotAreas.structures.forEach(plot => {
+      plot.plotDivisions.forEach((division, i) => {
+        const { points } = division;
+        if (points.length < 3) return;
+
+        // Numbers follow division order, so a skipped division leaves a gap like on a real plan
+        const text = String(i + 1);
+        const { area, x, y } = polygonCentroid(points);
+        const box = boxAround(x, y, estimateTextWidth(text, size) + size * 0.4, size * 1.2);
+
+        // Only letter divisions with room to spare
+        if (area < box.w * box.h * 3) return;
+        if (overlapArea(box, bounds) < box.w * box.h) return;
+        if ([...obstacles, ...placed].some(other => overlapArea(box, other) > 0)) return;
+
+        data.numbers.push({ text, x, y, size });
+        placed.push(box);
+      });
+    });
+  }
+
+  render(ctx, data, params) {
+    const { transform3D, time, is3D } = params;
+    const scale = transform3D.getScale(this.zIndex, time, is3D);
+
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    this.renderPlotNumbers(ctx, data.numbers, { transform3D, time, is3D, scale });
+    this.renderRiverNames(ctx, data.rivers, { transform3D, time, is3D, scale });
+    this.renderPlaceNames(ctx, data.places, { transform3D, time, is3D, scale });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw text over a halo in the background color so it stays legible on busy ground
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {string} text - Text to draw
+   * @param {number} x - Anchor x
+   * @param {number} y - Anchor y
+   * @param {number} size - Font size (sets the halo width)
+   * @param {string} color - Text color
+   */
+  drawHaloText(ctx, text, x, y, size, color) {
+    this.setLineStyle(ctx, this.haloColor, Math.max(2, size * 0.3));
+    ctx.strokeText(text, x, y);
+    this.setFillStyle(ctx, color);
+    ctx.fillText(text, x, y);
+  }
+
+  renderPlaceNames(ctx, places, { transform3D, time, is3D, scale }) {
+    places.forEach(place => {
+      const pos = transform3D.transform(place.x, place.y, this.zIndex, time, is3D);
+      const size = place.size * scale;
+      const tracking = place.tracking * scale;
+
+      ctx.font = fontShorthand(size, { weight: place.weight });
+      ctx.letterSpacing = `${Math.round(tracking * 100) / 100}px`;
+      // Tracking also follows the last letter; shift by half of it to keep the word centred
+      this.drawHaloText(ctx, place.text, pos.x + tracking / 2, pos.y, size, this.color);
+    });
+    ctx.letterSpacing = '0px';
+  }
+
+  renderRiverNames(ctx, rivers, { transform3D, time, is3D, scale }) {
+    rivers.forEach(river => {
+      const points = river.points.map(point => transform3D.transform(point.x, point.y, this.zIndex, time, is3D));
+      const lengths = cumulativeLengths(points);
+      const total = lengths[lengths.length - 1];
+      const size = river.size * scale;
+      const tracking = river.tracking * scale;
+
+      // Hydrography is set in italic, as on printed maps
+      ctx.font = fontShorthand(size, { weight: 500, italic: true });
+
+      const advances = Array.from(river.text, char => ctx.measureText(char).width + tracking);
+      const textWidth = advances.reduce((sum, advance) => sum + advance, 0);
+      let distance = Math.max(0, Math.min(total - textWidth, total * river.position - textWidth / 2));
+
+      // Text on path: each letter sits on the river's local direction, lifted off the line
+      const glyphs = Array.from(river.text, (char, i) => {
+        const middle = distance + advances[i] / 2;
+        const point = pointAlong(points, lengths, middle);
+        const before = pointAlong(points, lengths, middle - advances[i]);
+        const after = pointAlong(points, lengths, middle + advances[i]);
+        distance += advances[i];
+        return { char, x: point.x, y: point.y, angle: Math.atan2(after.y - before.y, after.x - before.x) };
+      });
+
+      const lift = -(size * 0.75 + 2 * scale);
+      ['halo', 'text'].forEach(pass => {
+        if (pass === 'halo') {
+          this.setLineStyle(ctx, this.haloColor, Math.max(2, size * 0.3));
+        } else {
+          this.setFillStyle(ctx, this.riverColor);
+        }
+
+        glyphs.forEach(glyph => {
+          ctx.save();
+          ctx.translate(glyph.x, glyph.y);
+          ctx.rotate(glyph.angle);
+          if (pass === 'halo') {
+            ctx.strokeText(glyph.char, 0, lift);
+          } else {
+            ctx.fillText(glyph.char, 0, lift);
+          }
+          ctx.restore();
+        });
+      });
+    });
+  }
+
+  renderPlotNumbers(ctx, numbers, { transform3D, time, is3D, scale }) {
+    numbers.forEach(number => {
+      const pos = transform3D.transform(number.x, number.y, this.zIndex, time, is3D);
+      const size = number.size * scale;
+      ctx.font = fontShorthand(size, { weight: 500 });
+      this.drawHaloText(ctx, number.text, pos.x, pos.y, size, this.numberColor);
+    });
+  }
+
+  // Configuration methods
+  setColor(color) {
+    this.color = color;
+  }
+
+  setRiverColor(color) {
+    this.riverColor = color;
+  }
+
+  setNumberColor(color) {
+    this.numberColor = color;
+  }
+
+  setHaloColor(color) {
+    this.haloColor = color;
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * Map Furniture Layer - Legend, scale bar, compass rose and title block
+ * Furniture sits on the sheet rather than in the map: it is laid out in the corners
+ * of the padding margin and never follows the 3D camera
+ */
+
+import { BaseLayer } from './BaseLayer.js';
+import { LABEL_FONT_FAMILY, SERIF_FONT_FAMILY, fontShorthand } from '../utils/typography.js';
+
+export const FURNITURE_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const SWATCH = { width: 28, height: 12 };
+const PANEL_PADDING = 10;
+
+// Trim float noise from scale bar values (0.30000000000000004 -> 0.3)
+const formatDistance = (value) => String(Math.round(value * 100) / 100);
+
+export class MapFurnitureLayer extends BaseLayer {
+  constructor() {
+    super('furniture', 60);
+    this.revealStage = { start: 0.9, end: 1 };
+    this.color = 'rgba(60, 60, 60, 0.9)'; // Ink for text, rules and the compass
+    this.paperColor = 'rgba(250, 248, 245, 0.92)'; // Panel fill, follows the background
+    this.title = 'Tangle Map';
+
+    this.showLegend = true;
+    this.legendCorner = 'bottom-left';
+    this.showScaleBar = true;
+    this.scaleBarCorner = 'bottom-left';
+    this.showCompass = true;
+    this.compassCorner = 'top-right';
+    this.showTitleBlock = true;
+    this.titleBlockCorner = 'bottom-right';
+
+    this.scaleCells = 4; // Grid cells spanned by the scale bar
+    this.cellDistance = 1; // Map distance of one grid cell
+    this.scaleUnit = 'km';
+    this.enabledByDefault = false;
+    this.requires = ['gridSize']; // The scale bar spans grid cells
+
+    this.parameters = [
+      { name: 'showLegend', type: 'boolean', label: 'Legend' },
+      { name: 'legendCorner', type: 'select', label: 'Legend Corner', options: FURNITURE_CORNERS },
+      { name: 'showScaleBar', type: 'boolean', label: 'Scale bar' },
+      { name: 'scaleBarCorner', type: 'select', label: 'Scale Bar Corner', options: FURNITURE_CORNERS },
+      { name: 'scaleCells', type: 'number', min: 1, max: 8, step: 1 },
+      { name: 'cellDistance', type: 'number', min: 0.1, max: 10, step: 0.1 },
+      { name: 'scaleUnit', type: 'text', label: 'Scale Unit' },
+      { name: 'showCompass', type: 'boolean', label: 'Compass rose' },
+      { name: 'compassCorner', type: 'select', label: 'Compass Corner', options: FURNITURE_CORNERS },
+      { name: 'showTitleBlock', type: 'boolean', label: 'Title block' },
+      { name: 'titleBlockCorner', type: 'select', label: 'Title Block Corner', options: FURNITURE_CORNERS },
+      { name: 'title', type: 'text', label: 'Title' },
+      { name: 'color', type: 'color', label: 'Ink Color' }
+    ];
+  }
+
+  generateData(params) {
+    const { width, height, padding, gridSize } = params;
+
+    // Nothing random here; keep the sheet geometry the furniture is laid out on
+    return { width, height, padding, gridSize: gridSize || 64 };
+  }
+
+  /**
+   * The legend shows the enabled layers in their current style, and the title block the edition
+   */
+  getRenderKey(params) {
+    const { enabledLayers = [], edition = null } = params;
+    return JSON.stringify({
+      layers: this.showLegend ? enabledLayers.map(layer => layer.getSettingsKey()) : [],
+      edition
+    });
+  }
+
+  render(ctx, data, params) {
+    const { enabledLayers = [], edition = null } = params;
+
+    const elements = [
+      this.showLegend && { corner: this.legendCorner, ...this.createLegend(ctx, enabledLayers) },
+      this.showScaleBar && { corner: this.scaleBarCorner, ...this.createScaleBar(ctx, data.gridSize) },
+      this.showCompass && { corner: this.compassCorner, ...this.createCompass(ctx) },
+      this.showTitleBlock && { corner: this.titleBlockCorner, ...this.createTitleBlock(ctx, edition) }
+    ].filter(element => element && element.draw);
+
+    // Elements sharing a corner line up along the margin, outwards from the corner
+    const inset = Math.max(12, Math.min(32, data.padding * 0.2));
+    FURNITURE_CORNERS.forEach(corner => {
+      const [vertical, horizontal] = corner.split('-');
+      let offset = inset;
+
+      elements
+        .filter(element => (FURNITURE_CORNERS.includes(element.corner) ? element.corner : 'bottom-right') === corner)
+        .forEach(element => {
+          const x = horizontal === 'left' ? offset : data.width - offset - element.width;
+          const y = vertical === 'top' ? inset : data.height - inset - element.height;
+
+          ctx.save();
+          element.draw(x, y);
+          ctx.restore();
+          offset += element.width + inset * 0.75;
+        });
+    });
+  }
+
+  /**
+   * Set the type used for furniture lettering
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {number} size - Font size
+   * @param {Object} options - { weight, italic, family, tracking (em) }
+   */
+  setType(ctx, size, { weight = 500, italic = false, family = LABEL_FONT_FAMILY, tracking = 0.1 } = {}) {
+    ctx.font = fontShorthand(size, { weight, italic, family });
+    ctx.letterSpacing = `${Math.round(size * tracking * 100) / 100}px`;
+  }
+
+  /**
+   * Paper panel with a hairline border
+   */
+  drawPanel(ctx, x, y, width, height) {
+    this.setFillStyle(ctx, this.paperColor);
+    ctx.fillRect(x, y, width, height);
+    this.setLineStyle(ctx, this.color, 0.75);
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.stroke();
+  }
+
+  /**
+   * Legend of the symbols used by the enabled layers
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {Array} layers - Enabled layers, in draw order
+   * @returns {Object|null} Element { width, height, draw(x, y) }
+   */
+  createLegend(ctx, layers) {
+    const entries = layers
+      .filter(layer => layer !== this)
+      .flatMap(layer => layer.getLegendEntries());
+    if (entries.length === 0) return null;
+
+    const rowHeight = SWATCH.height + 6;
+    const headingHeight = 18;
+
+    this.setType(ctx, 8);
+    const labelWidth = Math.max(...entries.map(entry => ctx.measureText(entry.label.toUpperCase()).width));
+    const width = PANEL_PADDING * 2 + SWATCH.width + 8 + labelWidth;
+    const height = PANEL_PADDING * 2 + headingHeight + entries.length * rowHeight - 6;
+
+    return {
+      width,
+      height,
+      draw: (x, y) => {
+        this.drawPanel(ctx, x, y, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        this.setType(ctx, 9, { weight: 600, tracking: 0.15 });
+        this.setFillStyle(ctx, this.color);
+        ctx.fillText('LEGEND', x + PANEL_PADDING, y + PANEL_PADDING + 5);
+
+        entries.forEach((entry, i) => {
+          const rowY = y + PANEL_PADDING + headingHeight + i * rowHeight;
+
+          ctx.save();
+          entry.draw(ctx, x + PANEL_PADDING, rowY, SWATCH.width, SWATCH.height);
+          ctx.restore();
+
+          this.setType(ctx, 8);
+          this.setFillStyle(ctx, this.color);
+          ctx.fillText(entry.label.toUpperCase(), x + PANEL_PADDING + SWATCH.width + 8, rowY + SWATCH.height / 2);
+        });
+      }
+    };
+  }
+
+  /**
+   * Alternating scale bar, one segment per grid cell
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {number} gridSize - Grid cell size in pixels
+   * @returns {Object} Element { width, height, draw(x, y) }
+   */
+  createScaleBar(ctx, gridSize) {
+    const cells = Math.max(1, Math.round(this.scaleCells));
+    const barHeight = 5;
+    const labelGap = 12;
+    const unit = String(this.scaleUnit || '').toUpperCase();
+
+    this.setType(ctx, 8);
+    const lastLabel = `${formatDistance(cells * this.cellDistance)}${unit ? ` ${unit}` : ''}`;
+    const overhang = ctx.measureText(lastLabel).width; // The last label hangs past the bar's end
+    const width = PANEL_PADDING * 2 + cells * gridSize + overhang / 2 + 4;
+    const height = PANEL_PADDING * 2 + barHeight + labelGap;
+
+    return {
+      width,
+      height,
+      draw: (x, y) => {
+        this.drawPanel(ctx, x, y, width, height);
+
+        const barX = x + PANEL_PADDING + 4;
+        const barY = y + PANEL_PADDING;
+        for (let i = 0; i < cells; i++) {
+          if (i % 2 === 0) {
+            this.setFillStyle(ctx, this.color);
+            ctx.fillRect(barX + i * gridSize, barY, gridSize, barHeight);
+          }
+        }
+        this.setLineStyle(ctx, this.color, 0.75);
+        ctx.beginPath();
+        ctx.rect(barX, barY, cells * gridSize, barHeight);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.setType(ctx, 8);
+        this.setFillStyle(ctx, this.color);
+        for (let i = 0; i <= cells; i++) {
+          const label = i === cells ? lastLabel : formatDistance(i * this.cellDistance);
+          ctx.fillText(label, barX + i * gridSize, barY + barHeight + 4);
+        }
+      }
+    };
+  }
+
+  /**
+   * Eight-point compass rose with north up
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @returns {Object} Element { width, height, draw(x, y) }
+   */
+  createCompass(ctx) {
+    const radius = 22;
+    const letterHeight = 14;
+    const width = radius * 2 + 4;
+    const height = radius * 2 + letterHeight + 2;
+
+    return {
+      width,
+      height,
+      draw: (x, y) => {
+        const cx = x + width / 2;
+        const cy = y + letterHeight + radius;
+
+        this.setLineStyle(ctx, this.color, 0.6);
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.62, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Diagonals first so the cardinal points overlap them
+        [1, 3, 5, 7, 0, 2, 4, 6].forEach(k => {
+          const angle = -Math.PI / 2 + (k * Math.PI) / 4;
+          const cardinal = k % 2 === 0;
+          const length = cardinal ? radius : radius * 0.55;
+          const halfWidth = radius * (cardinal ? 0.16 : 0.11);
+
+          const tip = { x: cx + Math.cos(angle) * length, y: cy + Math.sin(angle) * length };
+          const left = { x: cx + Math.cos(angle - Math.PI / 2) * halfWidth, y: cy + Math.sin(angle - Math.PI / 2) * halfWidth };
+          const right = { x: cx + Math.cos(angle + Math.PI / 2) * halfWidth, y: cy + Math.sin(angle + Math.PI / 2) * halfWidth };
+
+          // Each point is split lengthwise into an inked and a paper half
+          [[left, this.color], [right, this.paperColor]].forEach(([side, fill]) => {
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(side.x, side.y);
+            ctx.closePath();
+            this.setFillStyle(ctx, fill);
+            ctx.fill();
+            this.setLineStyle(ctx, this.color, 0.6);
+            ctx.stroke();
+          });
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        this.setType(ctx, 10, { weight: 600, tracking: 0 });
+        this.setFillStyle(ctx, this.color);
+        ctx.fillText('N', cx, y + letterHeight - 1);
+      }
+    };
+  }
+
+  /**
+   * Bordered title block with the title, edition ID and seed
+   * @param {DrawingSurface} ctx - Drawing surface
+   * @param {Object} edition - Current edition { id, seed } (either may be missing)
+   * @returns {Object} Element { width, height, draw(x, y) }
+   */
+  createTitleBlock(ctx, edition) {
+    const { id = null, seed = null } = edition || {};
+    const title = String(this.title || '').toUpperCase();
+    const seedLine = seed !== null && seed !== undefined ? `SEED ${seed}` : null;
+
+    // Measure each row in its own type
+    this.setType(ctx, 13, { weight: 600 });
+    const titleWidth = title ? ctx.measureText(title).width : 0;
+    this.setType(ctx, 13, { italic: true, family: SERIF_FONT_FAMILY, tracking: 0 });
+    const figWidth = ctx.measureText('fig').width;
+    this.setType(ctx, 9);
+    const idWidth = id ? ctx.measureText(String(id).toUpperCase()).width : 0;
+    const seedWidth = seedLine ? ctx.measureText(seedLine).width : 0;
+
+    const rows = [title && 'title', id && 'id', seedLine && 'seed'].filter(Boolean);
+    if (rows.length === 0) return null;
+
+    const rowHeight = { title: 22, id: 18, seed: 14 };
+    const width = PANEL_PADDING * 2 + Math.max(titleWidth, id ? figWidth + 6 + idWidth : 0, seedWidth);
+    const height = PANEL_PADDING * 2 + rows.reduce((sum, row) => sum + rowHeight[row], 0);
+
+    return {
+      width,
+      height,
+      draw: (x, y) => {
+        this.drawPanel(ctx, x, y, width, height);
+
+        // Inner rule for the double border of a drawing's title block
+        this.setLineStyle(ctx, this.color, 0.4);
+        ctx.beginPath();
+        ctx.rect(x + 3, y + 3, width - 6, height - 6);
+        ctx.stroke();
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        this.setFillStyle(ctx, this.color);
+
+        let rowY = y + PANEL_PADDING;
+        rows.forEach((row, i) => {
+          const middle = rowY + rowHeight[row] / 2;
+
+          if (row === 'title') {
+            this.setType(ctx, 13, { weight: 600 });
+            ctx.fillText(title, x + PANEL_PADDING, middle);
+          } else if (row === 'id') {
+            this.setType(ctx, 13, { italic: true, family: SERIF_FONT_FAMILY, tracking: 0 });
+            ctx.fillText('fig', x + PANEL_PADDING, middle);
+            this.setType(ctx, 9);
+            ctx.fillText(String(id).toUpperCase(), x + PANEL_PADDING + figWidth + 6, middle);
+          } else {
+            this.setType(ctx, 9);
+            ctx.fillText(seedLine, x + PANEL_PADDING, middle);
+          }
+
+          // Rule under the title
+          if (row === 'title' && i < rows.length - 1) {
+            this.setLineStyle(ctx, this.color, 0.5);
+            ctx.beginPath();
+            ctx.moveTo(x + PANEL_PADDING, rowY + rowHeight.title - 2);
+            ctx.lineTo(x + width - PANEL_PADDING, rowY + rowHeight.title - 2);
+            ctx.stroke();
+          }
+
+          rowY += rowHeight[row];
+        });
+      }
+    };
+  }
+
+  // Configuration methods
+  setColor(color) {
+    this.color = color;
+  }
+
+  setPaperColor(color) {
+    this.paperColor = color;
+  }
+}
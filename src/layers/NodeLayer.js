@@ -8,10 +8,18 @@ import { BaseLayer } from './BaseLayer.js';
 export class NodeLayer extends BaseLayer {
   constructor() {
     super('nodes', 0);
+    this.revealStage = { start: 0.5, end: 0.7 };
     this.nodeColor = 'rgba(30, 80, 120, 0.8)';
     this.connectionColor = 'rgba(30, 80, 120, 1.0)';
     this.nodeLineWidth = 1;
     this.connectionLineWidth = 0.8;
+
+    this.parameters = [
+      { name: 'nodeLineWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'connectionLineWidth', type: 'number', min: 0.3, max: 2, step: 0.1, unit: 'px' },
+      { name: 'nodeColor', type: 'color', label: 'Node Color' },
+      { name: 'connectionColor', type: 'color', label: 'Connection Color' }
+    ];
   }
 
   generateData(params) {
@@ -128,6 +136,12 @@ export class NodeLayer extends BaseLayer {
     return closest;
   }
 
+  hitTest(data, x, y, tolerance) {
+    const node = this.findClosestNode(data, x, y);
+    if (!node || Math.hypot(x - node.x, y - node.y) > node.radius + tolerance) return null;
+    return { type: 'node', element: node, shape: { kind: 'circle', x: node.x, y: node.y, radius: node.radius } };
+  }
+
   // Configuration methods
   setNodeColor(color) {
     this.nodeColor = color;
@@ -3,18 +3,28 @@
  * Represents the "murky, unknown" aspects of complex problems
  */
 
-import { BaseLayer } from './BaseLayer.js';
+import { BaseLayer, NOISE_PARAMETERS } from './BaseLayer.js';
 
 export class OrganicLayer extends BaseLayer {
   constructor() {
     super('organic', 3);
+    this.revealStage = { start: 0.55, end: 0.85 };
     this.color = 'rgba(0, 150, 120, 0.1)'; // More prominent teal color
     this.lineWidth = 2.5; // Thicker lines
     // Scale adjustments for broader, more legible meanders
     this.noiseScale = 0.2;
     this.angleVariation = 10.0;
+    this.noiseType = 'warp'; // Warped noise gives swirling, marbled meanders
     this.stepSize = { min: 4, max: 10 };
     this.pointCount = { min: 20, max: 200 }; // Even larger organic flows
+
+    this.parameters = [
+      { name: 'lineWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'noiseScale', type: 'number', min: 0.001, max: 0.02, step: 0.001 },
+      { name: 'angleVariation', type: 'number', min: 0.1, max: 2, step: 0.1, unit: 'rad' },
+      ...NOISE_PARAMETERS,
+      { name: 'color', type: 'color', label: 'Organic Color' }
+    ];
   }
 
   generateData(params) {
@@ -148,7 +158,12 @@ export class OrganicLayer extends BaseLayer {
 
   // Method to check if a point is inside any organic flow
   isPointInFlow(data, x, y, tolerance = 5) {
-    return data.flows.some(flow => {
+    return this.findFlowAtPosition(data, x, y, tolerance) !== undefined;
+  }
+
+  // Find the flow passing within tolerance of a point
+  findFlowAtPosition(data, x, y, tolerance = 5) {
+    return data.flows.find(flow => {
       return flow.points.some(point => {
         const distance = Math.sqrt((x - point.x) ** 2 + (y - point.y) ** 2);
         return distance <= tolerance;
@@ -156,6 +171,12 @@ export class OrganicLayer extends BaseLayer {
     });
   }
 
+  hitTest(data, x, y, tolerance) {
+    const flow = this.findFlowAtPosition(data, x, y, tolerance);
+    if (!flow) return null;
+    return { type: 'flow', element: flow, shape: { kind: 'path', points: flow.points, closed: false } };
+  }
+
   // Configuration methods
   setColor(color) {
     this.color = color;
@@ -7,12 +7,21 @@ import { BaseLayer } from './BaseLayer.js';
 export class PanelLayer extends BaseLayer {
   constructor() {
     super('panels', -15);
+    this.revealStage = { start: 0.05, end: 0.3 };
     this.lineColor = 'rgba(40, 90, 120, 0.25)';
     this.lineWidth = 0.6;
     this.columns = 16;
     this.rows = 12;
     this.fillRatio = 0.45; // percent of panels to be visually emphasized
     this.showGuides = false; // avoid visible double-grid by default
+
+    this.parameters = [
+      { name: 'columns', type: 'number', min: 4, max: 32, step: 1 },
+      { name: 'rows', type: 'number', min: 3, max: 24, step: 1 },
+      { name: 'fillRatio', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'lineWidth', type: 'number', min: 0.1, max: 2, step: 0.1, unit: 'px' },
+      { name: 'lineColor', type: 'color', label: 'Line Color' }
+    ];
   }
 
   generateData(params) {
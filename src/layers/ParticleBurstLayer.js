@@ -7,10 +7,19 @@ import { BaseLayer } from './BaseLayer.js';
 export class ParticleBurstLayer extends BaseLayer {
   constructor() {
     super('particles', 40);
+    this.revealStage = { start: 0.8, end: 1 }; // Scatter in last
+    this.drawsProgressively = true;
     this.color = 'rgba(60, 60, 60, .01)'; // Gray color with maximum opacity
     this.countRange = { min: 1, max: 3 }; // even fewer bursts; tie to features
     this.particlesPer = { min: 80, max: 400 };
     this.radiusRange = { min: 280, max: 1880 };
+    this.driftRadius = 3; // How far a particle wanders from its spot while animating
+    this.animated = true;
+    this.requires = ['plotAreas']; // Bursts are tied to plots
+
+    this.parameters = [
+      { name: 'color', type: 'color', label: 'Particle Color' }
+    ];
   }
 
   generateData(params) {
@@ -85,7 +94,8 @@ export class ParticleBurstLayer extends BaseLayer {
               origin: { x: bounds.minX + (bounds.maxX - bounds.minX) / 2, y: bounds.minY + (bounds.maxY - bounds.minY) / 2 },
               particles,
               burstAlpha,
-              plotArea: true // Flag to indicate this is a plot area fill
+              plotArea: true, // Flag to indicate this is a plot area fill
+              outline: division.points // The plot division it fills, for hit testing
             });
           }
         }
@@ -130,22 +140,59 @@ export class ParticleBurstLayer extends BaseLayer {
     return inside;
   }
 
+  hitTest(data, x, y) {
+    const burst = data.bursts.find(b => b.outline && this.isPointInPolygon(x, y, b.outline));
+    if (!burst) return null;
+    return { type: 'burst', element: burst, shape: { kind: 'path', points: burst.outline, closed: true } };
+  }
+
   render(ctx, data, params) {
-    const { transform3D, time, is3D } = params;
-    data.bursts.forEach(b => {
+    const { transform3D, time, is3D, progress = 1 } = params;
+    data.bursts.forEach((b, bi) => {
+      // While revealing, each burst sprays out from its centre and settles
+      const spread = this.staggerProgress(progress, bi, data.bursts.length);
+      if (spread <= 0) return;
+      const reach = 1 - Math.pow(1 - spread, 3);
+
       ctx.save();
       ctx.globalAlpha = b.burstAlpha;
       this.setFillStyle(ctx, this.color);
-      b.particles.forEach(p => {
-        const pos = transform3D.transform(p.x, p.y, this.zIndex, time, is3D);
+      b.particles.forEach((p, i) => {
+        const drift = this.driftOffset(i, time);
+        let x = p.x + drift.x;
+        let y = p.y + drift.y;
+        if (reach < 1) {
+          x = b.origin.x + (x - b.origin.x) * reach;
+          y = b.origin.y + (y - b.origin.y) * reach;
+        }
+        const pos = transform3D.transform(x, y, this.zIndex, time, is3D);
         ctx.beginPath();
-        ctx.globalAlpha = b.burstAlpha * p.alpha;
+        ctx.globalAlpha = b.burstAlpha * p.alpha * spread;
         ctx.arc(pos.x, pos.y, p.size, 0, Math.PI * 2);
         ctx.fill();
       });
       ctx.restore();
     });
   }
+
+  /**
+   * Offset of a drifting particle at a point in time
+   * Each particle loops slowly around where it was sprayed, with its own phase and pace
+   * derived from its index, so the static figure (time 0) is unchanged.
+   * @param {number} index - Particle index within its burst
+   * @param {number} time - Animation time
+   * @returns {Object} Offset { x, y }
+   */
+  driftOffset(index, time) {
+    if (!time) return { x: 0, y: 0 };
+
+    const phase = index * 2.399963; // Golden angle spreads the phases evenly
+    const speed = 0.01 + (index % 7) * 0.002;
+    return {
+      x: this.driftRadius * (Math.cos(time * speed + phase) - Math.cos(phase)),
+      y: this.driftRadius * (Math.sin(time * speed * 0.8 + phase) - Math.sin(phase))
+    };
+  }
 }
 
 
@@ -3,11 +3,12 @@
  * Adds visual weight and texture to composition areas
  */
 
-import { BaseLayer } from './BaseLayer.js';
+import { BaseLayer, NOISE_PARAMETERS } from './BaseLayer.js';
 
 export class ShadingLayer extends BaseLayer {
   constructor() {
     super('shading', 5);
+    this.revealStage = { start: 0.6, end: 0.9 };
     this.boundaryColor = 'rgba(60, 100, 120, 0.4)'; // Less dark, more subtle boundary
     this.fillColor = 'rgba(100, 140, 120, 0.2)'; // More visible fill
     this.patternColors = {
@@ -18,6 +19,16 @@ export class ShadingLayer extends BaseLayer {
     this.boundaryLineWidth = 0.7; // slightly thinner
     this.patternLineWidth = 0.7; // slightly thinner
     this.patterns = ['stipple', 'crosshatch', 'flow'];
+    this.enabledByDefault = false;
+    this.requires = ['gridData', 'gridSize'];
+
+    this.parameters = [
+      { name: 'boundaryLineWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'patternLineWidth', type: 'number', min: 0.2, max: 1.5, step: 0.05, unit: 'px' },
+      ...NOISE_PARAMETERS,
+      { name: 'boundaryColor', type: 'color', label: 'Boundary Color' },
+      { name: 'fillColor', type: 'color', label: 'Fill Color' }
+    ];
   }
 
   generateData(params) {
@@ -369,6 +380,66 @@ export class ShadingLayer extends BaseLayer {
     ctx.fill();
   }
 
+  getLegendEntries() {
+    const labels = { stipple: 'Stippled area', crosshatch: 'Hatched area', flow: 'Flow area' };
+
+    return this.patterns.map(patternType => ({
+      label: labels[patternType],
+      draw: (ctx, x, y, width, height) => {
+        const color = this.patternColors[patternType];
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        this.setFillStyle(ctx, this.fillColor);
+        ctx.fill();
+        ctx.clip();
+
+        if (patternType === 'stipple') {
+          this.setFillStyle(ctx, color);
+          for (let i = 0; i < 18; i++) {
+            // Stable scatter from a hash of the dot index
+            const jx = Math.abs(Math.sin((i + 1) * 12.9898) * 43758.5453) % 1;
+            const jy = Math.abs(Math.sin((i + 1) * 78.233) * 43758.5453) % 1;
+            ctx.beginPath();
+            ctx.arc(x + jx * width, y + jy * height, 0.8, 0, Math.PI * 2);
+            ctx.fill();
+          }
+        } else if (patternType === 'crosshatch') {
+          this.setLineStyle(ctx, color, this.patternLineWidth);
+          for (let offset = -height; offset < width; offset += 4) {
+            ctx.beginPath();
+            ctx.moveTo(x + offset, y + height);
+            ctx.lineTo(x + offset + height, y);
+            ctx.stroke();
+          }
+        } else {
+          this.setLineStyle(ctx, color, this.patternLineWidth * 1.5);
+          [0.3, 0.7].forEach(row => {
+            ctx.beginPath();
+            for (let i = 0; i <= 10; i++) {
+              const t = i / 10;
+              const px = x + t * width;
+              const py = y + height * row + Math.sin(t * Math.PI * 2 + row * 4) * height * 0.12;
+              if (i === 0) {
+                ctx.moveTo(px, py);
+              } else {
+                ctx.lineTo(px, py);
+              }
+            }
+            ctx.stroke();
+          });
+        }
+        ctx.restore();
+
+        this.setLineStyle(ctx, this.boundaryColor, this.boundaryLineWidth);
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.stroke();
+      }
+    }));
+  }
+
   // Configuration methods
   setBoundaryColor(color) {
     this.boundaryColor = color;
@@ -8,8 +8,17 @@ import { BaseLayer } from './BaseLayer.js';
 export class TownPlotsLayer extends BaseLayer {
   constructor() {
     super('plotAreas', -8);
+    this.revealStage = { start: 0.2, end: 0.55 };
+    this.drawsProgressively = true;
     this.structureColor = 'rgba(180, 80, 60, 0.4)'; // Brick reddish color
     this.baseLineWidth = 1.0;
+    this.edgeBreath = 0.3; // How far edge width swells and shrinks while animating
+    this.animated = true;
+
+    this.parameters = [
+      { name: 'baseLineWidth', type: 'number', min: 0.5, max: 3, step: 0.1, unit: 'px' },
+      { name: 'structureColor', type: 'color', label: 'Plot Color' }
+    ];
   }
 
   generateData(params) {
@@ -239,13 +248,13 @@ export class TownPlotsLayer extends BaseLayer {
   }
 
   render(ctx, data, params) {
-    const { transform3D, time, is3D } = params;
+    const { transform3D, time, is3D, progress = 1 } = params;
     
     // Render town plot structures
-    this.renderStructures(ctx, data.structures, { transform3D, time, is3D });
+    this.renderStructures(ctx, data.structures, { transform3D, time, is3D, progress });
   }
 
-  renderStructures(ctx, structures, { transform3D, time, is3D }) {
+  renderStructures(ctx, structures, { transform3D, time, is3D, progress = 1 }) {
     const baseScale = transform3D.getScale(this.zIndex, time, is3D);
     
     structures.forEach((plot, i) => {
@@ -253,28 +262,63 @@ export class TownPlotsLayer extends BaseLayer {
       
       const { plotDivisions } = plot;
       
-      const edgeWidth = (this.baseLineWidth + Math.sin(time * 0.01) * 0.1) * baseScale;
+      const edgeWidth = (this.baseLineWidth + Math.sin(time * 0.01) * this.edgeBreath) * baseScale;
       
       // Draw radiating plot divisions (wedge-shaped plots)
       plotDivisions.forEach((division, divisionIndex) => {
         if (division.points.length < 3) return;
+
+        // While revealing, each boundary is stroked around from its first corner, one after another
+        const traced = this.staggerProgress(progress, divisionIndex, plotDivisions.length);
+        if (traced <= 0) return;
+        const points = traced < 1
+          ? this.tracePolyline([...division.points, division.points[0]], traced)
+          : division.points;
         
         // Set line style for plot boundaries
         this.setLineStyle(ctx, this.structureColor, edgeWidth);
         
         // Draw the plot boundary
         ctx.beginPath();
-        const firstPoint = transform3D.transform(division.points[0].x, division.points[0].y, this.zIndex, time, is3D);
+        const firstPoint = transform3D.transform(points[0].x, points[0].y, this.zIndex, time, is3D);
         ctx.moveTo(firstPoint.x, firstPoint.y);
         
-        for (let j = 1; j < division.points.length; j++) {
-          const point = transform3D.transform(division.points[j].x, division.points[j].y, this.zIndex, time, is3D);
+        for (let j = 1; j < points.length; j++) {
+          const point = transform3D.transform(points[j].x, points[j].y, this.zIndex, time, is3D);
           ctx.lineTo(point.x, point.y);
         }
         
-        ctx.closePath();
+        if (traced >= 1) {
+          ctx.closePath();
+        }
         ctx.stroke();
       });
     });
   }
+
+  getLegendEntries() {
+    return [{
+      label: 'Town plots',
+      draw: (ctx, x, y, width, height) => {
+        // A quarter of a plot: wedges radiating from the lower left corner
+        const center = { x: x + 1, y: y + height - 1 };
+        const point = (angle, reach) => ({
+          x: center.x + Math.cos(angle) * (width - 2) * reach,
+          y: center.y + Math.sin(angle) * (height - 2) * reach
+        });
+        this.setLineStyle(ctx, this.structureColor, this.baseLineWidth);
+
+        [0.75, 1, 0.6].forEach((reach, i) => {
+          const p1 = point(-Math.PI / 2 + (i * Math.PI) / 6, reach);
+          const p2 = point(-Math.PI / 2 + ((i + 1) * Math.PI) / 6, reach);
+          ctx.beginPath();
+          ctx.moveTo(center.x, center.y);
+          ctx.lineTo(p1.x, p1.y);
+          ctx.lineTo(p2.x, p2.y);
+          ctx.closePath();
+          ctx.stroke();
+        });
+      }
+    }];
+  }
 }
@@ -0,0 +1,151 @@
+/**
+ * Canvas Surface - Drawing surface backed by a CanvasRenderingContext2D
+ * Forwards every call and style property straight to the native context
+ */
+
+import { DrawingSurface } from './DrawingSurface.js';
+
+export class CanvasSurface extends DrawingSurface {
+  constructor(ctx) {
+    super();
+    this.ctx = ctx;
+  }
+
+  /**
+   * Wrap a native 2D context; existing surfaces are passed through untouched
+   * @param {CanvasRenderingContext2D|DrawingSurface} ctx - Context or surface
+   * @returns {DrawingSurface} Drawing surface
+   */
+  static wrap(ctx) {
+    return ctx instanceof DrawingSurface ? ctx : new CanvasSurface(ctx);
+  }
+
+  get fillStyle() { return this.ctx.fillStyle; }
+  set fillStyle(value) { this.ctx.fillStyle = value; }
+  get strokeStyle() { return this.ctx.strokeStyle; }
+  set strokeStyle(value) { this.ctx.strokeStyle = value; }
+  get lineWidth() { return this.ctx.lineWidth; }
+  set lineWidth(value) { this.ctx.lineWidth = value; }
+  get lineCap() { return this.ctx.lineCap; }
+  set lineCap(value) { this.ctx.lineCap = value; }
+  get lineJoin() { return this.ctx.lineJoin; }
+  set lineJoin(value) { this.ctx.lineJoin = value; }
+  get globalAlpha() { return this.ctx.globalAlpha; }
+  set globalAlpha(value) { this.ctx.globalAlpha = value; }
+  get globalCompositeOperation() { return this.ctx.globalCompositeOperation; }
+  set globalCompositeOperation(value) { this.ctx.globalCompositeOperation = value; }
+  get font() { return this.ctx.font; }
+  set font(value) { this.ctx.font = value; }
+  get textAlign() { return this.ctx.textAlign; }
+  set textAlign(value) { this.ctx.textAlign = value; }
+  get textBaseline() { return this.ctx.textBaseline; }
+  set textBaseline(value) { this.ctx.textBaseline = value; }
+  // Older browsers ignore letterSpacing and draw untracked text
+  get letterSpacing() { return this.ctx.letterSpacing || '0px'; }
+  set letterSpacing(value) { this.ctx.letterSpacing = value; }
+
+  setState(name, value) {
+    this.ctx[name] = value;
+  }
+
+  /**
+   * Blend a layer by drawing each of its shapes with the layer's composite operation
+   * @param {string} name - Group name
+   * @param {number} opacity - Group opacity (already applied to the layer's colors)
+   * @param {string} blendMode - Key of BLEND_MODES
+   */
+  beginGroup(name, opacity = 1, blendMode = 'source-over') {
+    this.blendedGroup = blendMode !== 'source-over';
+    if (this.blendedGroup) {
+      this.ctx.save();
+      this.ctx.globalCompositeOperation = blendMode;
+    }
+  }
+
+  endGroup() {
+    if (this.blendedGroup) {
+      this.ctx.restore();
+      this.blendedGroup = false;
+    }
+  }
+
+  save() {
+    this.ctx.save();
+  }
+
+  restore() {
+    this.ctx.restore();
+  }
+
+  setLineDash(dash) {
+    this.ctx.setLineDash(dash);
+  }
+
+  getLineDash() {
+    return this.ctx.getLineDash();
+  }
+
+  scale(x, y) {
+    this.ctx.scale(x, y);
+  }
+
+  translate(x, y) {
+    this.ctx.translate(x, y);
+  }
+
+  rotate(angle) {
+    this.ctx.rotate(angle);
+  }
+
+  measureText(text) {
+    return this.ctx.measureText(text);
+  }
+
+  beginPath() {
+    this.ctx.beginPath();
+  }
+
+  moveTo(x, y) {
+    this.ctx.moveTo(x, y);
+  }
+
+  lineTo(x, y) {
+    this.ctx.lineTo(x, y);
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ctx.arc(x, y, radius, startAngle, endAngle, counterclockwise);
+  }
+
+  rect(x, y, width, height) {
+    this.ctx.rect(x, y, width, height);
+  }
+
+  closePath() {
+    this.ctx.closePath();
+  }
+
+  fill() {
+    this.ctx.fill();
+  }
+
+  stroke() {
+    this.ctx.stroke();
+  }
+
+  fillRect(x, y, width, height) {
+    this.ctx.fillRect(x, y, width, height);
+  }
+
+  clip() {
+    this.ctx.clip();
+  }
+
+  fillText(text, x, y) {
+    this.ctx.fillText(text, x, y);
+  }
+
+  strokeText(text, x, y) {
+    this.ctx.strokeText(text, x, y);
+  }
+}
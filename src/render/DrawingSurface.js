@@ -0,0 +1,220 @@
+/**
+ * Drawing Surface - Backend-independent drawing interface used by all layers
+ * Mirrors the subset of CanvasRenderingContext2D the layers rely on so the same
+ * render pass can target a canvas, a display list or a vector document
+ */
+
+import { estimateTextWidth, parseFontSize } from '../utils/typography.js';
+
+// How a layer is composited onto the layers below it, as canvas composite operations
+export const BLEND_MODES = {
+  'source-over': 'Normal',
+  multiply: 'Multiply',
+  screen: 'Screen',
+  overlay: 'Overlay',
+  darken: 'Darken',
+  lighten: 'Lighten',
+  'color-dodge': 'Color Dodge',
+  'color-burn': 'Color Burn',
+  'hard-light': 'Hard Light',
+  'soft-light': 'Soft Light',
+  difference: 'Difference',
+  exclusion: 'Exclusion',
+  hue: 'Hue',
+  saturation: 'Saturation',
+  color: 'Color',
+  luminosity: 'Luminosity'
+};
+
+const DEFAULT_STATE = {
+  fillStyle: '#000',
+  strokeStyle: '#000',
+  lineWidth: 1,
+  lineCap: 'butt',
+  lineJoin: 'miter',
+  lineDash: [],
+  globalAlpha: 1,
+  globalCompositeOperation: 'source-over',
+  font: '10px sans-serif',
+  textAlign: 'start',
+  textBaseline: 'alphabetic',
+  letterSpacing: '0px',
+  transform: [1, 0, 0, 1, 0, 0] // Affine matrix [a, b, c, d, e, f] as in DOMMatrix
+};
+
+export class DrawingSurface {
+  constructor() {
+    this.state = { ...DEFAULT_STATE, lineDash: [] };
+    this.stateStack = [];
+
+    // Vector backends apply layer opacity on the group rather than per color
+    this.composesGroupOpacity = false;
+  }
+
+  // Style state (subclasses may forward these to a native context)
+  get fillStyle() { return this.state.fillStyle; }
+  set fillStyle(value) { this.setState('fillStyle', value); }
+  get strokeStyle() { return this.state.strokeStyle; }
+  set strokeStyle(value) { this.setState('strokeStyle', value); }
+  get lineWidth() { return this.state.lineWidth; }
+  set lineWidth(value) { this.setState('lineWidth', value); }
+  get lineCap() { return this.state.lineCap; }
+  set lineCap(value) { this.setState('lineCap', value); }
+  get lineJoin() { return this.state.lineJoin; }
+  set lineJoin(value) { this.setState('lineJoin', value); }
+  get globalAlpha() { return this.state.globalAlpha; }
+  set globalAlpha(value) { this.setState('globalAlpha', value); }
+  get globalCompositeOperation() { return this.state.globalCompositeOperation; }
+  set globalCompositeOperation(value) { this.setState('globalCompositeOperation', value); }
+  get font() { return this.state.font; }
+  set font(value) { this.setState('font', value); }
+  get textAlign() { return this.state.textAlign; }
+  set textAlign(value) { this.setState('textAlign', value); }
+  get textBaseline() { return this.state.textBaseline; }
+  set textBaseline(value) { this.setState('textBaseline', value); }
+  get letterSpacing() { return this.state.letterSpacing; }
+  set letterSpacing(value) { this.setState('letterSpacing', value); }
+
+  /**
+   * Update a single style property
+   * @param {string} name - Property name
+   * @param {*} value - New value
+   */
+  setState(name, value) {
+    this.state[name] = value;
+  }
+
+  save() {
+    this.stateStack.push({ ...this.state, lineDash: [...this.state.lineDash] });
+  }
+
+  restore() {
+    if (this.stateStack.length > 0) {
+      this.state = this.stateStack.pop();
+    }
+  }
+
+  setLineDash(dash) {
+    this.state.lineDash = Array.isArray(dash) ? [...dash] : [];
+  }
+
+  getLineDash() {
+    return [...this.state.lineDash];
+  }
+
+  /**
+   * Set stroke color, width and dash pattern in one call
+   * @param {string} color - Stroke color
+   * @param {number} width - Line width
+   * @param {Array} dash - Line dash pattern
+   */
+  setStroke(color, width = 1, dash = []) {
+    this.strokeStyle = color;
+    this.lineWidth = width;
+    this.setLineDash(dash);
+  }
+
+  /**
+   * Set fill color
+   * @param {string} color - Fill color
+   */
+  setFill(color) {
+    this.fillStyle = color;
+  }
+
+  /**
+   * Mark the start of a named group (one per layer)
+   * @param {string} name - Group name
+   * @param {number} opacity - Group opacity (0-1)
+   * @param {string} blendMode - Key of BLEND_MODES
+   */
+  beginGroup(name, opacity = 1, blendMode = 'source-over') {}
+
+  /**
+   * Mark the end of the current group
+   */
+  endGroup() {}
+
+  // Device scaling only matters to pixel backends
+  scale(x, y) {}
+
+  /**
+   * Move the origin of everything drawn afterwards
+   * @param {number} x - Horizontal offset
+   * @param {number} y - Vertical offset
+   */
+  translate(x, y) {
+    const [a, b, c, d, e, f] = this.state.transform;
+    this.state.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+  }
+
+  /**
+   * Rotate everything drawn afterwards around the current origin
+   * @param {number} angle - Rotation in radians (clockwise on screen)
+   */
+  rotate(angle) {
+    const [a, b, c, d, e, f] = this.state.transform;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.state.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+  }
+
+  /**
+   * Measure a line of text in the current font
+   * Backends without font metrics approximate the width from the font size
+   * @param {string} text - Text to measure
+   * @returns {Object} Metrics { width }
+   */
+  measureText(text) {
+    return { width: estimateTextWidth(text, parseFontSize(this.state.font), parseFloat(this.state.letterSpacing) || 0) };
+  }
+
+  // Path construction and painting (to be implemented by subclasses)
+  beginPath() {
+    throw new Error('beginPath must be implemented by surface');
+  }
+
+  moveTo(x, y) {
+    throw new Error('moveTo must be implemented by surface');
+  }
+
+  lineTo(x, y) {
+    throw new Error('lineTo must be implemented by surface');
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    throw new Error('arc must be implemented by surface');
+  }
+
+  rect(x, y, width, height) {
+    throw new Error('rect must be implemented by surface');
+  }
+
+  closePath() {
+    throw new Error('closePath must be implemented by surface');
+  }
+
+  fill() {
+    throw new Error('fill must be implemented by surface');
+  }
+
+  stroke() {
+    throw new Error('stroke must be implemented by surface');
+  }
+
+  fillRect(x, y, width, height) {
+    throw new Error('fillRect must be implemented by surface');
+  }
+
+  clip() {
+    throw new Error('clip must be implemented by surface');
+  }
+
+  fillText(text, x, y) {
+    throw new Error('fillText must be implemented by surface');
+  }
+
+  strokeText(text, x, y) {
+    throw new Error('strokeText must be implemented by surface');
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Layer Canvas Surface - Canvas surface for drawing one layer onto a canvas of its own
+ * Used by the LayerManager's render cache. Erasing (destination-out) on the layer's canvas
+ * only removes what the layer itself drew there, so the erasing shapes are also painted onto
+ * a mask canvas; erasing the frame with the mask before drawing the layer over it gives the
+ * same result as drawing the layer straight onto the frame. Erasing paths are expected to be
+ * started (beginPath) after the composite operation is set, as the layers do.
+ */
+
+import { CanvasSurface } from './CanvasSurface.js';
+
+export class LayerCanvasSurface extends CanvasSurface {
+  /**
+   * @param {CanvasRenderingContext2D} ctx - Context of the layer's canvas
+   * @param {Function} getMaskContext - Returns the context of the mask canvas, cleared and the
+   *   same size as the layer's; only called once the layer erases something
+   */
+  constructor(ctx, getMaskContext) {
+    super(ctx);
+    this.getMaskContext = getMaskContext;
+    this.mask = null;
+    this.erasing = false;
+  }
+
+  get globalCompositeOperation() { return this.ctx.globalCompositeOperation; }
+  set globalCompositeOperation(value) {
+    this.ctx.globalCompositeOperation = value;
+    this.erasing = value === 'destination-out';
+  }
+
+  setState(name, value) {
+    if (name === 'globalCompositeOperation') {
+      this.globalCompositeOperation = value;
+    } else {
+      super.setState(name, value);
+    }
+  }
+
+  restore() {
+    super.restore();
+    this.erasing = this.ctx.globalCompositeOperation === 'destination-out';
+  }
+
+  /**
+   * Whether anything was erased, i.e. the mask has to be applied
+   */
+  get erased() {
+    return this.mask !== null;
+  }
+
+  beginPath() {
+    super.beginPath();
+    if (this.erasing) {
+      if (!this.mask) this.mask = this.getMaskContext();
+      this.mask.setTransform(this.ctx.getTransform());
+      this.mask.beginPath();
+    }
+  }
+
+  moveTo(x, y) {
+    super.moveTo(x, y);
+    if (this.erasing && this.mask) this.mask.moveTo(x, y);
+  }
+
+  lineTo(x, y) {
+    super.lineTo(x, y);
+    if (this.erasing && this.mask) this.mask.lineTo(x, y);
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    super.arc(x, y, radius, startAngle, endAngle, counterclockwise);
+    if (this.erasing && this.mask) this.mask.arc(x, y, radius, startAngle, endAngle, counterclockwise);
+  }
+
+  rect(x, y, width, height) {
+    super.rect(x, y, width, height);
+    if (this.erasing && this.mask) this.mask.rect(x, y, width, height);
+  }
+
+  closePath() {
+    super.closePath();
+    if (this.erasing && this.mask) this.mask.closePath();
+  }
+
+  fill() {
+    super.fill();
+    if (this.erasing && this.mask) {
+      this.mask.fillStyle = this.ctx.fillStyle;
+      this.mask.globalAlpha = this.ctx.globalAlpha;
+      this.mask.fill();
+    }
+  }
+
+  stroke() {
+    super.stroke();
+    if (this.erasing && this.mask) {
+      ['strokeStyle', 'globalAlpha', 'lineWidth', 'lineCap', 'lineJoin'].forEach(name => {
+        this.mask[name] = this.ctx[name];
+      });
+      this.mask.setLineDash(this.ctx.getLineDash());
+      this.mask.stroke();
+    }
+  }
+
+  fillRect(x, y, width, height) {
+    super.fillRect(x, y, width, height);
+    if (this.erasing) {
+      if (!this.mask) this.mask = this.getMaskContext();
+      this.mask.setTransform(this.ctx.getTransform());
+      this.mask.fillStyle = this.ctx.fillStyle;
+      this.mask.globalAlpha = this.ctx.globalAlpha;
+      this.mask.fillRect(x, y, width, height);
+    }
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Plotter Surface - Drawing surface that reduces a render pass to pen strokes
+ * Paths are flattened to polylines in page coordinates. Strokes are kept as they are
+ * (dashes broken into separate strokes), fills become hatching or, for dots and other
+ * small shapes, concentric single-stroke rings, spaced by how much ink the fill carries.
+ * Erasing (destination-out, or opaque paper-colored fills) cuts away the strokes drawn
+ * so far, and clip regions trim the strokes drawn inside them. Text is not plotted.
+ */
+
+import { DrawingSurface } from './DrawingSurface.js';
+import { parseColor, relativeLuminance } from '../utils/color.js';
+import {
+  boundsOf,
+  boundsOverlap,
+  clipPolyline,
+  dashPolyline,
+  hatchPolygons
+} from '../utils/polyline.js';
+
+const TWO_PI = Math.PI * 2;
+
+// Strokes and hatched fills fainter than this barely show on screen; the pen would overstate them
+const MIN_COVERAGE = 0.05;
+// Fills narrower than this many pen widths are drawn as rings rather than hatched
+const SMALL_FILL_PENS = 6;
+// Largest gap between a curve and its flattened chords, in pixels
+const ARC_TOLERANCE = 0.05;
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Shrink a ring toward its centre by a fixed inset
+ */
+const insetRing = (ring, inset, halfWidth) => {
+  const scale = 1 - inset / halfWidth;
+  const cx = ring.reduce((sum, p) => sum + p.x, 0) / ring.length;
+  const cy = ring.reduce((sum, p) => sum + p.y, 0) / ring.length;
+  return ring.map(p => ({ x: cx + (p.x - cx) * scale, y: cy + (p.y - cy) * scale }));
+};
+
+export class PlotterSurface extends DrawingSurface {
+  /**
+   * @param {number} width - Page width in pixels
+   * @param {number} height - Page height in pixels
+   * @param {Object} options - Options
+   * @param {string} options.paper - Paper color; ink is measured against it
+   * @param {number} options.penWidth - Pen width in pixels
+   * @param {number} options.hatchSpacing - Distance between hatch lines of a solid fill, in pixels
+   * @param {number} options.hatchAngle - Direction of hatch lines in radians
+   */
+  constructor(width, height, { paper = '#ffffff', penWidth = 1.1, hatchSpacing = 3, hatchAngle = Math.PI / 4 } = {}) {
+    super();
+    this.composesGroupOpacity = true;
+    this.width = width;
+    this.height = height;
+    this.paper = parseColor(paper) || { r: 255, g: 255, b: 255, a: 1 };
+    this.paperLuminance = relativeLuminance(toHex(this.paper));
+    this.penWidth = penWidth;
+    this.hatchSpacing = hatchSpacing;
+    this.hatchAngle = hatchAngle;
+
+    this.groups = [];
+    this.currentGroup = null;
+    this.skippedText = 0;
+
+    this.state.clip = [];
+    this.subpaths = [];
+    this.currentSubpath = null;
+  }
+
+  /**
+   * Start a new layer group; subsequent strokes are collected into it
+   * @param {string} name - Layer name
+   * @param {number} opacity - Group opacity (0-1)
+   */
+  beginGroup(name, opacity = 1) {
+    this.currentGroup = { name, opacity, strokes: [] };
+    this.groups.push(this.currentGroup);
+  }
+
+  endGroup() {
+    this.currentGroup = null;
+  }
+
+  /**
+   * Map a point from user space to the page
+   */
+  toPage(x, y) {
+    const [a, b, c, d, e, f] = this.state.transform;
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+  }
+
+  beginPath() {
+    this.subpaths = [];
+    this.currentSubpath = null;
+  }
+
+  moveTo(x, y) {
+    this.currentSubpath = { points: [this.toPage(x, y)], closed: false };
+    this.subpaths.push(this.currentSubpath);
+  }
+
+  lineTo(x, y) {
+    if (!this.currentSubpath) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.currentSubpath.points.push(this.toPage(x, y));
+  }
+
+  closePath() {
+    if (!this.currentSubpath) return;
+    const start = this.currentSubpath.points[0];
+    this.currentSubpath.closed = true;
+    // Canvas starts a new subpath where the closed one began
+    this.currentSubpath = { points: [{ ...start }], closed: false };
+    this.subpaths.push(this.currentSubpath);
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    if (radius <= 0) return;
+
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (sweep >= TWO_PI) {
+      sweep = TWO_PI;
+    } else {
+      sweep = ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+    }
+    const direction = counterclockwise ? -1 : 1;
+
+    // Enough chords that none strays from the curve by more than the tolerance on the page
+    const [a, b, c, d] = this.state.transform;
+    const pageRadius = radius * Math.sqrt(Math.abs(a * d - b * c));
+    const step = pageRadius > ARC_TOLERANCE ? 2 * Math.acos(1 - ARC_TOLERANCE / pageRadius) : Math.PI / 4;
+    const count = Math.max(1, Math.ceil(sweep / Math.min(step, Math.PI / 4)));
+
+    for (let i = 0; i <= count; i++) {
+      const angle = startAngle + direction * sweep * (i / count);
+      const px = x + Math.cos(angle) * radius;
+      const py = y + Math.sin(angle) * radius;
+      // Canvas connects the current point to the start of the arc
+      if (i === 0 && !this.currentSubpath) {
+        this.moveTo(px, py);
+      } else {
+        this.lineTo(px, py);
+      }
+    }
+  }
+
+  fill() {
+    this.emitPath('fill');
+  }
+
+  stroke() {
+    this.emitPath('stroke');
+  }
+
+  fillRect(x, y, width, height) {
+    const { subpaths, currentSubpath } = this;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.emitPath('fill');
+    this.subpaths = subpaths;
+    this.currentSubpath = currentSubpath;
+  }
+
+  clip() {
+    const rings = this.rings();
+    if (rings.length === 0) return;
+    this.state.clip = [...this.state.clip, rings];
+  }
+
+  fillText() {
+    this.skippedText++;
+  }
+
+  strokeText() {
+    this.skippedText++;
+  }
+
+  /**
+   * Closed rings of the current path, for filling and clipping
+   * @returns {Array} Rings of at least three points
+   */
+  rings() {
+    return this.subpaths.map(subpath => subpath.points).filter(points => points.length >= 3);
+  }
+
+  /**
+   * How much ink a paint puts down, from 0 (none) to 1 (full contrast with the paper)
+   * @param {Object} paint - Parsed color
+   * @returns {number} Coverage
+   */
+  coverage(paint) {
+    const groupOpacity = this.currentGroup ? this.currentGroup.opacity : 1;
+    const paper = this.paperLuminance;
+    const contrast = Math.abs(paper - relativeLuminance(toHex(paint))) / Math.max(paper, 1 - paper, 0.01);
+    return Math.min(1, paint.a * this.state.globalAlpha * groupOpacity * contrast);
+  }
+
+  /**
+   * Turn the current path into pen strokes using the active state
+   * @param {string} mode - 'fill' or 'stroke'
+   */
+  emitPath(mode) {
+    if (this.subpaths.length === 0) return;
+    if (!this.currentGroup) {
+      this.beginGroup(`group-${this.groups.length}`);
+    }
+
+    const paint = parseColor(mode === 'fill' ? this.state.fillStyle : this.state.strokeStyle);
+    if (!paint) return;
+
+    const alpha = paint.a * this.state.globalAlpha;
+    const isPaper = paint.r === this.paper.r && paint.g === this.paper.g && paint.b === this.paper.b;
+    if (mode === 'fill' && alpha >= 0.5 && (this.state.globalCompositeOperation === 'destination-out' || isPaper)) {
+      this.knockout(this.rings());
+      return;
+    }
+    if (this.state.globalCompositeOperation === 'destination-out') return;
+
+    const coverage = this.coverage(paint);
+    if (coverage <= 0 || (mode === 'stroke' && coverage < MIN_COVERAGE)) return;
+
+    const lines = mode === 'fill' ? this.fillLines(coverage) : this.strokeLines();
+    const color = toHex(paint);
+    const clipped = this.state.clip.reduce(
+      (pieces, rings) => pieces.flatMap(points => clipPolyline(points, rings, true)),
+      lines
+    );
+
+    clipped.forEach(points => {
+      if (points.length > 1) this.currentGroup.strokes.push({ points, color });
+    });
+  }
+
+  /**
+   * Polylines that trace the current path, dashed if a dash pattern is set
+   */
+  strokeLines() {
+    const lines = this.subpaths
+      .filter(subpath => subpath.points.length > 1)
+      .map(({ points, closed }) => (closed ? [...points, { ...points[0] }] : points));
+    const dash = this.state.lineDash;
+    return dash.length > 0 ? lines.flatMap(points => dashPolyline(points, dash)) : lines;
+  }
+
+  /**
+   * Polylines that shade the current path: hatching, or rings for small shapes
+   * @param {number} coverage - Ink of the fill (0-1); fainter fills get sparser lines
+   */
+  fillLines(coverage) {
+    const rings = this.rings();
+    if (rings.length === 0) return [];
+
+    const { minX, minY, maxX, maxY } = boundsOf(rings);
+    const halfWidth = Math.min(maxX - minX, maxY - minY) / 2;
+
+    if (halfWidth * 2 > this.penWidth * SMALL_FILL_PENS) {
+      return coverage < MIN_COVERAGE ? [] : hatchPolygons(rings, this.hatchSpacing / coverage, this.hatchAngle);
+    }
+
+    // Dots, discs and small squares: rings stepping inward, the outermost on the edge.
+    // However faint, a dot is still a mark, so it keeps at least its outer ring
+    const spacing = this.penWidth / Math.max(coverage, MIN_COVERAGE);
+    const lines = [];
+    for (let inset = Math.min(this.penWidth / 2, halfWidth / 2); inset < halfWidth; inset += spacing) {
+      rings.forEach(ring => {
+        const inner = insetRing(ring, inset, halfWidth);
+        lines.push([...inner, { ...inner[0] }]);
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Erase a shape: cut it out of every stroke drawn so far, in every group
+   * @param {Array} rings - Closed rings of the shape
+   */
+  knockout(rings) {
+    if (rings.length === 0) return;
+    const bounds = boundsOf(rings);
+
+    this.groups.forEach(group => {
+      group.strokes = group.strokes.flatMap(stroke => {
+        if (!stroke.bounds) stroke.bounds = boundsOf([stroke.points]);
+        if (!boundsOverlap(stroke.bounds, bounds)) return [stroke];
+        return clipPolyline(stroke.points, rings, false)
+          .filter(points => points.length > 1)
+          .map(points => ({ points, color: stroke.color }));
+      });
+    });
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Recording Surface - Captures drawing calls as a serializable display list
+ * The list can be stored as JSON, inspected in tests, or replayed onto any other surface
+ */
+
+import { DrawingSurface } from './DrawingSurface.js';
+
+export class RecordingSurface extends DrawingSurface {
+  /**
+   * @param {Object} options - Recording options
+   * @param {boolean} options.composesGroupOpacity - Record layer opacity on groups instead of colors
+   */
+  constructor({ composesGroupOpacity = false } = {}) {
+    super();
+    this.commands = [];
+    this.composesGroupOpacity = composesGroupOpacity;
+  }
+
+  record(op, args = []) {
+    this.commands.push({ op, args });
+  }
+
+  setState(name, value) {
+    super.setState(name, value);
+    this.commands.push({ op: 'set', name, value });
+  }
+
+  save() {
+    super.save();
+    this.record('save');
+  }
+
+  restore() {
+    super.restore();
+    this.record('restore');
+  }
+
+  setLineDash(dash) {
+    super.setLineDash(dash);
+    this.record('setLineDash', [this.getLineDash()]);
+  }
+
+  beginGroup(name, opacity = 1, blendMode = 'source-over') {
+    this.record('beginGroup', [name, opacity, blendMode]);
+  }
+
+  endGroup() {
+    this.record('endGroup');
+  }
+
+  scale(x, y) {
+    this.record('scale', [x, y]);
+  }
+
+  translate(x, y) {
+    super.translate(x, y);
+    this.record('translate', [x, y]);
+  }
+
+  rotate(angle) {
+    super.rotate(angle);
+    this.record('rotate', [angle]);
+  }
+
+  beginPath() {
+    this.record('beginPath');
+  }
+
+  moveTo(x, y) {
+    this.record('moveTo', [x, y]);
+  }
+
+  lineTo(x, y) {
+    this.record('lineTo', [x, y]);
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.record('arc', [x, y, radius, startAngle, endAngle, counterclockwise]);
+  }
+
+  rect(x, y, width, height) {
+    this.record('rect', [x, y, width, height]);
+  }
+
+  closePath() {
+    this.record('closePath');
+  }
+
+  fill() {
+    this.record('fill');
+  }
+
+  stroke() {
+    this.record('stroke');
+  }
+
+  fillRect(x, y, width, height) {
+    this.record('fillRect', [x, y, width, height]);
+  }
+
+  clip() {
+    this.record('clip');
+  }
+
+  fillText(text, x, y) {
+    this.record('fillText', [String(text), x, y]);
+  }
+
+  strokeText(text, x, y) {
+    this.record('strokeText', [String(text), x, y]);
+  }
+
+  /**
+   * Replay the recorded commands onto another surface
+   * @param {DrawingSurface} target - Surface to draw on
+   * @returns {DrawingSurface} The target surface
+   */
+  replay(target) {
+    return RecordingSurface.replay(this.commands, target);
+  }
+
+  /**
+   * Replay a display list onto a surface
+   * @param {Array} commands - Display list
+   * @param {DrawingSurface} target - Surface to draw on
+   * @returns {DrawingSurface} The target surface
+   */
+  static replay(commands, target) {
+    commands.forEach(({ op, args, name, value }) => {
+      if (op === 'set') {
+        target[name] = value;
+      } else if (typeof target[op] === 'function') {
+        target[op](...args);
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Get the display list as plain data
+   * @returns {Array} Recorded commands
+   */
+  toJSON() {
+    return this.commands;
+  }
+
+  /**
+   * Restore a recording from plain data
+   * @param {Array} commands - Display list produced by toJSON
+   * @returns {RecordingSurface} Recording surface holding the commands
+   */
+  static fromJSON(commands) {
+    const surface = new RecordingSurface();
+    surface.commands = commands.map(command => ({ ...command, args: command.args || [] }));
+    return surface;
+  }
+}
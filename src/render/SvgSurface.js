@@ -0,0 +1,379 @@
+/**
+ * SVG Surface - Drawing surface that builds a standalone SVG document
+ * Paths become <path> elements, text becomes <text> elements, groups become <g>
+ * elements and destination-out erasing is emulated with luminance masks
+ */
+
+import { DrawingSurface } from './DrawingSurface.js';
+import { parseColor } from '../utils/color.js';
+import { round, escapeAttribute, escapeText } from '../utils/svg.js';
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Split a CSS color into an SVG-friendly rgb() value and a separate alpha
+ * @param {string} color - CSS color (rgba, rgb or hex; other colors pass through as they are)
+ * @returns {Object} { color, alpha }
+ */
+const toSvgPaint = (color) => {
+  if (typeof color !== 'string') return { color: 'none', alpha: 0 };
+
+  const parsed = parseColor(color);
+  if (parsed) {
+    return { color: `rgb(${parsed.r}, ${parsed.g}, ${parsed.b})`, alpha: parsed.a };
+  }
+
+  return { color, alpha: 1 };
+};
+
+const TEXT_ANCHORS = { center: 'middle', right: 'end', end: 'end' };
+const DOMINANT_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' };
+
+/**
+ * Split a canvas font shorthand into SVG font attributes
+ * @param {string} font - Font shorthand, e.g. "italic 600 12px Helvetica, sans-serif"
+ * @returns {Object} { style, weight, size, family }
+ */
+const parseFont = (font) => {
+  const match = String(font || '').match(/^\s*(.*?)\s*([\d.]+)px(?:\/\S+)?\s+(.+)$/);
+  if (!match) return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+
+  const modifiers = match[1].split(/\s+/).filter(Boolean);
+  return {
+    style: modifiers.find(token => /^(italic|oblique)$/i.test(token)) || 'normal',
+    weight: modifiers.find(token => /^(bold|bolder|lighter|\d{3})$/i.test(token)) || 'normal',
+    size: parseFloat(match[2]),
+    family: match[3]
+  };
+};
+
+const isIdentity = ([a, b, c, d, e, f]) => a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+
+export class SvgSurface extends DrawingSurface {
+  constructor(width, height) {
+    super();
+    this.composesGroupOpacity = true;
+    this.width = width;
+    this.height = height;
+    this.defs = [];
+    this.groups = [];
+    this.currentGroup = null;
+    this.nextId = 0;
+    this.pendingMask = null;
+
+    this.state.clipId = null;
+    this.path = [];
+    this.currentPoint = null;
+  }
+
+  /**
+   * Start a new layer group; subsequent elements are emitted into it
+   * @param {string} name - Layer name
+   * @param {number} opacity - Group opacity (0-1)
+   * @param {string} blendMode - Key of BLEND_MODES
+   */
+  beginGroup(name, opacity = 1, blendMode = 'source-over') {
+    this.currentGroup = { name, opacity, blendMode, children: [] };
+    this.groups.push(this.currentGroup);
+    this.pendingMask = null;
+  }
+
+  endGroup() {
+    this.currentGroup = null;
+  }
+
+  beginPath() {
+    this.path = [];
+    this.currentPoint = null;
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${round(x)} ${round(y)}`);
+    this.currentPoint = { x, y, start: { x, y } };
+  }
+
+  lineTo(x, y) {
+    if (!this.currentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.path.push(`L${round(x)} ${round(y)}`);
+    this.currentPoint = { ...this.currentPoint, x, y };
+  }
+
+  closePath() {
+    if (!this.currentPoint) return;
+    this.path.push('Z');
+    const { start } = this.currentPoint;
+    this.currentPoint = { x: start.x, y: start.y, start };
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    if (radius <= 0) return;
+
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    const isFullCircle = sweep >= TWO_PI;
+    if (!isFullCircle) {
+      sweep = ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+    }
+
+    const startX = x + Math.cos(startAngle) * radius;
+    const startY = y + Math.sin(startAngle) * radius;
+
+    // Canvas connects the current point to the start of the arc
+    if (this.currentPoint) {
+      this.lineTo(startX, startY);
+    } else {
+      this.moveTo(startX, startY);
+    }
+
+    const sweepFlag = counterclockwise ? 0 : 1;
+    const r = round(radius);
+
+    if (isFullCircle) {
+      // A single SVG arc cannot describe a full circle; split into halves
+      const direction = counterclockwise ? -1 : 1;
+      const midX = x + Math.cos(startAngle + Math.PI * direction) * radius;
+      const midY = y + Math.sin(startAngle + Math.PI * direction) * radius;
+      this.path.push(`A${r} ${r} 0 1 ${sweepFlag} ${round(midX)} ${round(midY)}`);
+      this.path.push(`A${r} ${r} 0 1 ${sweepFlag} ${round(startX)} ${round(startY)}`);
+      this.currentPoint = { ...this.currentPoint, x: startX, y: startY };
+      return;
+    }
+
+    if (sweep === 0) return;
+
+    const finalAngle = counterclockwise ? startAngle - sweep : startAngle + sweep;
+    const endX = x + Math.cos(finalAngle) * radius;
+    const endY = y + Math.sin(finalAngle) * radius;
+    const largeArc = sweep > Math.PI ? 1 : 0;
+
+    this.path.push(`A${r} ${r} 0 ${largeArc} ${sweepFlag} ${round(endX)} ${round(endY)}`);
+    this.currentPoint = { ...this.currentPoint, x: endX, y: endY };
+  }
+
+  fill() {
+    this.emitPath('fill');
+  }
+
+  stroke() {
+    this.emitPath('stroke');
+  }
+
+  fillRect(x, y, width, height) {
+    const savedPath = this.path;
+    const savedPoint = this.currentPoint;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.emitPath('fill');
+    this.path = savedPath;
+    this.currentPoint = savedPoint;
+  }
+
+  clip() {
+    if (this.path.length === 0) return;
+
+    const id = `clip-${this.nextId++}`;
+    const parentClip = this.state.clipId ? ` clip-path="url(#${this.state.clipId})"` : '';
+    this.defs.push(`<clipPath id="${id}"${parentClip}><path d="${this.path.join(' ')}"${this.transformAttribute()}/></clipPath>`);
+    this.state.clipId = id;
+  }
+
+  /**
+   * Turn the current path into an SVG element using the active state
+   * @param {string} mode - 'fill' or 'stroke'
+   */
+  emitPath(mode) {
+    if (this.path.length === 0) return;
+    if (!this.currentGroup) {
+      this.beginGroup(`group-${this.groups.length}`);
+    }
+
+    const d = this.path.join(' ');
+    const paint = toSvgPaint(mode === 'fill' ? this.state.fillStyle : this.state.strokeStyle);
+    const alpha = paint.alpha * this.state.globalAlpha;
+
+    if (this.state.globalCompositeOperation === 'destination-out') {
+      this.emitErase(d, mode, alpha);
+      return;
+    }
+
+    const attributes = [`d="${d}"`];
+    if (mode === 'fill') {
+      attributes.push(`fill="${escapeAttribute(paint.color)}"`);
+      if (alpha < 1) attributes.push(`fill-opacity="${round(alpha * 1000) / 1000}"`);
+    } else {
+      attributes.push('fill="none"');
+      attributes.push(`stroke="${escapeAttribute(paint.color)}"`);
+      attributes.push(`stroke-width="${round(this.state.lineWidth)}"`);
+      if (alpha < 1) attributes.push(`stroke-opacity="${round(alpha * 1000) / 1000}"`);
+      if (this.state.lineCap !== 'butt') attributes.push(`stroke-linecap="${this.state.lineCap}"`);
+      if (this.state.lineJoin !== 'miter') attributes.push(`stroke-linejoin="${this.state.lineJoin}"`);
+      if (this.state.lineDash.length > 0) {
+        attributes.push(`stroke-dasharray="${this.state.lineDash.map(round).join(' ')}"`);
+      }
+    }
+
+    this.pushElement('path', attributes);
+  }
+
+  fillText(text, x, y) {
+    this.emitText('fill', text, x, y);
+  }
+
+  strokeText(text, x, y) {
+    this.emitText('stroke', text, x, y);
+  }
+
+  /**
+   * Turn a line of text into a <text> element using the active state
+   * @param {string} mode - 'fill' or 'stroke'
+   * @param {string} text - Text to draw
+   * @param {number} x - Anchor x
+   * @param {number} y - Anchor y
+   */
+  emitText(mode, text, x, y) {
+    if (text === undefined || text === null || String(text) === '') return;
+    if (!this.currentGroup) {
+      this.beginGroup(`group-${this.groups.length}`);
+    }
+
+    const font = parseFont(this.state.font);
+    const paint = toSvgPaint(mode === 'fill' ? this.state.fillStyle : this.state.strokeStyle);
+    const alpha = paint.alpha * this.state.globalAlpha;
+
+    const attributes = [
+      `x="${round(x)}"`,
+      `y="${round(y)}"`,
+      `font-family="${escapeAttribute(font.family)}"`,
+      `font-size="${round(font.size)}"`
+    ];
+    if (font.weight !== 'normal') attributes.push(`font-weight="${font.weight}"`);
+    if (font.style !== 'normal') attributes.push(`font-style="${font.style}"`);
+    if (TEXT_ANCHORS[this.state.textAlign]) attributes.push(`text-anchor="${TEXT_ANCHORS[this.state.textAlign]}"`);
+    if (DOMINANT_BASELINES[this.state.textBaseline]) {
+      attributes.push(`dominant-baseline="${DOMINANT_BASELINES[this.state.textBaseline]}"`);
+    }
+    const letterSpacing = parseFloat(this.state.letterSpacing) || 0;
+    if (letterSpacing !== 0) attributes.push(`letter-spacing="${round(letterSpacing)}"`);
+
+    if (mode === 'fill') {
+      attributes.push(`fill="${escapeAttribute(paint.color)}"`);
+      if (alpha < 1) attributes.push(`fill-opacity="${round(alpha * 1000) / 1000}"`);
+    } else {
+      attributes.push('fill="none"');
+      attributes.push(`stroke="${escapeAttribute(paint.color)}"`);
+      attributes.push(`stroke-width="${round(this.state.lineWidth)}"`);
+      if (alpha < 1) attributes.push(`stroke-opacity="${round(alpha * 1000) / 1000}"`);
+      if (this.state.lineJoin !== 'miter') attributes.push(`stroke-linejoin="${this.state.lineJoin}"`);
+    }
+
+    this.pushElement('text', attributes, escapeText(text));
+  }
+
+  /**
+   * Add an element to the current group with the active transform and clip
+   * @param {string} tag - Element name
+   * @param {Array} attributes - Serialized attributes
+   * @param {string} content - Escaped element content (self-closing when omitted)
+   */
+  pushElement(tag, attributes, content = null) {
+    const transform = this.transformAttribute();
+    if (transform) attributes.push(transform.trim());
+
+    // A clip on a transformed element would be transformed with it, so clip a wrapper instead
+    const clip = this.state.clipId ? `clip-path="url(#${this.state.clipId})"` : null;
+    if (clip && !transform) attributes.push(clip);
+
+    let element = content === null
+      ? `<${tag} ${attributes.join(' ')}/>`
+      : `<${tag} ${attributes.join(' ')}>${content}</${tag}>`;
+    if (clip && transform) {
+      element = `<g ${clip}>${element}</g>`;
+    }
+
+    this.currentGroup.children.push(element);
+    this.pendingMask = null;
+  }
+
+  /**
+   * Serialize the current transform
+   * @returns {string} Leading-space transform attribute, or '' for the identity
+   */
+  transformAttribute() {
+    const { transform } = this.state;
+    if (isIdentity(transform)) return '';
+    const [a, b, c, d] = transform.map(value => Math.round(value * 10000) / 10000);
+    return ` transform="matrix(${a} ${b} ${c} ${d} ${round(transform[4])} ${round(transform[5])})"`;
+  }
+
+  /**
+   * Emulate destination-out: everything drawn so far (in every layer group)
+   * is wrapped in a luminance mask that has the erased shape cut out of it.
+   * Consecutive erase operations share a single mask.
+   */
+  emitErase(d, mode, alpha) {
+    const transform = this.transformAttribute();
+    const shape = mode === 'fill'
+      ? `<path d="${d}" fill="black" fill-opacity="${round(alpha * 1000) / 1000}"${transform}/>`
+      : `<path d="${d}" fill="none" stroke="black" stroke-opacity="${round(alpha * 1000) / 1000}" stroke-width="${round(this.state.lineWidth)}"${transform}/>`;
+
+    if (this.pendingMask) {
+      this.pendingMask.shapes.push(shape);
+      return;
+    }
+
+    const id = `mask-${this.nextId++}`;
+    const mask = { id, shapes: [shape] };
+    this.defs.push(mask);
+    this.pendingMask = mask;
+
+    this.groups.forEach(group => {
+      if (group.children.length === 0) return;
+      group.children = [`<g mask="url(#${id})">${group.children.join('')}</g>`];
+    });
+  }
+
+  /**
+   * Serialize the document
+   * @param {string} background - Background color (never masked)
+   * @returns {string} SVG markup
+   */
+  toString(background) {
+    const { width, height } = this;
+    const defs = this.defs.map(def => {
+      if (typeof def === 'string') return def;
+      return `<mask id="${def.id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+        `<rect x="0" y="0" width="${width}" height="${height}" fill="white"/>${def.shapes.join('')}</mask>`;
+    });
+
+    const bg = toSvgPaint(background);
+    const backgroundRect = background
+      ? `<rect id="background" x="0" y="0" width="${width}" height="${height}" fill="${escapeAttribute(bg.color)}"${bg.alpha < 1 ? ` fill-opacity="${bg.alpha}"` : ''}/>`
+      : '';
+
+    const groups = this.groups.map(group => {
+      const opacity = group.opacity < 1 ? ` opacity="${round(group.opacity * 1000) / 1000}"` : '';
+      // CSS names the canvas's source-over "normal"; the other modes share their names
+      const blend = group.blendMode && group.blendMode !== 'source-over' ? ` style="mix-blend-mode:${group.blendMode}"` : '';
+      return `<g id="layer-${escapeAttribute(group.name)}"${opacity}${blend}>${group.children.join('')}</g>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      defs.length ? `<defs>${defs.join('')}</defs>` : '',
+      backgroundRect,
+      ...groups,
+      '</svg>'
+    ].filter(Boolean).join('\n');
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Cluster handles - Editing overlay for the clusters of the figure on screen
+ * Each cluster gets its ring (drag to resize) and a centre mark (drag inside to move);
+ * the one under the pointer or being dragged is drawn stronger. Not part of the figure,
+ * so it's drawn straight onto the screen canvas after the layers.
+ */
+
+const HANDLE_COLOR = '37, 99, 235';
+
+/**
+ * Draw the handles of every cluster
+ * @param {CanvasRenderingContext2D} ctx - Context of the screen canvas
+ * @param {Array} clusters - Clusters { id, x, y, radius }
+ * @param {Object} options - Options
+ * @param {Object} options.hover - Handle under the pointer ({ cluster, handle }), or null
+ * @param {boolean} options.dragging - Whether the hovered handle is being dragged
+ */
+export const drawClusterHandles = (ctx, clusters, { hover = null, dragging = false } = {}) => {
+  ctx.save();
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+
+  clusters.forEach(cluster => {
+    const active = hover && hover.cluster.id === cluster.id;
+    const ringActive = active && hover.handle === 'ring';
+
+    // Ring
+    ctx.beginPath();
+    ctx.arc(cluster.x, cluster.y, cluster.radius, 0, Math.PI * 2);
+    ctx.setLineDash(ringActive ? [] : [6, 4]);
+    ctx.lineWidth = ringActive ? 2 : 1;
+    ctx.strokeStyle = `rgba(${HANDLE_COLOR}, ${active ? 0.9 : 0.5})`;
+    ctx.stroke();
+
+    // Centre
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(cluster.x, cluster.y, active && dragging && !ringActive ? 6 : 4, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${HANDLE_COLOR}, ${active ? 1 : 0.7})`;
+    ctx.fill();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.stroke();
+  });
+
+  ctx.restore();
+};
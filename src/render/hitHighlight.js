@@ -0,0 +1,49 @@
+/**
+ * Hit highlight - Outline of an element found by LayerManager.hitTest
+ * Marks the hovered or selected element of the figure on screen. Not part of the figure,
+ * so it's drawn straight onto the screen canvas after the layers, projected onto the
+ * element's layer plane in 3D.
+ */
+
+const HIGHLIGHT_COLOR = '37, 99, 235';
+
+/**
+ * Draw the outline of a hit
+ * @param {CanvasRenderingContext2D} ctx - Context of the screen canvas
+ * @param {Object} hit - Result of LayerManager.hitTest ({ shape, z })
+ * @param {Object} params - Rendering parameters ({ transform3D, time, is3D })
+ * @param {Object} options - Options
+ * @param {boolean} options.selected - Selected (solid, stronger) rather than hovered
+ */
+export const drawHitHighlight = (ctx, hit, { transform3D, time = 0, is3D = false }, { selected = false } = {}) => {
+  const { shape, z } = hit;
+  const project = (x, y) => (transform3D ? transform3D.transform(x, y, z, time, is3D) : { x, y, scale: 1 });
+
+  ctx.save();
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.setLineDash(selected ? [] : [4, 3]);
+  ctx.lineWidth = selected ? 2 : 1.5;
+  ctx.strokeStyle = `rgba(${HIGHLIGHT_COLOR}, ${selected ? 0.95 : 0.75})`;
+  ctx.beginPath();
+
+  if (shape.kind === 'circle') {
+    const centre = project(shape.x, shape.y);
+    const scale = transform3D ? transform3D.getScale(z, time, is3D) : 1;
+    // A little outside the element, so the outline doesn't hide it
+    ctx.arc(centre.x, centre.y, shape.radius * scale + 3, 0, Math.PI * 2);
+  } else {
+    shape.points.forEach((point, i) => {
+      const { x, y } = project(point.x, point.y);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    if (shape.closed) ctx.closePath();
+  }
+
+  ctx.stroke();
+  ctx.restore();
+};
@@ -1,8 +1,19 @@
 /**
  * Cluster system for managing composition areas and visual interest points
- * Creates 2-3 areas of high activity that drive the overall composition
+ * Creates 2-3 areas of high activity that drive the overall composition,
+ * or one cluster per concept when a concept graph is loaded
  */
 
+import { layoutConceptGraph } from '../utils/conceptGraph.js';
+
+// Edited clusters travel in edition codes, which keep whole pixels and two decimals of intensity
+const roundCluster = (cluster) => Object.assign(cluster, {
+  x: Math.round(cluster.x),
+  y: Math.round(cluster.y),
+  radius: Math.round(cluster.radius),
+  intensity: Math.round(cluster.intensity * 100) / 100
+});
+
 export class ClusterSystem {
   constructor(width, height, padding = 80) {
     this.width = width;
@@ -11,6 +22,8 @@ export class ClusterSystem {
     this.compositionWidth = width - (padding * 2);
     this.compositionHeight = height - (padding * 2);
     this.clusters = [];
+    this.edges = null; // Concept graph edges between cluster indexes (null when clusters are random)
+    this.edited = false; // Clusters were moved, added or removed by hand since they were generated
   }
 
   updateDimensions(width, height) {
@@ -28,7 +41,116 @@ export class ClusterSystem {
    */
   generateClusters(random, count = 3, gridSize = 64) {
     this.clusters = [];
+    this.edges = null;
+    this.edited = false;
+    const gridPoints = this.getGridPoints(gridSize);
+    
+    // Select random grid points for clusters
+    const selectedPoints = [];
+    for (let i = 0; i < count && gridPoints.length > 0; i++) {
+      const randomIndex = Math.floor(random.random() * gridPoints.length);
+      const point = gridPoints.splice(randomIndex, 1)[0]; // Remove to avoid duplicates
+      selectedPoints.push(point);
+    }
+    
+    for (let i = 0; i < selectedPoints.length; i++) {
+      const point = selectedPoints[i];
+      const cluster = {
+        id: i,
+        x: point.x,
+        y: point.y,
+        radius: 80 + random.random() * 120,
+        intensity: 0.6 + random.random() * 0.4,
+        type: random.randomInt(0, 2), // 0: dense, 1: sparse, 2: flowing
+        color: random.randomInt(0, 3) // For future color theming
+      };
+      
+      this.clusters.push(cluster);
+    }
     
+    return this.clusters;
+  }
+
+  /**
+   * Generate one cluster per concept of a graph
+   * Concepts are placed by a force-directed layout and snapped to free grid points, heaviest
+   * first; weight drives radius and intensity over the same ranges as random clusters.
+   * Concepts that find no free grid point are left out, with their edges.
+   * @param {Object} graph - Graph from parseConceptGraph
+   * @param {SeededRandom} random - Random number generator
+   * @param {number} gridSize - Grid spacing to snap to
+   * @returns {Array} Array of cluster objects (edges are kept in this.edges)
+   */
+  generateClustersFromGraph(graph, random, gridSize = 64) {
+    this.clusters = [];
+    this.edited = false;
+    const gridPoints = this.getGridPoints(gridSize);
+
+    const positions = layoutConceptGraph(graph, random, {
+      aspect: this.compositionWidth / Math.max(1, this.compositionHeight)
+    });
+
+    // Keep concepts off the very edge of the composition
+    const inset = 0.1;
+    const left = this.width / 2 - this.compositionWidth / 2;
+    const top = this.height / 2 - this.compositionHeight / 2;
+
+    const weights = graph.nodes.map(node => node.weight);
+    const minWeight = Math.min(...weights);
+    const maxWeight = Math.max(...weights);
+
+    const order = graph.nodes.map((node, i) => i).sort((a, b) => weights[b] - weights[a]);
+    const clusterIndex = new Map();
+
+    order.forEach(i => {
+      if (gridPoints.length === 0) return;
+
+      const node = graph.nodes[i];
+      const targetX = left + (inset + positions[i].x * (1 - inset * 2)) * this.compositionWidth;
+      const targetY = top + (inset + positions[i].y * (1 - inset * 2)) * this.compositionHeight;
+
+      let nearest = 0;
+      gridPoints.forEach((point, p) => {
+        if (Math.hypot(point.x - targetX, point.y - targetY) < Math.hypot(gridPoints[nearest].x - targetX, gridPoints[nearest].y - targetY)) {
+          nearest = p;
+        }
+      });
+      const point = gridPoints.splice(nearest, 1)[0];
+
+      const strength = maxWeight > minWeight ? (node.weight - minWeight) / (maxWeight - minWeight) : 0.5;
+      clusterIndex.set(node.id, this.clusters.length);
+      this.clusters.push({
+        id: this.clusters.length,
+        x: point.x,
+        y: point.y,
+        radius: 80 + strength * 120,
+        intensity: 0.6 + strength * 0.4,
+        type: random.randomInt(0, 2),
+        color: random.randomInt(0, 3),
+        concept: node.id,
+        label: node.label,
+        weight: node.weight
+      });
+    });
+
+    this.edges = graph.edges
+      .filter(edge => clusterIndex.has(edge.source) && clusterIndex.has(edge.target))
+      .map(edge => ({
+        source: clusterIndex.get(edge.source),
+        target: clusterIndex.get(edge.target),
+        type: edge.type,
+        weight: edge.weight
+      }));
+
+    return this.clusters;
+  }
+
+  /**
+   * Grid intersections inside the composition area
+   * @param {number} gridSize - Grid spacing
+   * @returns {Array} Points { x, y }
+   */
+  getGridPoints(gridSize = 64) {
     // Calculate grid bounds
     const centerX = this.width / 2;
     const centerY = this.height / 2;
@@ -55,30 +177,7 @@ export class ClusterSystem {
       }
     }
     
-    // Select random grid points for clusters
-    const selectedPoints = [];
-    for (let i = 0; i < count && gridPoints.length > 0; i++) {
-      const randomIndex = Math.floor(random.random() * gridPoints.length);
-      const point = gridPoints.splice(randomIndex, 1)[0]; // Remove to avoid duplicates
-      selectedPoints.push(point);
-    }
-    
-    for (let i = 0; i < selectedPoints.length; i++) {
-      const point = selectedPoints[i];
-      const cluster = {
-        id: i,
-        x: point.x,
-        y: point.y,
-        radius: 80 + random.random() * 120,
-        intensity: 0.6 + random.random() * 0.4,
-        type: random.randomInt(0, 2), // 0: dense, 1: sparse, 2: flowing
-        color: random.randomInt(0, 3) // For future color theming
-      };
-      
-      this.clusters.push(cluster);
-    }
-    
-    return this.clusters;
+    return gridPoints;
   }
 
   /**
@@ -105,7 +204,7 @@ export class ClusterSystem {
     const clampedY = Math.max(this.padding, Math.min(this.height - this.padding, y));
     
     const newCluster = {
-      id: this.clusters.length,
+      id: this.clusters.reduce((max, cluster) => Math.max(max, cluster.id + 1), 0),
       x: clampedX,
       y: clampedY,
       radius: 80 + random.random() * 120,
@@ -115,15 +214,27 @@ export class ClusterSystem {
     };
     
     this.clusters.push(newCluster);
+    this.markEdited();
     return newCluster;
   }
 
   /**
    * Remove cluster by ID
+   * Concept graph edges to it go too; the others follow the clusters after it down one index
    * @param {number} clusterId - ID of cluster to remove
    */
   removeCluster(clusterId) {
-    this.clusters = this.clusters.filter(cluster => cluster.id !== clusterId);
+    const index = this.clusters.findIndex(cluster => cluster.id === clusterId);
+    if (index < 0) return;
+
+    this.clusters.splice(index, 1);
+    if (this.edges) {
+      const shift = (i) => (i > index ? i - 1 : i);
+      this.edges = this.edges
+        .filter(edge => edge.source !== index && edge.target !== index)
+        .map(edge => ({ ...edge, source: shift(edge.source), target: shift(edge.target) }));
+    }
+    this.markEdited();
   }
 
   /**
@@ -165,6 +276,37 @@ export class ClusterSystem {
     return null;
   }
 
+  /**
+   * Find the editing handle of a cluster under a point: its ring (resizes it) or its
+   * inside (moves it). Rings win, so a ring can be grabbed where clusters overlap
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} tolerance - How far from a ring still counts as on it
+   * @returns {Object|null} { cluster, handle: 'ring' | 'center' } or null
+   */
+  getHandleAtPoint(x, y, tolerance = 8) {
+    let ring = null;
+    let ringDistance = tolerance;
+    let inside = null;
+    let insideDistance = Infinity;
+
+    this.clusters.forEach(cluster => {
+      const distance = Math.hypot(x - cluster.x, y - cluster.y);
+      const fromRing = Math.abs(distance - cluster.radius);
+      if (fromRing <= ringDistance) {
+        ring = cluster;
+        ringDistance = fromRing;
+      }
+      if (distance < cluster.radius && distance < insideDistance) {
+        inside = cluster;
+        insideDistance = distance;
+      }
+    });
+
+    if (ring) return { cluster: ring, handle: 'ring' };
+    return inside ? { cluster: inside, handle: 'center' } : null;
+  }
+
   /**
    * Get all clusters within a certain distance of a point
    * @param {number} x - X coordinate
@@ -188,9 +330,30 @@ export class ClusterSystem {
     const cluster = this.clusters.find(c => c.id === clusterId);
     if (cluster) {
       Object.assign(cluster, updates);
+      this.markEdited();
     }
   }
 
+  /**
+   * Replace the clusters with ones placed by hand (from an edition code, say)
+   * @param {Array} clusters - Clusters { x, y, radius, intensity, type, color }
+   * @returns {Array} The clusters, numbered in order
+   */
+  setClusters(clusters) {
+    this.clusters = clusters.map((cluster, i) => roundCluster({ ...cluster, id: i }));
+    this.edges = null;
+    this.edited = true;
+    return this.clusters;
+  }
+
+  /**
+   * Mark the clusters as edited by hand, rounding them as edition codes store them
+   */
+  markEdited() {
+    this.clusters.forEach(roundCluster);
+    this.edited = true;
+  }
+
   /**
    * Check if clusters are in safe zone
    * @param {Object} cluster - Cluster to check
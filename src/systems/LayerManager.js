@@ -14,20 +14,59 @@ import { ArcLayer } from '../layers/ArcLayer.js';
 import { TownPlotsLayer } from '../layers/TownPlotsLayer.js';
 import { PanelLayer } from '../layers/PanelLayer.js';
 import { ParticleBurstLayer } from '../layers/ParticleBurstLayer.js';
+import { LabelLayer } from '../layers/LabelLayer.js';
+import { MapFurnitureLayer } from '../layers/MapFurnitureLayer.js';
+import { BaseLayer, PARAMETER_TYPES } from '../layers/BaseLayer.js';
+import { CanvasSurface } from '../render/CanvasSurface.js';
+import { LayerCanvasSurface } from '../render/LayerCanvasSurface.js';
+import { SimplexNoise } from '../utils/noise.js';
+
+// Distance in screen pixels within which small and thin elements count as under the pointer
+const HIT_TOLERANCE = 6;
+
+// Where an element sits in its layer's data ({ nodes: [...] }, say): [list name, index]
+const findElementPath = (layerData, element) => {
+  for (const [name, value] of Object.entries(layerData || {})) {
+    const index = Array.isArray(value) ? value.indexOf(element) : -1;
+    if (index >= 0) return [name, index];
+  }
+  return null;
+};
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
 
 export class LayerManager {
   constructor() {
     this.layers = new Map();
     this.layerOrder = [];
     this.generatedData = new Map();
+    this.renderParams = null;
+    this.backgroundColor = 'rgba(250, 248, 245, 1)';
+    this.noiseField = null; // Simplex noise for the current seed (null in legacy mode)
     this.lastRenderTime = 0;
+    this.listeners = new Set(); // Called when layers are registered or unregistered
+    this.builtInLayers = new Set(); // Layers a scene worker can recreate (see getGenerationSettings)
+    this.elementEdits = []; // Fields of generated elements changed by hand (see editElement)
+
+    // On-screen frames are composited from a cached canvas per layer (see compositeLayers)
+    this.cacheLayers = true;
+    this.layerCache = new Map();
+    this.layerStats = new Map(); // Render time and cache hits by layer
     
     this.initializeLayers();
   }
 
   initializeLayers() {
-    // Create all layer instances
-    const layerInstances = [
+    // Built-in layers; plugins add their own with registerLayer
+    [
       new GridLayer(),
       new PanelLayer(),
       new ArcLayer(),
@@ -38,74 +77,332 @@ export class LayerManager {
       new OrganicLayer(),
       new FlowLayer(),
       new ShadingLayer(),
-      new CoreLayer()
-    ];
+      new CoreLayer(),
+      new LabelLayer(),
+      new MapFurnitureLayer()
+    ].forEach(layer => {
+      this.registerLayer(layer);
+      this.builtInLayers.add(layer);
+    });
+  }
+
+  /**
+   * Whether every registered layer is a built-in one; plugin layers only exist on the
+   * main thread, so a worker can't generate their data
+   * @returns {boolean}
+   */
+  hasOnlyBuiltInLayers() {
+    return Array.from(this.layers.values()).every(layer => this.builtInLayers.has(layer));
+  }
+
+  /**
+   * Everything about the layers that generation depends on, as plain JSON, so that another
+   * LayerManager (in a worker) can generate the same data (see applyGenerationSettings)
+   * @returns {Object} { layerOrder, layers: { name: settings } }
+   */
+  getGenerationSettings() {
+    const layers = {};
+    this.layers.forEach((layer, name) => {
+      layers[name] = JSON.parse(layer.getSettingsKey());
+    });
+    return { layerOrder: [...this.layerOrder], layers };
+  }
+
+  /**
+   * Take over the layers and settings of another LayerManager
+   * @param {Object} settings - Settings from getGenerationSettings
+   */
+  applyGenerationSettings({ layerOrder, layers }) {
+    Array.from(this.layers.keys())
+      .filter(name => !(name in layers))
+      .forEach(name => this.unregisterLayer(name));
 
-    // Register layers and sort by Z-index
-    layerInstances.forEach(layer => {
-      this.layers.set(layer.name, layer);
+    Object.entries(layers).forEach(([name, settings]) => {
+      const layer = this.layers.get(name);
+      if (!layer) return;
+      Object.entries(settings).forEach(([key, value]) => {
+        if (typeof layer[key] !== 'function') {
+          layer[key] = value;
+        }
+      });
     });
 
-    // Create ordered list sorted by Z-index (low to high)
-    this.layerOrder = layerInstances
+    this.setLayerOrder(layerOrder);
+  }
+
+  /**
+   * Add a layer at runtime
+   * It joins the draw order at its Z-index (after layers with the same Z-index), and the
+   * cached data is dropped so the next render generates the figure with it
+   * @param {BaseLayer} layer - Layer instance; its parameters must name properties it has
+   * @returns {BaseLayer} The registered layer
+   */
+  registerLayer(layer) {
+    if (!(layer instanceof BaseLayer)) {
+      throw new Error('Layers must extend BaseLayer');
+    }
+    if (this.layers.has(layer.name)) {
+      throw new Error(`A layer named ${layer.name} is already registered`);
+    }
+    layer.parameters.forEach(({ name, type }) => {
+      if (!PARAMETER_TYPES.includes(type)) {
+        throw new Error(`Parameter ${name} of layer ${layer.name} has unknown type ${type}`);
+      }
+      if (layer[name] === undefined) {
+        throw new Error(`Layer ${layer.name} has no property ${name} for its parameter`);
+      }
+    });
+
+    this.layers.set(layer.name, layer);
+    const index = this.layerOrder.findIndex(name => this.layers.get(name).zIndex > layer.zIndex);
+    this.layerOrder.splice(index < 0 ? this.layerOrder.length : index, 0, layer.name);
+
+    this.generatedData = new Map();
+    this.notifyLayersChanged();
+    return layer;
+  }
+
+  /**
+   * Remove a layer
+   * @param {string} layerName - Name of layer
+   * @returns {boolean} Whether the layer was registered
+   */
+  unregisterLayer(layerName) {
+    if (!this.layers.delete(layerName)) return false;
+    this.layerOrder = this.layerOrder.filter(name => name !== layerName);
+    this.layerCache.delete(layerName);
+    this.layerStats.delete(layerName);
+
+    this.generatedData = new Map();
+    this.notifyLayersChanged();
+    return true;
+  }
+
+  /**
+   * Listen for layers being registered or unregistered
+   * @param {Function} listener - Called with the layer manager
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyLayersChanged() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Layer names by Z-index, the draw order before anyone reorders it
+   * @returns {Array} Layer names (layers with the same Z-index in registration order)
+   */
+  getDefaultLayerOrder() {
+    return Array.from(this.layers.values())
       .sort((a, b) => a.zIndex - b.zIndex)
       .map(layer => layer.name);
   }
 
   /**
-   * Generate data for all layers (maintains random sequence)
+   * Whether each layer is switched on in a fresh composition
+   * @returns {Object} Object with layer names as keys and default enabled states as values
+   */
+  getDefaultLayerStates() {
+    const states = {};
+    this.getDefaultLayerOrder().forEach(layerName => {
+      states[layerName] = this.layers.get(layerName).enabledByDefault;
+    });
+    return states;
+  }
+
+  /**
+   * Work out which layer provides each value a layer requires, and an order to generate
+   * the layers in so that every provider comes before the layers that read it
+   * Ties go to the lower Z-index, so the order doesn't follow the draw order the user picks
+   * @returns {Object} { order, missing: [{ layer, name }], cycle: [layer names] }
+   */
+  resolveDependencies() {
+    const providers = new Map();
+    this.layers.forEach((layer, name) => {
+      providers.set(name, name);
+      layer.provides.forEach(value => providers.set(value, name));
+    });
+
+    const missing = [];
+    const dependencies = new Map();
+    this.layers.forEach((layer, name) => {
+      const sources = new Set();
+      layer.requires.forEach(value => {
+        if (!providers.has(value)) {
+          missing.push({ layer: name, name: value });
+        } else if (providers.get(value) !== name) {
+          sources.add(providers.get(value));
+        }
+      });
+      dependencies.set(name, sources);
+    });
+
+    const byZIndex = this.getDefaultLayerOrder();
+    const order = [];
+    const done = new Set();
+    let next = byZIndex.find(name => Array.from(dependencies.get(name)).every(source => done.has(source)));
+    while (next) {
+      order.push(next);
+      done.add(next);
+      next = byZIndex.find(name => !done.has(name) && Array.from(dependencies.get(name)).every(source => done.has(source)));
+    }
+
+    // Whatever is left waits on a cycle; it still gets generated, last
+    const cycle = byZIndex.filter(name => !done.has(name));
+    return { order: [...order, ...cycle], missing, cycle };
+  }
+
+  /**
+   * Order in which generateAllData runs the layers
+   * @param {boolean} legacy - Whether the figure uses the legacy random generator
+   * @returns {Array} Layer names
+   */
+  getGenerationOrder(legacy = false) {
+    if (legacy) {
+      // All layers share the legacy stream, so its editions only reproduce in the order
+      // they were drawn in: the grid, then the draw order
+      return ['grid', ...this.layerOrder.filter(name => name !== 'grid')].filter(name => this.layers.has(name));
+    }
+    return this.resolveDependencies().order;
+  }
+
+  /**
+   * Values the layers provide to each other (grid size, static lines...), from generated data
+   * @param {Map} allData - Generated data for all layers
+   * @returns {Object} Values by name, see BaseLayer.provides
+   */
+  getProvidedParams(allData) {
+    const provided = {};
+    this.layers.forEach((layer, name) => {
+      if (allData.has(name)) {
+        Object.assign(provided, layer.getProvidedData(allData.get(name)));
+      }
+    });
+    return provided;
+  }
+
+  /**
+   * Generate data for all layers
+   * Each layer draws from its own substream of params.random (see SeededRandom.fork)
+   * and gets a noise function built from its noise settings (see BaseLayer.createNoise).
+   * Layers run in dependency order (see getGenerationOrder); what a layer provides is
+   * added to params for the layers after it
    * @param {Object} params - Generation parameters
+   * @param {Function} onProgress - Called after each layer with its name, the number of
+   *   layers done and the number of layers
    * @returns {Map} Generated data for all layers
    */
-  generateAllData(params) {
+  generateAllData(params, onProgress = null) {
     const allData = new Map();
-    
-    // Generate grid data first and make it available to all other layers
-    const gridLayer = this.layers.get('grid');
-    if (gridLayer) {
-      const gridData = gridLayer.generateData(params);
-      allData.set('grid', gridData);
-      
-      // Add grid information to params for other layers to use
-      params.gridData = gridData;
-      params.gridSize = gridLayer.gridSize;
-    }
-    
-    // Generate data in order; inject dependencies for later layers
-    this.layerOrder.forEach(layerName => {
-      if (layerName === 'grid') return; // Already generated
-      
-      if (layerName === 'particles') {
-        const infra = allData.get('infrastructure');
-        params.staticLinesData = infra ? infra.staticLines : [];
-      }
-      
-      if (layerName === 'flow') {
-        const infra = allData.get('infrastructure');
-        params.infrastructureData = infra;
-      }
-      
+    const { random } = params;
+    const forkRandom = (layerName) => (random && typeof random.fork === 'function' ? random.fork(layerName) : random);
+    const legacy = Boolean(random && random.legacy);
+
+    this.noiseField = this.createNoiseField(random);
+
+    const order = this.getGenerationOrder(legacy);
+    order.forEach((layerName, index) => {
       const layer = this.layers.get(layerName);
-      // Pass allData to layers that need access to previously generated data
-      const layerParams = { ...params, allData };
-      const layerData = layer.generateData(layerParams);
+      const layerData = layer.generateData({
+        ...params,
+        allData,
+        random: forkRandom(layerName),
+        noise: layer.createNoise(this.noiseField, params.noise)
+      });
       allData.set(layerName, layerData);
+      Object.assign(params, layer.getProvidedData(layerData));
+      if (onProgress) onProgress(layerName, index + 1, order.length);
     });
+    this.applyElementEdits(allData);
 
     // Store for potential reuse
     this.generatedData = allData;
     return allData;
   }
 
+  /**
+   * Change a field of a generated element, now and whenever the data is generated again
+   * The element is remembered by its place in its layer's data, which a seed reproduces
+   * @param {string} layerName - Name of the element's layer
+   * @param {Object} element - Element of the generated data (a hit's element)
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   * @returns {boolean} Whether the element was found in the generated data
+   */
+  editElement(layerName, element, field, value) {
+    const path = findElementPath(this.generatedData.get(layerName), element);
+    if (!path) return false;
+
+    const samePlace = (edit) => edit.layer === layerName && edit.path[0] === path[0] && edit.path[1] === path[1] &&
+      edit.field === field;
+    this.elementEdits = [...this.elementEdits.filter(edit => !samePlace(edit)), { layer: layerName, path, field, value }];
+    element[field] = value;
+    this.clearLayerCache(layerName); // Its image was drawn from the old value
+    return true;
+  }
+
+  /**
+   * Replace the element edits (with an edition's, say); they apply from the next generation
+   * @param {Array} edits - Edits ({ layer, path, field, value })
+   */
+  setElementEdits(edits) {
+    this.elementEdits = edits;
+  }
+
+  /**
+   * Apply the element edits to generated data; edits of elements it doesn't have are skipped
+   * @param {Map} allData - Generated data for all layers
+   */
+  applyElementEdits(allData) {
+    this.elementEdits.forEach(({ layer, path: [list, index], field, value }) => {
+      const layerData = allData.get(layer);
+      const element = layerData && Array.isArray(layerData[list]) ? layerData[list][index] : null;
+      if (element && typeof element === 'object') {
+        element[field] = value;
+      }
+    });
+  }
+
+  /**
+   * Simplex noise shared by the layers for a seed
+   * Legacy editions keep the original value noise so their seeds still reproduce
+   * @param {SeededRandom} random - Generator of the figure
+   * @returns {SimplexNoise|null} Noise field (null in legacy mode)
+   */
+  createNoiseField(random) {
+    return random && typeof random.fork === 'function' && !random.legacy
+      ? new SimplexNoise(random.fork('noise'))
+      : null;
+  }
+
+  /**
+   * Use data generated elsewhere (in a worker) as if generateAllData had made it
+   * @param {Map} allData - Generated data for all layers
+   * @param {SeededRandom} random - Generator the data was made with
+   */
+  setGeneratedData(allData, random) {
+    this.noiseField = this.createNoiseField(random);
+    this.applyElementEdits(allData);
+    this.generatedData = allData;
+  }
+
   /**
    * Render all enabled layers
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {CanvasRenderingContext2D|DrawingSurface} ctx - Canvas context or drawing surface
    * @param {Object} params - Rendering parameters
    * @param {boolean} regenerateData - Whether to regenerate data or use cached data
+   * @param {boolean} useCache - Whether a canvas context may be drawn from the layer cache
+   *   (off for canvases other than the one on screen, which would only evict it)
    */
-  renderAll(ctx, params, regenerateData = true) {
+  renderAll(ctx, params, regenerateData = true, useCache = true) {
+    const surface = CanvasSurface.wrap(ctx);
+
     // Clear canvas
-    this.clearCanvas(ctx, params.width, params.height);
+    this.clearCanvas(surface, params.width, params.height);
     
     let allData;
     if (regenerateData || !this.generatedData.size) {
@@ -116,29 +413,224 @@ export class LayerManager {
       allData = this.generatedData;
     }
     
-    // Special case: Infrastructure layer generates static lines data needed by Core layer
-    const infrastructureData = allData.get('infrastructure');
-    params.staticLinesData = infrastructureData ? infrastructureData.staticLines : [];
-    
+    // Cached data was generated with other params; bring along what the layers provide
+    Object.assign(params, this.getProvidedParams(allData));
+
     // Make all generated data available to renderers (for cross-layer references)
     params.allData = allData;
 
-    // Render layers in Z-index order
+    // Keep the parameters around so exporters can replay the same frame
+    this.renderParams = params;
+
+    if (useCache && this.cacheLayers && surface instanceof CanvasSurface) {
+      this.compositeLayers(surface.ctx, allData, params);
+    } else {
+      this.drawLayers(surface, allData, params);
+    }
+
+    this.lastRenderTime = Date.now();
+  }
+
+  /**
+   * Generate and draw a scene of its own, or draw the cached data somewhere else (a print,
+   * say), without disturbing the cached data and parameters of the one on screen
+   * @param {CanvasRenderingContext2D|DrawingSurface} ctx - Canvas context or drawing surface
+   * @param {Object} params - Rendering parameters for the scene
+   * @param {boolean} regenerateData - Whether to generate the scene's own data or draw the cached data
+   */
+  renderDetached(ctx, params, regenerateData = true) {
+    const { generatedData, noiseField, renderParams, lastRenderTime } = this;
+    try {
+      this.renderAll(ctx, params, regenerateData, false);
+    } finally {
+      Object.assign(this, { generatedData, noiseField, renderParams, lastRenderTime });
+    }
+  }
+
+  /**
+   * Call back for each enabled layer that shows in the frame, in draw order
+   * @param {Map} allData - Generated data for all layers
+   * @param {Object} params - Rendering parameters (params.reveal: draw-on progress of the map, 0-1)
+   * @param {Function} callback - Called with the layer, its data and its reveal progress
+   */
+  forEachVisibleLayer(allData, params, callback) {
+    // The map legend lists the symbols of whatever is switched on
+    params.enabledLayers = this.layerOrder
+      .map(layerName => this.layers.get(layerName))
+      .filter(layer => layer.enabled);
+    const reveal = params.reveal !== undefined ? params.reveal : 1;
+
     this.layerOrder.forEach(layerName => {
       const layer = this.layers.get(layerName);
       const layerData = allData.get(layerName);
-      
-      if (layer.enabled && layerData) {
-        layer.render(ctx, layerData, params);
+      if (!layer.enabled || !layerData) return;
+
+      // During a draw-on reveal each layer gets its own progress, and waits for its stage
+      const progress = layer.getRevealProgress(reveal);
+      if (progress <= 0) return;
+
+      callback(layer, layerData, progress);
+    });
+  }
+
+  /**
+   * Draw enabled layers in Z-index order, one group per layer
+   * @param {DrawingSurface} surface - Drawing surface
+   * @param {Map} allData - Generated data for all layers
+   * @param {Object} params - Rendering parameters (params.reveal: draw-on progress of the map, 0-1)
+   * @param {Array} layerNames - Optional subset of layers to draw
+   */
+  drawLayers(surface, allData, params, layerNames = null) {
+    this.forEachVisibleLayer(allData, params, (layer, layerData, progress) => {
+      if (layerNames && !layerNames.includes(layer.name)) return;
+
+      const stats = this.getLayerStats(layer.name);
+      const start = performance.now();
+      this.drawLayer(surface, layer, layerData, params, progress);
+      stats.renderTime = performance.now() - start;
+      stats.renders++;
+    });
+  }
+
+  /**
+   * Draw one layer as a group
+   * @param {DrawingSurface} surface - Drawing surface
+   * @param {BaseLayer} layer - Layer
+   * @param {Object} layerData - Generated data for the layer
+   * @param {Object} params - Rendering parameters
+   * @param {number} progress - Reveal progress of the layer (0-1)
+   */
+  drawLayer(surface, layer, layerData, params, progress) {
+    layer.lineNoise = layer.createNoise(this.noiseField, null, 'simplex');
+
+    // Layers that can't draw themselves on fade in over their stage instead
+    const groupOpacity = layer.drawsProgressively ? layer.opacity : layer.opacity * progress;
+    const layerParams = { ...params, progress };
+
+    surface.beginGroup(layer.name, groupOpacity, layer.blendMode);
+    // A surface that applies opacity to the whole group doesn't want it baked into colors too
+    const opacity = layer.opacity;
+    layer.opacity = surface.composesGroupOpacity ? 1 : groupOpacity;
+    try {
+      layer.render(surface, layerData, layerParams);
+    } finally {
+      layer.opacity = opacity;
+    }
+    surface.endGroup();
+  }
+
+  /**
+   * Draw a frame from a canvas per layer, redrawing only the layers whose image changed
+   * A layer's canvas is kept until its data, settings, reveal progress or render key change
+   * (see BaseLayer.getRenderKey), or the camera or canvas size do. The frame is composited
+   * from the canvases in draw order, each with its layer's blend mode
+   * @param {CanvasRenderingContext2D} ctx - Context of the on-screen canvas
+   * @param {Map} allData - Generated data for all layers
+   * @param {Object} params - Rendering parameters
+   */
+  compositeLayers(ctx, allData, params) {
+    const { width, height } = ctx.canvas;
+    const transform = ctx.getTransform();
+    const { transform3D, is3D } = params;
+    const camera = is3D && transform3D
+      ? [transform3D.rotationX, transform3D.rotationY, transform3D.width, transform3D.height]
+      : null;
+    const frameKey = JSON.stringify([width, height, transform.a, transform.b, transform.c, transform.d, transform.e, transform.f, camera]);
+
+    this.forEachVisibleLayer(allData, params, (layer, layerData, progress) => {
+      const cache = this.getLayerCache(layer.name, width, height);
+      const stats = this.getLayerStats(layer.name);
+      const key = [frameKey, layer.getSettingsKey(), progress, layer.getRenderKey(params)].join('|');
+
+      if (cache.data === layerData && cache.key === key) {
+        stats.cacheHits++;
+      } else {
+        const { ctx: layerCtx } = cache;
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, width, height);
+        layerCtx.setTransform(transform);
+
+        // The mask is only made (or cleared) once the layer erases something
+        const surface = new LayerCanvasSurface(layerCtx, () => {
+          if (!cache.mask) {
+            cache.mask = createCanvas(width, height).getContext('2d');
+          } else {
+            cache.mask.setTransform(1, 0, 0, 1, 0, 0);
+            cache.mask.clearRect(0, 0, width, height);
+          }
+          return cache.mask;
+        });
+
+        const start = performance.now();
+        layerCtx.save();
+        try {
+          this.drawLayer(surface, layer, layerData, params, progress);
+        } finally {
+          layerCtx.restore();
+        }
+        stats.renderTime = performance.now() - start;
+        stats.renders++;
+
+        Object.assign(cache, { data: layerData, key, erased: surface.erased });
+      }
+
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1;
+      if (cache.erased) {
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.drawImage(cache.mask.canvas, 0, 0);
       }
+      ctx.globalCompositeOperation = layer.blendMode;
+      ctx.drawImage(cache.ctx.canvas, 0, 0);
+      ctx.restore();
     });
+  }
 
-    this.lastRenderTime = Date.now();
+  /**
+   * Cached canvas of a layer, sized to the frame (resizing clears it)
+   * @param {string} layerName - Name of layer
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @returns {Object} { ctx, mask, data, key, erased }
+   */
+  getLayerCache(layerName, width, height) {
+    let cache = this.layerCache.get(layerName);
+    if (!cache) {
+      cache = { ctx: createCanvas(width, height).getContext('2d'), mask: null, data: null, key: null, erased: false };
+      this.layerCache.set(layerName, cache);
+    } else if (cache.ctx.canvas.width !== width || cache.ctx.canvas.height !== height) {
+      cache.ctx.canvas.width = width;
+      cache.ctx.canvas.height = height;
+      cache.mask = null;
+      cache.key = null;
+    }
+    return cache;
+  }
+
+  /**
+   * Drop cached layer images, so they are redrawn on the next frame
+   * Only needed for changes the cache can't see, such as data edited in place
+   * @param {string} layerName - Name of layer (all layers when omitted)
+   */
+  clearLayerCache(layerName = null) {
+    if (layerName) {
+      this.layerCache.delete(layerName);
+    } else {
+      this.layerCache.clear();
+    }
+  }
+
+  getLayerStats(layerName) {
+    if (!this.layerStats.has(layerName)) {
+      this.layerStats.set(layerName, { renderTime: 0, renders: 0, cacheHits: 0 });
+    }
+    return this.layerStats.get(layerName);
   }
 
   /**
    * Render only specific layers (for optimization)
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {CanvasRenderingContext2D|DrawingSurface} ctx - Canvas context or drawing surface
    * @param {Array} layerNames - Names of layers to render
    * @param {Object} params - Rendering parameters
    */
@@ -147,29 +639,54 @@ export class LayerManager {
     const allData = this.generateAllData(params);
     
     // Render only specified layers in Z-index order
-    const orderedLayersToRender = this.layerOrder.filter(name => layerNames.includes(name));
-    
-    orderedLayersToRender.forEach(layerName => {
-      const layer = this.layers.get(layerName);
-      const layerData = allData.get(layerName);
-      
-      if (layer.enabled && layerData) {
-        layer.render(ctx, layerData, params);
-      }
-    });
+    this.drawLayers(CanvasSurface.wrap(ctx), allData, params, layerNames);
   }
 
   /**
    * Clear the canvas
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {DrawingSurface} ctx - Drawing surface
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
    */
   clearCanvas(ctx, width, height) {
-    ctx.fillStyle = 'rgba(250, 248, 245, 1)';
+    ctx.fillStyle = this.backgroundColor;
     ctx.fillRect(0, 0, width, height);
   }
 
+  /**
+   * Find the topmost element drawn at a point of the last frame
+   * Visible layers are asked from the top of the draw order down (see BaseLayer.hitTest);
+   * in 3D the point is traced back onto each layer's plane first
+   * @param {number} x - X coordinate on screen (in figure pixels)
+   * @param {number} y - Y coordinate on screen (in figure pixels)
+   * @returns {Object|null} { layer, type, element, shape, z } where z is the depth of the
+   *   layer's plane, for projecting the shape, or null if nothing is there
+   */
+  hitTest(x, y) {
+    const params = this.renderParams;
+    if (!params || !this.generatedData.size) return null;
+    const { transform3D, time = 0, is3D = false } = params;
+
+    const visible = [];
+    this.forEachVisibleLayer(this.generatedData, params, (layer, layerData) => {
+      if (layer.opacity > 0) visible.push([layer, layerData]);
+    });
+
+    for (let i = visible.length - 1; i >= 0; i--) {
+      const [layer, layerData] = visible[i];
+      const z = layer.zIndex;
+      const point = transform3D ? transform3D.untransform(x, y, z, time, is3D) : { x, y };
+      if (!point) continue;
+      const scale = transform3D ? transform3D.getScale(z, time, is3D) : 1;
+
+      const hit = layer.hitTest(layerData, point.x, point.y, HIT_TOLERANCE / scale);
+      if (hit) {
+        return { layer: layer.name, ...hit, z };
+      }
+    }
+    return null;
+  }
+
   /**
    * Toggle layer visibility
    * @param {string} layerName - Name of layer to toggle
@@ -208,6 +725,18 @@ export class LayerManager {
     }
   }
 
+  /**
+   * Set layer blend mode
+   * @param {string} layerName - Name of layer
+   * @param {string} blendMode - Key of BLEND_MODES
+   */
+  setLayerBlendMode(layerName, blendMode) {
+    const layer = this.layers.get(layerName);
+    if (layer) {
+      layer.setBlendMode(blendMode);
+    }
+  }
+
   /**
    * Get layer information
    * @param {string} layerName - Name of layer
@@ -241,20 +770,6 @@ export class LayerManager {
     return this.layers.get(layerName);
   }
 
-  /**
-   * Update layers that need animation
-   * @param {number} time - Current time
-   */
-  updateAnimatedLayers(time) {
-    // Update core layer animations
-    const coreLayer = this.layers.get('cores');
-    const coreData = this.generatedData.get('cores');
-    
-    if (coreLayer && coreData) {
-      coreLayer.updateCores(coreData, time);
-    }
-  }
-
   /**
    * Set layer states from configuration object
    * @param {Object} layerStates - Object with layer names as keys and enabled states as values
@@ -270,7 +785,10 @@ export class LayerManager {
    * @param {Array} order - Array of layer names in rendering order
    */
   setLayerOrder(order) {
-    this.layerOrder = order;
+    // Skip names that aren't registered (any more) and keep layers the order leaves out
+    const known = order.filter(name => this.layers.has(name));
+    const missing = this.getDefaultLayerOrder().filter(name => !known.includes(name));
+    this.layerOrder = [...known, ...missing];
   }
 
   /**
@@ -291,8 +809,9 @@ export class LayerManager {
    */
   resetToDefaults() {
     this.layers.forEach(layer => {
-      layer.setEnabled(true);
+      layer.setEnabled(layer.enabledByDefault);
       layer.setOpacity(1.0);
+      layer.setBlendMode('source-over');
     });
   }
 
@@ -302,13 +821,27 @@ export class LayerManager {
    */
   getRenderStats() {
     const enabledLayers = Array.from(this.layers.values()).filter(layer => layer.enabled);
+
+    // Time of each layer's last draw (onto the screen or its cached canvas), in milliseconds,
+    // and how often it was drawn and reused from the cache since the page loaded
+    const layerStats = {};
+    this.layerOrder.forEach(layerName => {
+      layerStats[layerName] = { ...this.getLayerStats(layerName) };
+    });
+    const totals = Object.values(layerStats).reduce(
+      (sum, stats) => ({ renders: sum.renders + stats.renders, cacheHits: sum.cacheHits + stats.cacheHits }),
+      { renders: 0, cacheHits: 0 }
+    );
     
     return {
       totalLayers: this.layers.size,
       enabledLayers: enabledLayers.length,
       layerNames: this.layerOrder,
       lastRenderTime: this.lastRenderTime,
-      layerStates: this.getLayerStates()
+      layerStates: this.getLayerStates(),
+      layerStats,
+      cacheHits: totals.cacheHits,
+      cacheHitRate: totals.renders + totals.cacheHits > 0 ? totals.cacheHits / (totals.renders + totals.cacheHits) : 0
     };
   }
 
@@ -323,6 +856,8 @@ export class LayerManager {
       exportData[layerName] = {
         enabled: this.layers.get(layerName).enabled,
         zIndex: this.layers.get(layerName).zIndex,
+        opacity: this.layers.get(layerName).opacity,
+        blendMode: this.layers.get(layerName).blendMode,
         data: data
       };
     });
@@ -356,6 +891,15 @@ export class LayerManager {
         errors.push(`Layer order inconsistency: ${this.layerOrder[i - 1]} (z:${prevLayer.zIndex}) should come after ${this.layerOrder[i]} (z:${currLayer.zIndex})`);
       }
     }
+
+    // Check data dependencies
+    const { missing, cycle } = this.resolveDependencies();
+    missing.forEach(({ layer, name }) => {
+      errors.push(`Missing provider: ${layer} requires ${name}, which no layer provides`);
+    });
+    if (cycle.length > 0) {
+      errors.push(`Dependency cycle: ${cycle.join(', ')} wait on each other (or on layers that do)`);
+    }
     
     return errors;
   }
@@ -0,0 +1,158 @@
+/**
+ * Scene Generator - Generates the layer data of the figure on screen in a Web Worker
+ * so the page stays responsive while the slow layers (flow intersections, grid dots) run.
+ * Only the latest request counts: a new one stops the worker on the old one. The data is
+ * handed to the LayerManager when it arrives, unless the cached data was cleared meanwhile
+ * (a setting changed), in which case it is out of date and dropped.
+ */
+
+import { SeededRandom } from '../utils/random.js';
+
+// Generation parameters the built-in layers read; the rest (time, 3D, reveal) only affect drawing
+const GENERATION_PARAMS = ['width', 'height', 'padding', 'clusters', 'graphEdges'];
+
+export class SceneGenerator {
+  /**
+   * @param {LayerManager} layerManager - Layer manager of the figure on screen
+   */
+  constructor(layerManager) {
+    this.layerManager = layerManager;
+    this.worker = null;
+    this.failed = false; // The worker couldn't start or crashed; generate on the main thread
+    this.requestId = 0;
+    this.pending = null; // { id, resolve, reject, onProgress, random, baseline }
+    this.latest = Promise.resolve(); // Settles with the latest request, whatever its outcome
+  }
+
+  /**
+   * Whether generation can run in a worker: the browser has workers and every layer is a
+   * built-in one (see LayerManager.hasOnlyBuiltInLayers)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !this.failed && typeof Worker !== 'undefined' && this.layerManager.hasOnlyBuiltInLayers();
+  }
+
+  /**
+   * Whether a request is waiting for its data
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Wait for the data the current settings produce: until the latest request has finished,
+   * following any newer request that replaces it. Handlers the caller of generate attached
+   * (such as drawing the data) have run by then.
+   * @returns {Promise} Resolves once no request is pending
+   */
+  whenIdle() {
+    if (!this.pending) return Promise.resolve();
+    return this.latest.then(() => this.whenIdle());
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./sceneWorker.js', import.meta.url));
+      this.worker.onmessage = ({ data }) => this.handleMessage(data);
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.failed = true;
+        this.finish(null, new Error(event.message || 'Scene worker failed'));
+      };
+    }
+    return this.worker;
+  }
+
+  /**
+   * Generate data for all layers, as LayerManager.generateAllData does
+   * @param {Object} params - Generation parameters (as for generateAllData)
+   * @param {Function} onProgress - Called with the name of the layer just generated, the
+   *   number of layers done and the number of layers
+   * @returns {Promise<Map|null>} Generated data, already set on the LayerManager, or null if a
+   *   newer request replaced this one or the data went out of date
+   */
+  generate(params, onProgress = null) {
+    if (this.pending) {
+      // The worker is still on the previous request; stop it rather than wait
+      this.cancel();
+    }
+
+    const id = ++this.requestId;
+    const snapshot = params.random.getSnapshot();
+    const generationParams = {};
+    GENERATION_PARAMS.forEach(name => {
+      generationParams[name] = params[name];
+    });
+
+    const request = new Promise((resolve, reject) => {
+      this.pending = {
+        id,
+        resolve,
+        reject,
+        onProgress,
+        random: SeededRandom.fromSnapshot(snapshot),
+        baseline: this.layerManager.generatedData
+      };
+      this.getWorker().postMessage({
+        id,
+        params: generationParams,
+        random: snapshot,
+        layers: this.layerManager.getGenerationSettings()
+      });
+    });
+    this.latest = request.then(() => {}, () => {});
+    return request;
+  }
+
+  handleMessage(message) {
+    const { pending } = this;
+    if (!pending || message.id !== pending.id) return;
+
+    if (message.type === 'progress') {
+      if (pending.onProgress) pending.onProgress(message.layer, message.done, message.total);
+    } else if (message.type === 'error') {
+      this.failed = true;
+      this.finish(null, new Error(message.message));
+    } else if (message.type === 'done') {
+      // Cleared cached data means something the data depends on changed after the request
+      if (this.layerManager.generatedData !== pending.baseline) {
+        this.finish(null);
+        return;
+      }
+      const allData = new Map(Object.entries(message.data));
+      this.layerManager.setGeneratedData(allData, pending.random);
+      this.finish(allData);
+    }
+  }
+
+  finish(result, error = null) {
+    const { pending } = this;
+    if (!pending) return;
+    this.pending = null;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Stop the worker and drop the current request, whose promise resolves with null
+   */
+  cancel() {
+    this.terminate();
+    this.finish(null);
+  }
+
+  /**
+   * Stop the worker; the next request starts a new one
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
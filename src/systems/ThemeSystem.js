@@ -3,6 +3,8 @@
  * Provides multiple color themes for different moods and contexts
  */
 
+import { adjustColor, parseColor, withAlpha } from '../utils/color.js';
+
 export class ThemeSystem {
   constructor() {
     this.themes = new Map();
@@ -278,12 +280,73 @@ export class ThemeSystem {
     });
   }
 
+  /**
+   * Register the layers' built-in colors as the "original" theme
+   * Captured from a fresh layer manager so switching back restores the stock look
+   * @param {LayerManager} layerManager - Layer manager holding untouched layers
+   */
+  registerOriginalTheme(layerManager) {
+    const layer = (name) => layerManager.getLayer(name) || {};
+    const grid = layer('grid');
+    const infrastructure = layer('infrastructure');
+    const nodes = layer('nodes');
+    const shading = layer('shading');
+    const cores = layer('cores');
+    const patternColors = shading.patternColors || {};
+
+    const original = {
+      name: 'Original',
+      description: 'The stock Tangle Map colors',
+      background: layerManager.backgroundColor,
+
+      grid: {
+        color: grid.color,
+        lineWidth: grid.lineWidth
+      },
+
+      infrastructure: {
+        structure: infrastructure.structureColor || infrastructure.connectionColor,
+        connection: infrastructure.connectionColor,
+        staticLine: infrastructure.staticLineColor
+      },
+
+      nodes: {
+        fill: nodes.nodeColor,
+        stroke: nodes.connectionColor
+      },
+
+      organic: {
+        flow: layer('organic').color
+      },
+
+      flow: {
+        arrow: layer('flow').color
+      },
+
+      shading: {
+        boundary: shading.boundaryColor,
+        fill: shading.fillColor,
+        stipple: patternColors.stipple,
+        crosshatch: patternColors.crosshatch,
+        flowLines: patternColors.flow
+      },
+
+      cores: {
+        fill: cores.fillColor,
+        stroke: cores.strokeColor
+      }
+    };
+
+    // Keep it first in the picker
+    this.themes = new Map([['original', original], ...this.themes]);
+  }
+
   /**
    * Get current theme
    * @returns {Object} Current theme object
    */
   getCurrentTheme() {
-    return this.themes.get(this.currentTheme);
+    return this.getTheme(this.currentTheme);
   }
 
   /**
@@ -322,16 +385,20 @@ export class ThemeSystem {
   /**
    * Apply theme to layer manager
    * @param {LayerManager} layerManager - Layer manager instance
+   * @param {Object} theme - Theme object to apply (defaults to the current theme, e.g. pass a variation)
    */
-  applyTheme(layerManager) {
-    const theme = this.getCurrentTheme();
+  applyTheme(layerManager, theme = this.getCurrentTheme()) {
     if (!theme) return;
 
+    // Canvas background (also used by exporters)
+    layerManager.backgroundColor = theme.background;
+
     // Apply grid theme
     const gridLayer = layerManager.getLayer('grid');
     if (gridLayer) {
       gridLayer.setColor(theme.grid.color);
       gridLayer.setLineWidth(theme.grid.lineWidth);
+      gridLayer.setBackgroundColor(theme.background);
     }
 
     // Apply infrastructure theme
@@ -377,6 +444,22 @@ export class ThemeSystem {
       coreLayer.setFillColor(theme.cores.fill);
       coreLayer.setStrokeColor(theme.cores.stroke);
     }
+
+    // Labels take their ink from the theme and knock out against its background
+    const labelLayer = layerManager.getLayer('labels');
+    if (labelLayer) {
+      labelLayer.setColor(withAlpha(theme.cores.stroke, 0.9));
+      labelLayer.setRiverColor(withAlpha(theme.flow.arrow, 0.9));
+      labelLayer.setNumberColor(withAlpha(theme.infrastructure.structure, 0.8));
+      labelLayer.setHaloColor(withAlpha(theme.background, 0.85));
+    }
+
+    // Map furniture is inked like the labels, on panels of the background color
+    const furnitureLayer = layerManager.getLayer('furniture');
+    if (furnitureLayer) {
+      furnitureLayer.setColor(withAlpha(theme.cores.stroke, 0.9));
+      furnitureLayer.setPaperColor(withAlpha(theme.background, 0.92));
+    }
   }
 
   /**
@@ -402,30 +485,155 @@ export class ThemeSystem {
     return this.customThemes.delete(name);
   }
 
+  /**
+   * Get all custom themes (for persistence)
+   * @returns {Object} Custom theme data keyed by name
+   */
+  getCustomThemes() {
+    return Object.fromEntries(this.customThemes);
+  }
+
+  /**
+   * Restore custom themes saved with getCustomThemes
+   * Entries that no longer validate are skipped
+   * @param {Object} themes - Custom theme data keyed by name
+   */
+  loadCustomThemes(themes = {}) {
+    Object.entries(themes).forEach(([name, themeData]) => {
+      try {
+        this.importTheme(name, themeData);
+      } catch (e) {
+        console.warn(`Skipping custom theme "${name}":`, e.message);
+      }
+    });
+  }
+
+  /**
+   * Check theme data against the built-in slots
+   * Missing non-color values (e.g. grid line width) are taken from the original theme
+   * @param {Object} themeData - Theme data
+   * @returns {Object} Complete theme data
+   * @throws {Error} If the data is not a theme or a color slot is missing or unreadable
+   */
+  normalizeTheme(themeData) {
+    if (!themeData || typeof themeData !== 'object' || Array.isArray(themeData)) {
+      throw new Error('Theme file does not contain a theme');
+    }
+
+    const reference = this.getReferenceTheme();
+    const normalized = JSON.parse(JSON.stringify(themeData));
+
+    const checkSlot = (path, expected, actual) => {
+      if (parseColor(expected)) {
+        if (!parseColor(actual)) {
+          throw new Error(`Theme color "${path}" is missing or invalid`);
+        }
+        return actual;
+      }
+      return typeof actual === typeof expected ? actual : expected;
+    };
+
+    Object.entries(reference).forEach(([slot, expected]) => {
+      if (['name', 'description'].includes(slot)) return;
+
+      if (expected && typeof expected === 'object') {
+        const group = normalized[slot] && typeof normalized[slot] === 'object' ? normalized[slot] : {};
+        Object.entries(expected).forEach(([key, value]) => {
+          group[key] = checkSlot(`${slot}.${key}`, value, group[key]);
+        });
+        normalized[slot] = group;
+      } else {
+        normalized[slot] = checkSlot(slot, expected, normalized[slot]);
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Theme whose slots every theme must have (see normalizeTheme)
+   * @returns {Object} Reference theme
+   */
+  getReferenceTheme() {
+    return this.getTheme('original') || this.getTheme('architectural');
+  }
+
+  /**
+   * Check whether two themes have the same colors and settings in every slot
+   * Colors are compared by value, so rgba(0, 0, 0, 1.0) matches rgba(0,0,0,1)
+   * @param {Object} a - Theme data
+   * @param {Object} b - Theme data
+   * @returns {boolean} Whether they draw the same
+   */
+  isSameTheme(a, b) {
+    const same = (x, y) => {
+      const colorX = parseColor(x);
+      const colorY = parseColor(y);
+      return colorX && colorY
+        ? ['r', 'g', 'b', 'a'].every(channel => colorX[channel] === colorY[channel])
+        : x === y;
+    };
+
+    return Object.entries(this.getReferenceTheme()).every(([slot, expected]) => {
+      if (['name', 'description'].includes(slot)) return true;
+      if (expected && typeof expected === 'object') {
+        return Object.keys(expected).every(key => same(a[slot]?.[key], b[slot]?.[key]));
+      }
+      return same(a[slot], b[slot]);
+    });
+  }
+
+  /**
+   * Add a theme that came with an edition code, unless it's here already
+   * A different theme of the same name is kept; the new one gets a numbered name
+   * @param {Object} themeData - Theme data, named as it was saved
+   * @returns {string} Name to select the theme by
+   * @throws {Error} If the data is not a valid theme (see normalizeTheme)
+   */
+  importSharedTheme(themeData) {
+    const theme = this.normalizeTheme(themeData);
+    const baseName = String(themeData.name || 'Shared theme');
+
+    for (let i = 1; ; i++) {
+      const name = i === 1 ? baseName : `${baseName} ${i}`;
+      const existing = this.customThemes.get(name);
+      if (existing && this.isSameTheme(existing, theme)) {
+        return name;
+      }
+      if (!existing && !this.themes.has(name)) {
+        this.importTheme(name, theme);
+        return name;
+      }
+    }
+  }
+
   /**
    * Export current theme
+   * @param {Object} variations - Optional variation parameters to bake in (see generateThemeVariation)
    * @returns {Object} Current theme data
    */
-  exportCurrentTheme() {
-    return JSON.parse(JSON.stringify(this.getCurrentTheme()));
+  exportCurrentTheme(variations = {}) {
+    return this.generateThemeVariation(this.currentTheme, variations);
   }
 
   /**
    * Import theme from data
    * @param {string} name - Theme name
    * @param {Object} themeData - Theme data
+   * @throws {Error} If the data is not a valid theme (see normalizeTheme)
    */
   importTheme(name, themeData) {
-    this.createCustomTheme(name, themeData);
+    this.createCustomTheme(name, { ...this.normalizeTheme(themeData), name });
   }
 
   /**
    * Get theme preview colors (for UI)
    * @param {string} themeName - Theme name
+   * @param {Object} variations - Optional variation parameters (see generateThemeVariation)
    * @returns {Object} Preview colors
    */
-  getThemePreview(themeName) {
-    const theme = this.getTheme(themeName);
+  getThemePreview(themeName, variations = {}) {
+    const theme = this.generateThemeVariation(themeName, variations);
     if (!theme) return null;
 
     return {
@@ -465,15 +673,47 @@ export class ThemeSystem {
     return newTheme;
   }
 
+  /**
+   * Generate random variation parameters for a palette
+   * The whole palette is rotated and scaled together, so the result stays coherent
+   * @param {SeededRandom} random - Generator (e.g. forked from the edition seed)
+   * @returns {Object} Variation parameters { hueShift, saturation, brightness }
+   */
+  generateRandomVariation(random) {
+    // Rounded to the slider steps so the variation can be shown and shared exactly
+    const pick = (min, max, size) => {
+      const value = min + random.random() * (max - min);
+      return Math.round(value / size) / Math.round(1 / size);
+    };
+    return {
+      hueShift: pick(-180, 180, 1),
+      saturation: pick(-0.4, 0.4, 0.05),
+      brightness: pick(-0.1, 0.1, 0.05)
+    };
+  }
+
+  /**
+   * Replace every color string in a theme, walking nested slots
+   * @param {Object} theme - Theme to modify in place
+   * @param {Function} transform - Maps a color string to a new color string
+   */
+  transformThemeColors(theme, transform) {
+    Object.entries(theme).forEach(([key, value]) => {
+      if (value && typeof value === 'object') {
+        this.transformThemeColors(value, transform);
+      } else if (parseColor(value)) {
+        theme[key] = transform(value);
+      }
+    });
+  }
+
   /**
    * Adjust theme brightness
    * @param {Object} theme - Theme to modify
    * @param {number} factor - Brightness factor (-1 to 1)
    */
   adjustThemeBrightness(theme, factor) {
-    // This is a simplified implementation
-    // In a real implementation, you'd parse and modify RGB values
-    console.log('Brightness adjustment not yet implemented');
+    this.transformThemeColors(theme, color => adjustColor(color, { brightness: factor }));
   }
 
   /**
@@ -482,8 +722,7 @@ export class ThemeSystem {
    * @param {number} factor - Saturation factor (-1 to 1)
    */
   adjustThemeSaturation(theme, factor) {
-    // This is a simplified implementation
-    console.log('Saturation adjustment not yet implemented');
+    this.transformThemeColors(theme, color => adjustColor(color, { saturation: factor }));
   }
 
   /**
@@ -492,8 +731,7 @@ export class ThemeSystem {
    * @param {number} degrees - Hue shift in degrees
    */
   adjustThemeHue(theme, degrees) {
-    // This is a simplified implementation
-    console.log('Hue adjustment not yet implemented');
+    this.transformThemeColors(theme, color => adjustColor(color, { hueShift: degrees }));
   }
 
   /**
@@ -0,0 +1,30 @@
+/**
+ * Scene Worker - Generates layer data off the main thread
+ * Rebuilds the figure's layers and generator from a request posted by SceneGenerator, runs
+ * LayerManager.generateAllData, and posts progress after each layer and the data at the end
+ * (an object by layer name, in generation order).
+ */
+
+/* eslint-env worker */
+
+import { LayerManager } from './LayerManager.js';
+import { SeededRandom } from '../utils/random.js';
+
+onmessage = ({ data: request }) => {
+  const { id, params, random: snapshot, layers } = request;
+
+  try {
+    const layerManager = new LayerManager();
+    layerManager.applyGenerationSettings(layers);
+
+    const random = SeededRandom.fromSnapshot(snapshot);
+    const allData = layerManager.generateAllData(
+      { ...params, random, noise: random.noise.bind(random) },
+      (layer, done, total) => postMessage({ id, type: 'progress', layer, done, total })
+    );
+
+    postMessage({ id, type: 'done', data: Object.fromEntries(allData) });
+  } catch (e) {
+    postMessage({ id, type: 'error', message: e.message });
+  }
+};
@@ -0,0 +1,234 @@
+/**
+ * Color utility - Parsing, formatting and adjusting the rgba() strings used throughout the layers
+ * Accepts rgb()/rgba() and #rgb/#rrggbb input; always formats as rgba()
+ * Adjustments work in OKLCH (or HSL) so hue shifts keep perceived lightness
+ */
+
+/**
+ * Parse a CSS color string
+ * @param {string} color - rgb(), rgba() or hex color
+ * @returns {Object|null} Channels { r, g, b, a } (0-255, alpha 0-1) or null if unparseable
+ */
+export const parseColor = (color) => {
+  if (typeof color !== 'string') return null;
+  const value = color.trim();
+
+  const rgbMatch = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (rgbMatch) {
+    return {
+      r: parseFloat(rgbMatch[1]),
+      g: parseFloat(rgbMatch[2]),
+      b: parseFloat(rgbMatch[3]),
+      a: rgbMatch[4] !== undefined ? parseFloat(rgbMatch[4]) : 1
+    };
+  }
+
+  const hexMatch = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hexMatch) {
+    const hex = hexMatch[1].length === 3
+      ? hexMatch[1].split('').map(char => char + char).join('')
+      : hexMatch[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Format channels as an rgba() string
+ * @param {Object} color - Channels { r, g, b, a }
+ * @returns {string} rgba() color
+ */
+export const formatRgba = ({ r, g, b, a = 1 }) => {
+  const channel = (value) => Math.round(Math.max(0, Math.min(255, value)));
+  const alpha = Math.round(Math.max(0, Math.min(1, a)) * 1000) / 1000;
+  return `rgba(${channel(r)}, ${channel(g)}, ${channel(b)}, ${alpha})`;
+};
+
+/**
+ * Replace a color's alpha
+ * @param {string} color - Color string
+ * @param {number} alpha - New alpha (0-1)
+ * @returns {string} rgba() color, or the input if it can't be parsed
+ */
+export const withAlpha = (color, alpha) => {
+  const parsed = parseColor(color);
+  return parsed ? formatRgba({ ...parsed, a: alpha }) : color;
+};
+
+/**
+ * Relative luminance as defined by WCAG
+ * @param {string} color - Color string
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+export const relativeLuminance = (color) => {
+  const parsed = parseColor(color);
+  if (!parsed) return 1;
+
+  const linear = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(parsed.r) + 0.7152 * linear(parsed.g) + 0.0722 * linear(parsed.b);
+};
+
+/**
+ * Convert RGB channels to HSL
+ * @param {Object} color - Channels { r, g, b } (0-255)
+ * @returns {Object} { h (degrees), s (0-1), l (0-1) }
+ */
+export const rgbToHsl = ({ r, g, b }) => {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) {
+    return { h: 0, s: 0, l };
+  }
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) {
+    h = ((gn - bn) / d) % 6;
+  } else if (max === gn) {
+    h = (bn - rn) / d + 2;
+  } else {
+    h = (rn - gn) / d + 4;
+  }
+
+  return { h: (h * 60 + 360) % 360, s, l };
+};
+
+/**
+ * Convert HSL to RGB channels
+ * @param {Object} color - { h (degrees), s (0-1), l (0-1) }
+ * @returns {Object} Channels { r, g, b } (0-255)
+ */
+export const hslToRgb = ({ h, s, l }) => {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hp = (((h % 360) + 360) % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const m = l - c / 2;
+
+  const [r1, g1, b1] = hp < 1 ? [c, x, 0]
+    : hp < 2 ? [x, c, 0]
+    : hp < 3 ? [0, c, x]
+    : hp < 4 ? [0, x, c]
+    : hp < 5 ? [x, 0, c]
+    : [c, 0, x];
+
+  return { r: (r1 + m) * 255, g: (g1 + m) * 255, b: (b1 + m) * 255 };
+};
+
+const toLinear = (value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+const fromLinear = (value) => {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return c * 255;
+};
+
+/**
+ * Convert RGB channels to OKLCH (perceptual lightness, chroma, hue)
+ * @param {Object} color - Channels { r, g, b } (0-255)
+ * @returns {Object} { l (0-1), c (0-~0.37), h (degrees) }
+ */
+export const rgbToOklch = ({ r, g, b }) => {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  return {
+    l: L,
+    c: Math.hypot(A, B),
+    h: (Math.atan2(B, A) * 180 / Math.PI + 360) % 360
+  };
+};
+
+/**
+ * Convert OKLCH to RGB channels (may fall outside 0-255 for out-of-gamut colors)
+ * @param {Object} color - { l, c, h }
+ * @returns {Object} Channels { r, g, b }
+ */
+export const oklchToRgb = ({ l: L, c, h }) => {
+  const hr = h * Math.PI / 180;
+  const A = c * Math.cos(hr);
+  const B = c * Math.sin(hr);
+
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+
+  return {
+    r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+};
+
+const inGamut = ({ r, g, b }) => [r, g, b].every(value => value >= -0.5 && value <= 255.5);
+
+/**
+ * Adjust a color's lightness, saturation and hue
+ * OKLCH keeps perceived lightness steady while hue rotates; out-of-gamut results
+ * lose chroma until they fit. Alpha is preserved.
+ * @param {string} color - Color string
+ * @param {Object} adjustments - Adjustments
+ * @param {number} adjustments.brightness - -1 (black) to 1 (white)
+ * @param {number} adjustments.saturation - -1 (grey) to 1 (double chroma)
+ * @param {number} adjustments.hueShift - Hue rotation in degrees
+ * @param {string} space - 'oklch' (default) or 'hsl'
+ * @returns {string} Adjusted rgba() color, or the input if it can't be parsed
+ */
+export const adjustColor = (color, { brightness = 0, saturation = 0, hueShift = 0 } = {}, space = 'oklch') => {
+  const parsed = parseColor(color);
+  if (!parsed) return color;
+
+  // Move lightness towards white or black by the given fraction
+  const shiftLightness = (l, max) => (brightness >= 0 ? l + (max - l) * brightness : l * (1 + brightness));
+  const scaleSaturation = (value) => Math.max(0, value * (1 + saturation));
+
+  if (space === 'hsl') {
+    const hsl = rgbToHsl(parsed);
+    const rgb = hslToRgb({
+      h: hsl.h + hueShift,
+      s: Math.min(1, scaleSaturation(hsl.s)),
+      l: shiftLightness(hsl.l, 1)
+    });
+    return formatRgba({ ...rgb, a: parsed.a });
+  }
+
+  const oklch = rgbToOklch(parsed);
+  const adjusted = {
+    l: Math.max(0, Math.min(1, shiftLightness(oklch.l, 1))),
+    c: scaleSaturation(oklch.c),
+    h: oklch.h + hueShift
+  };
+
+  let rgb = oklchToRgb(adjusted);
+  for (let i = 0; i < 24 && !inGamut(rgb); i++) {
+    adjusted.c *= 0.85;
+    rgb = oklchToRgb(adjusted);
+  }
+
+  return formatRgba({ ...rgb, a: parsed.a });
+};
@@ -0,0 +1,88 @@
+import { parseColor, formatRgba, withAlpha, relativeLuminance, rgbToOklch, oklchToRgb, rgbToHsl, hslToRgb, adjustColor } from './color.js';
+
+describe('parseColor', () => {
+  it('reads rgb(), rgba() and hex colors', () => {
+    expect(parseColor('rgba(30, 80, 120, 0.8)')).toEqual({ r: 30, g: 80, b: 120, a: 0.8 });
+    expect(parseColor('rgb(30,80,120)')).toEqual({ r: 30, g: 80, b: 120, a: 1 });
+    expect(parseColor('#1e5078')).toEqual({ r: 30, g: 80, b: 120, a: 1 });
+    expect(parseColor('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseColor('white')).toBeNull();
+    expect(parseColor('#12345')).toBeNull();
+    expect(parseColor(null)).toBeNull();
+  });
+});
+
+describe('formatRgba', () => {
+  it('rounds and clamps channels', () => {
+    expect(formatRgba({ r: 300, g: -4, b: 12.6, a: 0.12345 })).toBe('rgba(255, 0, 13, 0.123)');
+  });
+
+  it('round-trips with parseColor', () => {
+    const color = 'rgba(50, 120, 160, 0.6)';
+    expect(formatRgba(parseColor(color))).toBe(color);
+  });
+});
+
+describe('withAlpha', () => {
+  it('replaces the alpha, leaving unreadable colors alone', () => {
+    expect(withAlpha('#000', 0.5)).toBe('rgba(0, 0, 0, 0.5)');
+    expect(withAlpha('white', 0.5)).toBe('white');
+  });
+});
+
+describe('relativeLuminance', () => {
+  it('runs from black to white', () => {
+    expect(relativeLuminance('#000')).toBe(0);
+    expect(relativeLuminance('#fff')).toBeCloseTo(1, 10);
+  });
+});
+
+describe('color spaces', () => {
+  it.each([
+    [{ r: 30, g: 80, b: 120 }],
+    [{ r: 250, g: 248, b: 245 }],
+    [{ r: 180, g: 80, b: 90 }]
+  ])('convert %o to OKLCH and HSL and back', (rgb) => {
+    const viaOklch = oklchToRgb(rgbToOklch(rgb));
+    const viaHsl = hslToRgb(rgbToHsl(rgb));
+    ['r', 'g', 'b'].forEach(channel => {
+      expect(viaOklch[channel]).toBeCloseTo(rgb[channel], 4);
+      expect(viaHsl[channel]).toBeCloseTo(rgb[channel], 4);
+    });
+  });
+});
+
+describe('adjustColor', () => {
+  it('leaves a color as it is without adjustments', () => {
+    expect(adjustColor('rgba(30, 80, 120, 0.8)', {})).toBe('rgba(30, 80, 120, 0.8)');
+    expect(adjustColor('rgba(30, 80, 120, 0.8)', {}, 'hsl')).toBe('rgba(30, 80, 120, 0.8)');
+  });
+
+  it('runs brightness to near white and black, keeping alpha', () => {
+    const white = parseColor(adjustColor('rgba(30, 80, 120, 0.8)', { brightness: 1 }));
+    expect(Math.min(white.r, white.g, white.b)).toBeGreaterThanOrEqual(254);
+    expect(white.a).toBe(0.8);
+    const black = parseColor(adjustColor('rgba(30, 80, 120, 0.8)', { brightness: -1 }));
+    expect(Math.max(black.r, black.g, black.b)).toBeLessThanOrEqual(2);
+    expect(black.a).toBe(0.8);
+  });
+
+  it('turns fully desaturated colors grey', () => {
+    const { r, g, b } = parseColor(adjustColor('rgb(180, 80, 90)', { saturation: -1 }));
+    expect(Math.max(r, g, b) - Math.min(r, g, b)).toBeLessThanOrEqual(1);
+  });
+
+  it('keeps perceived lightness while rotating hue', () => {
+    const before = rgbToOklch(parseColor('rgb(180, 80, 90)'));
+    const after = rgbToOklch(parseColor(adjustColor('rgb(180, 80, 90)', { hueShift: 120 })));
+    expect(after.l).toBeCloseTo(before.l, 2);
+    expect((after.h - before.h + 360) % 360).toBeCloseTo(120, -1);
+  });
+
+  it('passes unreadable colors through', () => {
+    expect(adjustColor('white', { brightness: 0.5 })).toBe('white');
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Concept graphs - Load a graph of concepts and their relationships to drive the map
+ *
+ * JSON: { "nodes": [{ "id", "label", "weight" }], "edges": [{ "source", "target", "type", "weight" }] }
+ *       ("links" is accepted for "edges", and nodes may be plain id strings)
+ * CSV:  one edge per row as source,target[,type[,weight]], with an optional header row
+ *
+ * Edge types: "flow" (or "river") edges become rivers, everything else a static line.
+ * Nodes without a weight are weighted by their connections.
+ */
+
+const normalizeEdgeType = (type) => (/^(flow|river)s?$/i.test(String(type || '').trim()) ? 'flow' : 'static');
+
+const toWeight = (value) => {
+  const weight = parseFloat(value);
+  return Number.isFinite(weight) && weight > 0 ? weight : null;
+};
+
+/**
+ * Split a CSV line, honouring double-quoted cells
+ * @param {string} line - CSV line
+ * @returns {Array} Cell values
+ */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+};
+
+/**
+ * Read rows of a CSV edge list
+ * @param {string} text - CSV text
+ * @returns {Object} Raw graph { nodes, edges }
+ */
+const parseCsv = (text) => {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(splitCsvLine);
+
+  if (rows.length > 0 && /^(source|from)$/i.test(rows[0][0])) {
+    rows.shift();
+  }
+
+  return {
+    nodes: [],
+    edges: rows.map(([source, target, type, weight]) => ({ source, target, type, weight }))
+  };
+};
+
+/**
+ * Parse a concept graph file
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used to tell CSV from JSON
+ * @returns {Object} Graph { nodes: [{ id, label, weight }], edges: [{ source, target, type, weight }] }
+ * @throws {Error} If the file can't be read or describes no concepts
+ */
+export const parseConceptGraph = (text, filename = '') => {
+  const source = String(text || '').trim();
+  const isJson = !/\.csv$/i.test(filename) && /^[[{]/.test(source);
+
+  let raw;
+  if (isJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(source);
+    } catch (e) {
+      throw new Error('Concept graph is not valid JSON');
+    }
+    raw = Array.isArray(parsed)
+      ? { nodes: [], edges: parsed }
+      : { nodes: parsed.nodes || [], edges: parsed.edges || parsed.links || [] };
+  } else {
+    raw = parseCsv(source);
+  }
+
+  if (!Array.isArray(raw.nodes) || !Array.isArray(raw.edges)) {
+    throw new Error('Concept graph nodes and edges must be lists');
+  }
+
+  const nodes = new Map();
+  const addNode = (id, label = id, weight = null) => {
+    const key = String(id);
+    if (!nodes.has(key)) {
+      nodes.set(key, { id: key, label: String(label), weight });
+    }
+    return nodes.get(key);
+  };
+
+  raw.nodes.forEach((node, i) => {
+    if (node && typeof node === 'object') {
+      if (node.id === undefined || node.id === null || node.id === '') {
+        throw new Error(`Concept ${i + 1} has no id`);
+      }
+      addNode(node.id, node.label !== undefined ? node.label : node.id, toWeight(node.weight));
+    } else if (node !== undefined && node !== null && node !== '') {
+      addNode(node);
+    }
+  });
+
+  const edges = [];
+  raw.edges.forEach((edge, i) => {
+    const from = edge && edge.source !== undefined ? edge.source : edge && edge.from;
+    const to = edge && edge.target !== undefined ? edge.target : edge && edge.to;
+    if (from === undefined || from === null || from === '' || to === undefined || to === null || to === '') {
+      throw new Error(`Edge ${i + 1} is missing a source or target`);
+    }
+    if (String(from) === String(to)) return; // Self-links have nothing to draw
+
+    addNode(from);
+    addNode(to);
+    edges.push({
+      source: String(from),
+      target: String(to),
+      type: normalizeEdgeType(edge.type),
+      weight: toWeight(edge.weight) || 1
+    });
+  });
+
+  if (nodes.size === 0) {
+    throw new Error('Concept graph has no concepts');
+  }
+
+  // Unweighted concepts count their connections
+  const degree = new Map();
+  edges.forEach(({ source: from, target: to, weight }) => {
+    degree.set(from, (degree.get(from) || 0) + weight);
+    degree.set(to, (degree.get(to) || 0) + weight);
+  });
+  nodes.forEach(node => {
+    if (node.weight === null) {
+      node.weight = degree.get(node.id) || 1;
+    }
+  });
+
+  return { nodes: Array.from(nodes.values()), edges };
+};
+
+/**
+ * Force-directed layout (Fruchterman-Reingold) of a concept graph
+ * Connected concepts pull together while all concepts push apart; a weak pull to the
+ * centre keeps disconnected parts in frame.
+ * @param {Object} graph - Graph from parseConceptGraph
+ * @param {SeededRandom} random - Generator for the starting positions
+ * @param {Object} options - Layout options
+ * @param {number} options.aspect - Width / height of the area to fill
+ * @param {number} options.iterations - Simulation steps
+ * @returns {Array} Positions { x, y } in [0, 1], in node order
+ */
+export const layoutConceptGraph = (graph, random, { aspect = 1, iterations = 300 } = {}) => {
+  const { nodes, edges } = graph;
+  const count = nodes.length;
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const positions = nodes.map(() => ({ x: random.random() * aspect, y: random.random() }));
+
+  if (count === 1) {
+    return [{ x: 0.5, y: 0.5 }];
+  }
+
+  const k = Math.sqrt(aspect / count); // Ideal distance between concepts
+  let temperature = 0.1 * Math.max(aspect, 1);
+  const cooling = temperature / (iterations + 1);
+
+  for (let step = 0; step < iterations; step++) {
+    const displacement = positions.map(() => ({ x: 0, y: 0 }));
+
+    // Repulsion between every pair
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = positions[i].x - positions[j].x;
+        const dy = positions[i].y - positions[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.001);
+        const force = (k * k) / distance;
+        displacement[i].x += (dx / distance) * force;
+        displacement[i].y += (dy / distance) * force;
+        displacement[j].x -= (dx / distance) * force;
+        displacement[j].y -= (dy / distance) * force;
+      }
+    }
+
+    // Attraction along edges
+    edges.forEach(edge => {
+      const a = index.get(edge.source);
+      const b = index.get(edge.target);
+      const dx = positions[a].x - positions[b].x;
+      const dy = positions[a].y - positions[b].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.001);
+      const force = (distance * distance) / k;
+      displacement[a].x -= (dx / distance) * force;
+      displacement[a].y -= (dy / distance) * force;
+      displacement[b].x += (dx / distance) * force;
+      displacement[b].y += (dy / distance) * force;
+    });
+
+    for (let i = 0; i < count; i++) {
+      const position = positions[i];
+
+      // Gentle gravity towards the centre
+      displacement[i].x += (aspect / 2 - position.x) * k;
+      displacement[i].y += (0.5 - position.y) * k;
+
+      const length = Math.max(Math.hypot(displacement[i].x, displacement[i].y), 0.001);
+      const move = Math.min(length, temperature);
+      position.x = Math.max(0, Math.min(aspect, position.x + (displacement[i].x / length) * move));
+      position.y = Math.max(0, Math.min(1, position.y + (displacement[i].y / length) * move));
+    }
+
+    temperature -= cooling;
+  }
+
+  // Stretch the result to fill the unit square
+  const xs = positions.map(p => p.x);
+  const ys = positions.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+
+  return positions.map(p => ({
+    x: spanX > 0 ? (p.x - minX) / spanX : 0.5,
+    y: spanY > 0 ? (p.y - minY) / spanY : 0.5
+  }));
+};
@@ -0,0 +1,72 @@
+import { parseConceptGraph, layoutConceptGraph } from './conceptGraph.js';
+import { SeededRandom } from './random.js';
+
+describe('parseConceptGraph', () => {
+  it('reads a CSV edge list with a header, quotes and comments', () => {
+    const csv = [
+      'source,target,type,weight',
+      '# trade routes',
+      'Harbor,Market,flow,3',
+      '"Hill, North",Market,,',
+      'Market,Market'
+    ].join('\n');
+
+    expect(parseConceptGraph(csv, 'routes.csv')).toEqual({
+      nodes: [
+        { id: 'Harbor', label: 'Harbor', weight: 3 },
+        { id: 'Market', label: 'Market', weight: 4 },
+        { id: 'Hill, North', label: 'Hill, North', weight: 1 }
+      ],
+      edges: [
+        { source: 'Harbor', target: 'Market', type: 'flow', weight: 3 },
+        { source: 'Hill, North', target: 'Market', type: 'static', weight: 1 }
+      ]
+    });
+  });
+
+  it('reads JSON nodes and links', () => {
+    const json = JSON.stringify({
+      nodes: [{ id: 1, label: 'Source', weight: 5 }, 'orphan'],
+      links: [{ from: 1, to: 2, type: 'Rivers' }]
+    });
+    const graph = parseConceptGraph(json, 'graph.json');
+
+    expect(graph.nodes).toEqual([
+      { id: '1', label: 'Source', weight: 5 },
+      { id: 'orphan', label: 'orphan', weight: 1 },
+      { id: '2', label: '2', weight: 1 }
+    ]);
+    expect(graph.edges).toEqual([{ source: '1', target: '2', type: 'flow', weight: 1 }]);
+  });
+
+  it('reads a bare JSON list of edges', () => {
+    expect(parseConceptGraph('[{"source":"a","target":"b"}]').edges).toHaveLength(1);
+  });
+
+  it('reports files it cannot use', () => {
+    expect(() => parseConceptGraph('{"nodes": [', 'graph.json')).toThrow('Concept graph is not valid JSON');
+    expect(() => parseConceptGraph('{"nodes": {}}')).toThrow('Concept graph nodes and edges must be lists');
+    expect(() => parseConceptGraph('a,\nb,c', 'edges.csv')).toThrow('Edge 1 is missing a source or target');
+    expect(() => parseConceptGraph('{"nodes": [{"label": "x"}]}')).toThrow('Concept 1 has no id');
+    expect(() => parseConceptGraph('source,target', 'edges.csv')).toThrow('Concept graph has no concepts');
+  });
+});
+
+describe('layoutConceptGraph', () => {
+  const graph = parseConceptGraph('a,b\nb,c\nc,a\nc,d', 'edges.csv');
+
+  it('places every concept inside the unit square', () => {
+    const positions = layoutConceptGraph(graph, new SeededRandom(7), { aspect: 1.5 });
+    expect(positions).toHaveLength(graph.nodes.length);
+    positions.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThanOrEqual(1);
+      expect(y).toBeGreaterThanOrEqual(0);
+      expect(y).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('is deterministic for a seed', () => {
+    expect(layoutConceptGraph(graph, new SeededRandom(7))).toEqual(layoutConceptGraph(graph, new SeededRandom(7)));
+  });
+});
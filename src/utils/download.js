@@ -0,0 +1,23 @@
+/**
+ * Download utility - Saves generated content as a file from the browser
+ */
+
+/**
+ * Trigger a browser download
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type (ignored when content is already a Blob)
+ */
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,327 @@
+/**
+ * Edition codes - reversible encoding of everything needed to redraw a figure
+ *
+ * Format: VVYY-SSSC[-PAYLOAD]
+ *   VV       code format version: 00 = legacy LCG generator, 01 = sfc32 with per-layer streams
+ *   YY       two-digit year the edition was drawn (cosmetic)
+ *   SSS      seed in base 36
+ *   C        cluster count as a single base-36 digit
+ *   PAYLOAD  settings that differ from the defaults, as Crockford base32 JSON
+ *
+ * Layouts are in pixels, so codes also carry the size the figure was drawn at; it is
+ * redrawn at that size and scaled to fit other screens.
+ * Everything is case-insensitive so codes survive the uppercase edition label.
+ */
+
+export const EDITION_VERSION = '01';
+export const LEGACY_EDITION_VERSION = '00';
+
+const BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_PATTERN = /^(\d{2})(\d{2})-([0-9A-Z]+)([0-9A-Z])(?:-([0-9A-Z]+))?$/;
+
+/**
+ * Encode bytes with Crockford's base32 alphabet
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ */
+const toBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  bytes.forEach(byte => {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a Crockford base32 string
+ * @param {string} text - Encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+const fromBase32 = (text) => {
+  const normalized = text.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of normalized) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) {
+      throw new Error(`Invalid character "${char}" in edition code`);
+    }
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+const sameOrder = (a = [], b = []) => a.length === b.length && a.every((name, i) => name === b[i]);
+
+// Theme slots as "group.key" (or "slot") paths; names and descriptions aren't colors
+const THEME_LABELS = ['name', 'description', 'custom'];
+const flattenTheme = (theme = {}) => Object.entries(theme)
+  .filter(([slot]) => !THEME_LABELS.includes(slot))
+  .flatMap(([slot, value]) => (value && typeof value === 'object'
+    ? Object.entries(value).map(([key, inner]) => [`${slot}.${key}`, inner])
+    : [[slot, value]]));
+
+// Colors are stored without spaces: rgba(50,120,160,0.6)
+const compactValue = (value) => (typeof value === 'string' ? value.replace(/\s+/g, '') : value);
+
+/**
+ * Encode an edition
+ * @param {Object} state - Edition state
+ * @param {number} state.seed - Random seed
+ * @param {number} state.clusterCount - Number of clusters
+ * @param {number} state.padding - Safe zone padding
+ * @param {number} state.noiseScale - Noise scale
+ * @param {Object} state.layers - Layer toggles keyed by layer name
+ * @param {Array} state.layerOrder - Layer rendering order
+ * @param {Object} state.layerParams - Tuned layer properties ({ layer: { param: value } })
+ * @param {Object} state.layerOpacity - Layer opacities (0-1) keyed by layer name
+ * @param {Object} state.layerBlendModes - Layer blend modes keyed by layer name
+ * @param {number} state.year - Year the edition was drawn (defaults to the current year)
+ * @param {boolean} state.legacy - Whether the figure was drawn with the legacy random generator
+ * @param {string} state.theme - Theme name
+ * @param {Object} state.palette - Palette variation ({ hueShift, saturation, brightness })
+ * @param {Object} state.size - Size the figure was drawn at ({ width, height }), if known
+ * @param {Array} state.clusters - Clusters placed by hand ({ x, y, radius, intensity, type, color }), if any
+ * @param {Array} state.elementEdits - Fields of generated elements changed by hand ({ layer, path, field, value })
+ * @param {Object} state.customTheme - Colors of the theme when it isn't built in, so the code carries them
+ * @param {Object} defaults - Default padding, noiseScale, layers, layerOrder and theme; matching settings are omitted.
+ *   defaults.baseTheme is the theme data custom themes are stored against (only differing slots are written)
+ * @returns {string} Edition code
+ */
+export const encodeEdition = (state, defaults = {}) => {
+  const {
+    seed,
+    clusterCount,
+    padding,
+    noiseScale,
+    layers = {},
+    layerOrder = [],
+    layerParams = {},
+    layerOpacity = {},
+    layerBlendModes = {},
+    year = new Date().getFullYear(),
+    legacy = false,
+    theme,
+    palette = {},
+    size = null,
+    clusters = null,
+    elementEdits = [],
+    customTheme = null
+  } = state;
+
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new Error('Edition seed must be a non-negative integer');
+  }
+
+  const payload = {};
+
+  if (!Number.isInteger(clusterCount) || clusterCount < 0 || clusterCount > 35) {
+    payload.c = clusterCount;
+  }
+
+  if (padding !== undefined && padding !== defaults.padding) {
+    payload.p = padding;
+  }
+
+  if (noiseScale !== undefined && noiseScale !== defaults.noiseScale) {
+    payload.n = noiseScale;
+  }
+
+  // Store only the layers whose toggle differs from the default
+  const defaultLayers = defaults.layers || {};
+  const flipped = Object.keys(layers).filter(name => Boolean(layers[name]) !== Boolean(defaultLayers[name]));
+  if (flipped.length > 0) {
+    payload.l = flipped;
+  }
+
+  if (layerOrder.length > 0 && !sameOrder(layerOrder, defaults.layerOrder)) {
+    const defaultOrder = defaults.layerOrder || [];
+    const canUseIndexes = layerOrder.every(name => defaultOrder.includes(name));
+    payload.o = canUseIndexes ? layerOrder.map(name => defaultOrder.indexOf(name)) : layerOrder;
+  }
+
+  const tuned = Object.entries(layerParams).filter(([, params]) => params && Object.keys(params).length > 0);
+  if (tuned.length > 0) {
+    payload.t = Object.fromEntries(tuned);
+  }
+
+  // Layers draw fully opaque and unblended unless set otherwise
+  const faded = Object.entries(layerOpacity).filter(([, opacity]) => opacity !== undefined && opacity !== 1);
+  if (faded.length > 0) {
+    payload.a = Object.fromEntries(faded);
+  }
+
+  const blended = Object.entries(layerBlendModes).filter(([, mode]) => mode && mode !== 'source-over');
+  if (blended.length > 0) {
+    payload.b = Object.fromEntries(blended);
+  }
+
+  if (theme !== undefined && theme !== defaults.theme) {
+    payload.th = theme;
+  }
+
+  if (customTheme) {
+    const base = new Map(flattenTheme(defaults.baseTheme).map(([path, value]) => [path, compactValue(value)]));
+    payload.ct = Object.fromEntries(flattenTheme(customTheme)
+      .map(([path, value]) => [path, compactValue(value)])
+      .filter(([path, value]) => base.get(path) !== value));
+  }
+
+  const { hueShift = 0, saturation = 0, brightness = 0 } = palette;
+  if (hueShift || saturation || brightness) {
+    payload.v = [hueShift, saturation, brightness];
+  }
+
+  if (size) {
+    payload.s = [Math.round(size.width), Math.round(size.height)];
+  }
+
+  if (clusters) {
+    payload.k = clusters.map(({ x, y, radius, intensity, type, color }) => [x, y, radius, intensity, type, color]);
+  }
+
+  if (elementEdits.length > 0) {
+    payload.e = elementEdits.map(({ layer, path, field, value }) => [layer, path, field, value]);
+  }
+
+  const yy = String(year % 100).padStart(2, '0');
+  const countDigit = payload.c === undefined ? clusterCount.toString(36) : '0';
+  const version = legacy ? LEGACY_EDITION_VERSION : EDITION_VERSION;
+  let code = `${version}${yy}-${seed.toString(36)}${countDigit}`.toUpperCase();
+
+  if (Object.keys(payload).length > 0) {
+    code += `-${toBase32(new TextEncoder().encode(JSON.stringify(payload)))}`;
+  }
+
+  return code;
+};
+
+/**
+ * Decode an edition code
+ * @param {string} code - Edition code (a leading "fig" label is ignored)
+ * @param {Object} defaults - Defaults used when the code was encoded
+ * @returns {Object} Edition state (seed, clusterCount, padding, noiseScale, layers, layerOrder, layerParams,
+ *   layerOpacity, layerBlendModes, year, legacy, theme, palette, size - null for codes without one,
+ *   clusters - null unless placed by hand, elementEdits, customTheme - null unless the code carries the theme)
+ */
+export const decodeEdition = (code, defaults = {}) => {
+  const normalized = String(code || '')
+    .trim()
+    .toUpperCase()
+    .replace(/^FIG\.?\s*/, '')
+    .replace(/\s+/g, '');
+
+  const match = normalized.match(CODE_PATTERN);
+  if (!match) {
+    throw new Error('Not a valid edition code');
+  }
+
+  const [, version, yy, seedPart, countDigit, payloadPart] = match;
+  if (version !== EDITION_VERSION && version !== LEGACY_EDITION_VERSION) {
+    throw new Error(`Unsupported edition code version ${version}`);
+  }
+
+  let payload = {};
+  if (payloadPart) {
+    try {
+      payload = JSON.parse(new TextDecoder().decode(fromBase32(payloadPart)));
+    } catch (e) {
+      throw new Error('Edition code settings are corrupted');
+    }
+  }
+
+  const defaultLayers = defaults.layers || {};
+  const layers = { ...defaultLayers };
+  (payload.l || []).forEach(name => {
+    layers[name] = !defaultLayers[name];
+  });
+
+  let layerOrder = defaults.layerOrder ? [...defaults.layerOrder] : [];
+  if (Array.isArray(payload.o)) {
+    layerOrder = payload.o.map(entry => (typeof entry === 'number' ? defaults.layerOrder[entry] : entry));
+    if (layerOrder.some(name => name === undefined)) {
+      throw new Error('Edition code refers to unknown layers');
+    }
+  }
+
+  const [hueShift = 0, saturation = 0, brightness = 0] = Array.isArray(payload.v) ? payload.v : [];
+
+  let size = null;
+  if (Array.isArray(payload.s)) {
+    const [width, height] = payload.s;
+    if (!(width > 0 && height > 0)) {
+      throw new Error('Edition code has an invalid size');
+    }
+    size = { width, height };
+  }
+
+  let clusters = null;
+  if (Array.isArray(payload.k)) {
+    clusters = payload.k.map(([x, y, radius, intensity, type, color]) => ({ x, y, radius, intensity, type, color }));
+    if (clusters.length === 0 || clusters.some(cluster => !Object.values(cluster).every(Number.isFinite))) {
+      throw new Error('Edition code has invalid clusters');
+    }
+  }
+
+  const edits = Array.isArray(payload.e) ? payload.e : [];
+  if (edits.some(edit => !Array.isArray(edit) || typeof edit[0] !== 'string' || !Array.isArray(edit[1]) || typeof edit[2] !== 'string')) {
+    throw new Error('Edition code has invalid element edits');
+  }
+  const elementEdits = edits.map(([layer, path, field, value]) => ({ layer, path, field, value }));
+
+  let customTheme = null;
+  if (payload.ct && typeof payload.ct === 'object') {
+    customTheme = JSON.parse(JSON.stringify(defaults.baseTheme || {}));
+    Object.entries(payload.ct).forEach(([path, value]) => {
+      const [slot, key] = path.split('.');
+      if (key === undefined) {
+        customTheme[slot] = value;
+      } else {
+        customTheme[slot] = { ...customTheme[slot], [key]: value };
+      }
+    });
+    customTheme.name = payload.th;
+    delete customTheme.description;
+  }
+
+  return {
+    seed: parseInt(seedPart, 36),
+    clusterCount: payload.c !== undefined ? payload.c : parseInt(countDigit, 36),
+    padding: payload.p !== undefined ? payload.p : defaults.padding,
+    noiseScale: payload.n !== undefined ? payload.n : defaults.noiseScale,
+    layers,
+    layerOrder,
+    layerParams: payload.t || {},
+    layerOpacity: payload.a || {},
+    layerBlendModes: payload.b || {},
+    year: 2000 + parseInt(yy, 10),
+    legacy: version === LEGACY_EDITION_VERSION,
+    theme: payload.th !== undefined ? payload.th : defaults.theme,
+    palette: { hueShift, saturation, brightness },
+    size,
+    clusters,
+    elementEdits,
+    customTheme
+  };
+};
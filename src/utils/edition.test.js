@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+
+import { encodeEdition, decodeEdition, EDITION_VERSION, LEGACY_EDITION_VERSION } from './edition.js';
+
+const defaults = {
+  padding: 160,
+  noiseScale: 0.02,
+  layers: { grid: true, nodes: true, labels: false },
+  layerOrder: ['grid', 'nodes', 'labels'],
+  theme: 'original',
+  baseTheme: {
+    name: 'Original',
+    description: 'Default colors',
+    background: 'rgba(250, 248, 245, 1)',
+    grid: { color: 'rgba(40, 60, 80, 1)', lineWidth: 0.3 },
+    nodes: { fill: 'rgba(30, 80, 120, 0.8)', stroke: 'rgba(30, 80, 120, 1)' }
+  }
+};
+
+const baseState = { seed: 4821, clusterCount: 3, year: 2026 };
+
+describe('encodeEdition', () => {
+  it('writes a short code when everything matches the defaults', () => {
+    const code = encodeEdition({ ...baseState, padding: 160, noiseScale: 0.02, layers: defaults.layers, layerOrder: defaults.layerOrder, theme: 'original' }, defaults);
+    expect(code).toBe(`${EDITION_VERSION}26-${(4821).toString(36).toUpperCase()}3`);
+  });
+
+  it('marks legacy editions with their own version', () => {
+    expect(encodeEdition({ ...baseState, legacy: true }, defaults).startsWith(LEGACY_EDITION_VERSION)).toBe(true);
+  });
+
+  it('rejects seeds that are not non-negative integers', () => {
+    expect(() => encodeEdition({ ...baseState, seed: -1 }, defaults)).toThrow();
+    expect(() => encodeEdition({ ...baseState, seed: 1.5 }, defaults)).toThrow();
+  });
+
+  it('is deterministic', () => {
+    const state = { ...baseState, padding: 120, layerParams: { nodes: { radius: 4 } } };
+    expect(encodeEdition(state, defaults)).toBe(encodeEdition(state, defaults));
+  });
+});
+
+describe('decodeEdition', () => {
+  it('round-trips every setting', () => {
+    const state = {
+      ...baseState,
+      clusterCount: 5,
+      padding: 96,
+      noiseScale: 0.035,
+      layers: { grid: false, nodes: true, labels: true },
+      layerOrder: ['labels', 'grid', 'nodes'],
+      layerParams: { nodes: { radius: 4, fillColor: 'rgba(1, 2, 3, 0.5)' } },
+      layerOpacity: { grid: 0.4 },
+      layerBlendModes: { nodes: 'multiply' },
+      legacy: true,
+      theme: 'blueprint',
+      palette: { hueShift: 30, saturation: -0.2, brightness: 0.1 },
+      size: { width: 1280, height: 720 },
+      clusters: [{ x: 320, y: 256, radius: 120, intensity: 0.74, type: 1, color: 2 }],
+      elementEdits: [{ layer: 'nodes', path: ['nodes', 4], field: 'radius', value: 12 }]
+    };
+
+    const edition = decodeEdition(encodeEdition(state, defaults), defaults);
+
+    expect(edition).toEqual({
+      seed: state.seed,
+      clusterCount: state.clusterCount,
+      padding: state.padding,
+      noiseScale: state.noiseScale,
+      layers: state.layers,
+      layerOrder: state.layerOrder,
+      layerParams: state.layerParams,
+      layerOpacity: state.layerOpacity,
+      layerBlendModes: state.layerBlendModes,
+      year: 2026,
+      legacy: true,
+      theme: 'blueprint',
+      palette: state.palette,
+      size: state.size,
+      clusters: state.clusters,
+      elementEdits: state.elementEdits,
+      customTheme: null
+    });
+  });
+
+  it('fills in the defaults for a code without settings', () => {
+    const edition = decodeEdition(encodeEdition(baseState, defaults), defaults);
+
+    expect(edition).toMatchObject({
+      seed: 4821,
+      clusterCount: 3,
+      padding: 160,
+      noiseScale: 0.02,
+      layers: defaults.layers,
+      layerOrder: defaults.layerOrder,
+      theme: 'original',
+      legacy: false,
+      size: null,
+      clusters: null,
+      elementEdits: [],
+      customTheme: null
+    });
+  });
+
+  it('carries the colors of a custom theme', () => {
+    const customTheme = {
+      ...defaults.baseTheme,
+      name: 'Dusk',
+      background: 'rgba(20, 24, 40, 1)',
+      grid: { ...defaults.baseTheme.grid, color: 'rgba(200, 210, 230, 0.6)' }
+    };
+    const code = encodeEdition({ ...baseState, theme: 'Dusk', customTheme }, defaults);
+    const edition = decodeEdition(code, defaults);
+
+    expect(edition.theme).toBe('Dusk');
+    expect(edition.customTheme).toMatchObject({
+      name: 'Dusk',
+      background: 'rgba(20,24,40,1)',
+      grid: { color: 'rgba(200,210,230,0.6)', lineWidth: 0.3 },
+      nodes: defaults.baseTheme.nodes
+    });
+  });
+
+  it('stores cluster counts too large for the count digit in the payload', () => {
+    const edition = decodeEdition(encodeEdition({ ...baseState, clusterCount: 40 }, defaults), defaults);
+    expect(edition.clusterCount).toBe(40);
+  });
+
+  it('ignores case, spaces and a leading "fig"', () => {
+    const code = encodeEdition({ ...baseState, padding: 120 }, defaults);
+    const edition = decodeEdition(`  fig. ${code.toLowerCase()} `, defaults);
+    expect(edition.seed).toBe(4821);
+    expect(edition.padding).toBe(120);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(() => decodeEdition('not a code', defaults)).toThrow('Not a valid edition code');
+    expect(() => decodeEdition('9926-3R53', defaults)).toThrow('Unsupported edition code version 99');
+    expect(() => decodeEdition('0126-3R53-ZZZZ', defaults)).toThrow('Edition code settings are corrupted');
+  });
+});
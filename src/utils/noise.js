@@ -0,0 +1,216 @@
+/**
+ * Noise utility - Seeded simplex gradient noise with fractal and warped variants
+ * Based on Stefan Gustavson's simplex noise; outputs are roughly in [-1, 1]
+ */
+
+import { SeededRandom } from './random.js';
+
+const GRADIENTS_3D = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Contribution of one simplex corner
+const corner2D = (gi, x, y) => {
+  const falloff = 0.5 - x * x - y * y;
+  if (falloff <= 0) return 0;
+  const g = GRADIENTS_3D[gi];
+  return falloff * falloff * falloff * falloff * (g[0] * x + g[1] * y);
+};
+
+const corner3D = (gi, x, y, z) => {
+  const falloff = 0.6 - x * x - y * y - z * z;
+  if (falloff <= 0) return 0;
+  const g = GRADIENTS_3D[gi];
+  return falloff * falloff * falloff * falloff * (g[0] * x + g[1] * y + g[2] * z);
+};
+
+// Noise types layers can pick from (see BaseLayer.createNoise)
+export const NOISE_TYPES = ['value', 'simplex', 'fbm', 'warp'];
+
+export class SimplexNoise {
+  /**
+   * @param {SeededRandom|number} random - Generator (or seed) used to shuffle the gradient table
+   */
+  constructor(random = 42) {
+    const source = typeof random === 'number' ? new SeededRandom(random) : random;
+
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(source.random() * (i + 1));
+      [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = permutation[i & 255];
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+  }
+
+  /**
+   * 2D simplex noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Noise value in [-1, 1]
+   */
+  noise2D(x, y) {
+    const { perm, permMod12 } = this;
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    // Which simplex (triangle) we're in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const total =
+      corner2D(permMod12[ii + perm[jj]], x0, y0) +
+      corner2D(permMod12[ii + i1 + perm[jj + j1]], x1, y1) +
+      corner2D(permMod12[ii + 1 + perm[jj + 1]], x2, y2);
+
+    return 70 * total;
+  }
+
+  /**
+   * 3D simplex noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Noise value in [-1, 1]
+   */
+  noise3D(x, y, z) {
+    const { perm, permMod12 } = this;
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Which simplex (tetrahedron) we're in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+    const total =
+      corner3D(permMod12[ii + perm[jj + perm[kk]]], x0, y0, z0) +
+      corner3D(permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]], x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3) +
+      corner3D(permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]], x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3) +
+      corner3D(permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]], x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3);
+
+    return 32 * total;
+  }
+
+  /**
+   * Fractal Brownian motion: sums octaves of 2D noise at rising frequency
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Fractal options
+   * @param {number} options.octaves - Number of octaves
+   * @param {number} options.lacunarity - Frequency multiplier per octave
+   * @param {number} options.gain - Amplitude multiplier per octave
+   * @returns {number} Noise value in [-1, 1]
+   */
+  fbm2D(x, y, options = {}) {
+    return this.fractal((fx, fy) => this.noise2D(fx, fy), x, y, 0, options);
+  }
+
+  /**
+   * Fractal Brownian motion over 3D noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Object} options - Fractal options (octaves, lacunarity, gain)
+   * @returns {number} Noise value in [-1, 1]
+   */
+  fbm3D(x, y, z, options = {}) {
+    return this.fractal((fx, fy, fz) => this.noise3D(fx, fy, fz), x, y, z, options);
+  }
+
+  /**
+   * Domain-warped 2D fBm: offsets the lookup by another fBm field for swirling, marbled shapes
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Fractal options plus warp strength
+   * @param {number} options.strength - Warp displacement in noise units
+   * @returns {number} Noise value in [-1, 1]
+   */
+  warp2D(x, y, options = {}) {
+    const { strength = 1.5 } = options;
+    // Offsets decorrelate the two displacement fields
+    const qx = this.fbm2D(x, y, options);
+    const qy = this.fbm2D(x + 5.2, y + 1.3, options);
+    return this.fbm2D(x + strength * qx, y + strength * qy, options);
+  }
+
+  /**
+   * Domain-warped 3D fBm
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Object} options - Fractal options plus warp strength
+   * @param {number} options.strength - Warp displacement in noise units
+   * @returns {number} Noise value in [-1, 1]
+   */
+  warp3D(x, y, z = 0, options = {}) {
+    const { strength = 1.5 } = options;
+    const qx = this.fbm3D(x, y, z, options);
+    const qy = this.fbm3D(x + 5.2, y + 1.3, z, options);
+    return this.fbm3D(x + strength * qx, y + strength * qy, z, options);
+  }
+
+  /**
+   * Sum octaves of a noise sampler, normalized back to [-1, 1]
+   * @param {Function} sample - Noise function (x, y, z)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Object} options - Fractal options (octaves, lacunarity, gain)
+   * @returns {number} Noise value in [-1, 1]
+   */
+  fractal(sample, x, y, z, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let range = 0;
+
+    for (let octave = 0; octave < Math.max(1, Math.round(octaves)); octave++) {
+      total += amplitude * sample(x * frequency, y * frequency, z * frequency);
+      range += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return total / range;
+  }
+}
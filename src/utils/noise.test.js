@@ -0,0 +1,49 @@
+import { SimplexNoise } from './noise.js';
+import { SeededRandom } from './random.js';
+
+const samplePoints = Array.from({ length: 200 }, (_, i) => [i * 0.173 - 17, i * 0.291 - 29, i * 0.057]);
+
+describe('SimplexNoise', () => {
+  it('gives the same field for the same seed', () => {
+    const a = new SimplexNoise(4821);
+    const b = new SimplexNoise(new SeededRandom(4821));
+    samplePoints.forEach(([x, y, z]) => {
+      expect(a.noise2D(x, y)).toBe(b.noise2D(x, y));
+      expect(a.warp3D(x, y, z)).toBe(b.warp3D(x, y, z));
+    });
+  });
+
+  it('gives a different field for another seed', () => {
+    const a = new SimplexNoise(4821);
+    const b = new SimplexNoise(4822);
+    expect(samplePoints.some(([x, y]) => a.noise2D(x, y) !== b.noise2D(x, y))).toBe(true);
+  });
+
+  it('stays in [-1, 1] for every variant', () => {
+    const noise = new SimplexNoise(7);
+    samplePoints.forEach(([x, y, z]) => {
+      [
+        noise.noise2D(x, y),
+        noise.noise3D(x, y, z),
+        noise.fbm2D(x, y, { octaves: 6 }),
+        noise.fbm3D(x, y, z),
+        noise.warp2D(x, y),
+        noise.warp3D(x, y, z)
+      ].forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(-1);
+        expect(value).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+
+  it('is zero at the lattice origin and smooth nearby', () => {
+    const noise = new SimplexNoise(7);
+    expect(noise.noise2D(0, 0)).toBe(0);
+    expect(Math.abs(noise.noise2D(3.1, 2.7) - noise.noise2D(3.1001, 2.7))).toBeLessThan(0.01);
+  });
+
+  it('reduces to plain noise with a single octave', () => {
+    const noise = new SimplexNoise(7);
+    expect(noise.fbm2D(1.3, 2.9, { octaves: 1 })).toBe(noise.noise2D(1.3, 2.9));
+  });
+});
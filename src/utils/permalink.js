@@ -0,0 +1,53 @@
+/**
+ * Permalinks - Scene state carried in the URL hash
+ * Format: #edition=<edition code>[&3d=1&rotation=<x>,<y>]
+ */
+
+/**
+ * Build the URL hash for a scene
+ * @param {Object} scene - Scene state
+ * @param {string} scene.edition - Edition code (seed, parameters, layers and tuned properties)
+ * @param {boolean} scene.is3D - Whether 3D mode is on
+ * @param {Object} scene.rotation - Camera rotation ({ x, y } in radians), only stored in 3D mode
+ * @returns {string} Hash including the leading "#"
+ */
+export const buildPermalinkHash = ({ edition, is3D = false, rotation = null }) => {
+  const parts = [`edition=${encodeURIComponent(edition)}`];
+
+  if (is3D) {
+    parts.push('3d=1');
+    if (rotation) {
+      parts.push(`rotation=${rotation.x.toFixed(3)},${rotation.y.toFixed(3)}`);
+    }
+  }
+
+  return `#${parts.join('&')}`;
+};
+
+/**
+ * Parse a URL hash produced by buildPermalinkHash
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {Object|null} Scene state ({ edition, is3D, rotation }) or null if the hash has no edition
+ */
+export const parsePermalinkHash = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const edition = params.get('edition');
+  if (!edition) {
+    return null;
+  }
+
+  let rotation = null;
+  const rotationParam = params.get('rotation');
+  if (rotationParam) {
+    const [x, y] = rotationParam.split(',').map(Number);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      rotation = { x, y };
+    }
+  }
+
+  return {
+    edition,
+    is3D: params.get('3d') === '1',
+    rotation
+  };
+};
@@ -0,0 +1,37 @@
+import { buildPermalinkHash, parsePermalinkHash } from './permalink.js';
+
+describe('buildPermalinkHash', () => {
+  it('carries only the edition in 2D', () => {
+    expect(buildPermalinkHash({ edition: '0126-3R53', is3D: false, rotation: { x: 0.3, y: 0.2 } })).toBe('#edition=0126-3R53');
+  });
+
+  it('adds 3D mode and the camera rotation', () => {
+    expect(buildPermalinkHash({ edition: '0126-3R53', is3D: true, rotation: { x: 0.3, y: -1.23456 } }))
+      .toBe('#edition=0126-3R53&3d=1&rotation=0.300,-1.235');
+  });
+});
+
+describe('parsePermalinkHash', () => {
+  it('round-trips a scene', () => {
+    const scene = { edition: '0126-3R53-FCH768HT', is3D: true, rotation: { x: 0.25, y: -0.5 } };
+    expect(parsePermalinkHash(buildPermalinkHash(scene))).toEqual(scene);
+  });
+
+  it('round-trips a 2D scene without a rotation', () => {
+    expect(parsePermalinkHash(buildPermalinkHash({ edition: '0026-AB1' }))).toEqual({ edition: '0026-AB1', is3D: false, rotation: null });
+  });
+
+  it('accepts a hash without the leading "#"', () => {
+    expect(parsePermalinkHash('edition=0126-3R53&3d=1').is3D).toBe(true);
+  });
+
+  it('ignores a malformed rotation', () => {
+    expect(parsePermalinkHash('#edition=0126-3R53&3d=1&rotation=up,down').rotation).toBeNull();
+  });
+
+  it('returns null without an edition', () => {
+    expect(parsePermalinkHash('')).toBeNull();
+    expect(parsePermalinkHash('#3d=1')).toBeNull();
+    expect(parsePermalinkHash(undefined)).toBeNull();
+  });
+});
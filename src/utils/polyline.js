@@ -0,0 +1,258 @@
+/**
+ * Polyline utility - Geometry on open and closed point lists for vector output
+ * Simplification, clipping against polygons, hatching and dashing. Points are { x, y };
+ * a set of polygons is treated as one even-odd shape, the way a path with holes fills.
+ */
+
+const EPSILON = 1e-9;
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Length of a polyline
+ * @param {Array} points - Points { x, y }
+ * @returns {number} Sum of the segment lengths
+ */
+export const polylineLength = (points) => {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  return length;
+};
+
+/**
+ * Bounding box of one or more point lists
+ * @param {Array} lists - Arrays of points
+ * @returns {Object} { minX, minY, maxX, maxY }
+ */
+export const boundsOf = (lists) => {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  lists.forEach(points => points.forEach(({ x, y }) => {
+    if (x < bounds.minX) bounds.minX = x;
+    if (y < bounds.minY) bounds.minY = y;
+    if (x > bounds.maxX) bounds.maxX = x;
+    if (y > bounds.maxY) bounds.maxY = y;
+  }));
+  return bounds;
+};
+
+export const boundsOverlap = (a, b) =>
+  a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+
+/**
+ * Drop points that don't change the shape by more than a tolerance (Ramer-Douglas-Peucker),
+ * which merges runs of nearly collinear segments into one
+ * @param {Array} points - Points { x, y }
+ * @param {number} tolerance - Largest allowed deviation
+ * @returns {Array} Simplified points (the ends are always kept)
+ */
+export const simplifyPolyline = (points, tolerance) => {
+  // Repeated points first: they carry no direction
+  const unique = points.filter((point, i) => i === 0 || distance(point, points[i - 1]) > EPSILON);
+  if (unique.length < 3) return unique;
+
+  const keep = new Uint8Array(unique.length);
+  keep[0] = 1;
+  keep[unique.length - 1] = 1;
+  const stack = [[0, unique.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = unique[first];
+    const b = unique[last];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const p = unique[i];
+      // Distance to the chord, or to its start when the chord has no length (a closed loop)
+      const d = length > EPSILON
+        ? Math.abs(dy * (p.x - a.x) - dx * (p.y - a.y)) / length
+        : distance(a, p);
+      if (d > farthestDistance) {
+        farthest = i;
+        farthestDistance = d;
+      }
+    }
+
+    if (farthest >= 0) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return unique.filter((_, i) => keep[i]);
+};
+
+/**
+ * Even-odd point-in-shape test
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array} polygons - Closed rings of points
+ * @returns {boolean} Whether the point is inside
+ */
+export const pointInPolygons = (x, y, polygons) => {
+  let inside = false;
+  polygons.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+};
+
+/**
+ * Parameters along segment p-q where it crosses the edges of a shape
+ */
+const crossings = (p, q, polygons) => {
+  const ts = [];
+  const rx = q.x - p.x;
+  const ry = q.y - p.y;
+  polygons.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[j];
+      const b = ring[i];
+      const sx = b.x - a.x;
+      const sy = b.y - a.y;
+      const denominator = rx * sy - ry * sx;
+      if (Math.abs(denominator) < EPSILON) continue;
+      const t = ((a.x - p.x) * sy - (a.y - p.y) * sx) / denominator;
+      const u = ((a.x - p.x) * ry - (a.y - p.y) * rx) / denominator;
+      if (t > EPSILON && t < 1 - EPSILON && u >= 0 && u <= 1) ts.push(t);
+    }
+  });
+  return ts.sort((a, b) => a - b);
+};
+
+/**
+ * Cut a polyline where it crosses a shape and keep the parts inside (or outside) it
+ * @param {Array} points - Points { x, y }
+ * @param {Array} polygons - Closed rings of points
+ * @param {boolean} keepInside - Keep the parts inside the shape (true) or outside it
+ * @returns {Array} Resulting polylines
+ */
+export const clipPolyline = (points, polygons, keepInside = true) => {
+  const pieces = [];
+  let current = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const p = points[i - 1];
+    const q = points[i];
+    const cuts = [0, ...crossings(p, q, polygons), 1];
+
+    for (let k = 1; k < cuts.length; k++) {
+      const t0 = cuts[k - 1];
+      const t1 = cuts[k];
+      const mid = (t0 + t1) / 2;
+      const inside = pointInPolygons(p.x + (q.x - p.x) * mid, p.y + (q.y - p.y) * mid, polygons);
+
+      if (inside !== keepInside) {
+        current = null;
+        continue;
+      }
+
+      const end = { x: p.x + (q.x - p.x) * t1, y: p.y + (q.y - p.y) * t1 };
+      if (!current) {
+        current = [{ x: p.x + (q.x - p.x) * t0, y: p.y + (q.y - p.y) * t0 }];
+        pieces.push(current);
+      }
+      current.push(end);
+    }
+  }
+
+  return pieces;
+};
+
+/**
+ * Parallel lines filling a shape, on a grid anchored at the origin so neighbouring
+ * shapes hatched at the same spacing line up
+ * @param {Array} polygons - Closed rings of points
+ * @param {number} spacing - Distance between lines
+ * @param {number} angle - Direction of the lines in radians
+ * @returns {Array} Two-point polylines
+ */
+export const hatchPolygons = (polygons, spacing, angle = Math.PI / 4) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Work in a frame where the hatch lines are horizontal
+  const rotated = polygons.map(ring => ring.map(({ x, y }) => ({ x: x * cos + y * sin, y: y * cos - x * sin })));
+  const { minY, maxY } = boundsOf(rotated);
+  const lines = [];
+
+  for (let row = Math.ceil(minY / spacing); row * spacing <= maxY; row++) {
+    const y = row * spacing;
+    const xs = [];
+    rotated.forEach(ring => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j];
+        const b = ring[i];
+        if ((a.y > y) !== (b.y > y)) {
+          xs.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y));
+        }
+      }
+    });
+    xs.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      lines.push([
+        { x: xs[i] * cos - y * sin, y: xs[i] * sin + y * cos },
+        { x: xs[i + 1] * cos - y * sin, y: xs[i + 1] * sin + y * cos }
+      ]);
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Break a polyline into the dashes of a line dash pattern
+ * @param {Array} points - Points { x, y }
+ * @param {Array} dash - Alternating dash and gap lengths, as for setLineDash
+ * @returns {Array} One polyline per dash
+ */
+export const dashPolyline = (points, dash) => {
+  const pattern = dash.length % 2 === 0 ? dash : [...dash, ...dash];
+  if (pattern.length === 0 || pattern.reduce((sum, value) => sum + value, 0) <= 0) return [points];
+
+  const dashes = [];
+  let index = 0;
+  let remaining = pattern[0];
+  let current = [points[0]];
+
+  for (let i = 1; i < points.length; i++) {
+    let from = points[i - 1];
+    const to = points[i];
+    let length = distance(from, to);
+
+    while (length > remaining) {
+      const t = remaining / length;
+      const cut = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+      if (index % 2 === 0) {
+        current.push(cut);
+        dashes.push(current);
+        current = null;
+      } else {
+        current = [cut];
+      }
+      length -= remaining;
+      from = cut;
+      index = (index + 1) % pattern.length;
+      remaining = pattern[index];
+    }
+
+    remaining -= length;
+    if (current) current.push(to);
+  }
+
+  if (current && current.length > 1) dashes.push(current);
+  return dashes;
+};
@@ -1,24 +1,115 @@
 /**
  * Seeded random number generator utility
  * Ensures consistent results for the same seed value
+ *
+ * Uses sfc32 with named substreams (see fork) so each layer draws from its own
+ * sequence. Legacy mode keeps the original LCG and a single shared stream so
+ * editions created before the switch still reproduce.
  */
 
+/**
+ * Hash a string into four 32-bit words (cyrb128) for seeding sfc32
+ * @param {string} key - Seed key
+ * @returns {Array} Four unsigned 32-bit integers
+ */
+const hashSeed = (key) => {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+
+  for (let i = 0; i < key.length; i++) {
+    const k = key.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+};
+
+/**
+ * Advance an sfc32 state in place
+ * @param {Array} state - Four unsigned 32-bit integers
+ * @returns {number} Value in [0, 1)
+ */
+const sfc32 = (state) => {
+  let [a, b, c, d] = state;
+  const t = (((a + b) | 0) + d) | 0;
+  d = (d + 1) | 0;
+  a = b ^ (b >>> 9);
+  b = (c + (c << 3)) | 0;
+  c = (c << 21) | (c >>> 11);
+  c = (c + t) | 0;
+
+  state[0] = a;
+  state[1] = b;
+  state[2] = c;
+  state[3] = d;
+  return (t >>> 0) / 4294967296;
+};
+
+/**
+ * Create a seeded sfc32 state, warmed up past its correlated first outputs
+ * @param {string} key - Seed key
+ * @returns {Array} sfc32 state
+ */
+const createState = (key) => {
+  const state = hashSeed(key);
+  for (let i = 0; i < 12; i++) {
+    sfc32(state);
+  }
+  return state;
+};
+
 export class SeededRandom {
-  constructor(seed = 42) {
-    this.seed = seed;
-    this.originalSeed = seed;
+  /**
+   * @param {number} seed - Master seed
+   * @param {Object} options - Generator options
+   * @param {boolean} options.legacy - Use the original LCG with one shared stream
+   * @param {string} options.stream - Substream name (set by fork)
+   */
+  constructor(seed = 42, { legacy = false, stream = '' } = {}) {
+    this.legacy = legacy;
+    this.stream = stream;
+    this.setSeed(seed);
   }
 
-  setSeed(newSeed) {
+  setSeed(newSeed, legacy = this.legacy) {
     this.seed = newSeed;
     this.originalSeed = newSeed;
+    this.legacy = legacy;
+    this.state = legacy ? null : createState(`${newSeed}:${this.stream}`);
   }
 
   getSeed() {
     return this.originalSeed;
   }
 
+  /**
+   * Derive an independent, named substream from the master seed
+   * The substream doesn't depend on how much of this stream was consumed, so
+   * tuning one layer leaves every other layer's geometry untouched.
+   * In legacy mode all layers share this stream, as they always did.
+   * @param {string} name - Substream name (usually the layer name)
+   * @returns {SeededRandom} Generator for the substream
+   */
+  fork(name) {
+    if (this.legacy) {
+      return this;
+    }
+    const stream = this.stream ? `${this.stream}/${name}` : name;
+    return new SeededRandom(this.originalSeed, { stream });
+  }
+
   // Create a new random generator from the current seed
+  // (lightweight LCG used for per-coordinate noise lookups in both modes)
   createGenerator(offset = 0) {
     let seed = this.originalSeed + offset;
     return () => {
@@ -35,6 +126,9 @@ export class SeededRandom {
 
   // Generate a random value directly
   random() {
+    if (!this.legacy) {
+      return sfc32(this.state);
+    }
     this.seed = (this.seed * 9301 + 49297) % 233280;
     return this.seed / 233280;
   }
@@ -56,6 +150,32 @@ export class SeededRandom {
 
   // Reset to original seed
   reset() {
-    this.seed = this.originalSeed;
+    this.setSeed(this.originalSeed);
+  }
+
+  /**
+   * Plain copy of the generator's position, for continuing the stream elsewhere (a worker)
+   * @returns {Object} Snapshot for fromSnapshot
+   */
+  getSnapshot() {
+    return {
+      seed: this.seed,
+      originalSeed: this.originalSeed,
+      legacy: this.legacy,
+      stream: this.stream,
+      state: this.state ? [...this.state] : null
+    };
+  }
+
+  /**
+   * Recreate a generator where getSnapshot left it
+   * @param {Object} snapshot - Snapshot from getSnapshot
+   * @returns {SeededRandom} Generator that continues the same stream
+   */
+  static fromSnapshot({ seed, originalSeed, legacy, stream, state }) {
+    const random = new SeededRandom(originalSeed, { legacy, stream });
+    random.seed = seed;
+    random.state = state ? [...state] : null;
+    return random;
   }
 }
@@ -0,0 +1,92 @@
+import { SeededRandom } from './random.js';
+
+const draw = (random, count = 8) => Array.from({ length: count }, () => random.random());
+
+describe('SeededRandom', () => {
+  it('repeats the same sequence for a seed', () => {
+    expect(draw(new SeededRandom(4821))).toEqual(draw(new SeededRandom(4821)));
+    expect(draw(new SeededRandom(4821))).not.toEqual(draw(new SeededRandom(4822)));
+  });
+
+  it('stays in [0, 1)', () => {
+    draw(new SeededRandom(7), 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('starts over on reset', () => {
+    const random = new SeededRandom(99);
+    const first = draw(random);
+    random.reset();
+    expect(draw(random)).toEqual(first);
+  });
+
+  it('keeps the original LCG sequence in legacy mode', () => {
+    const random = new SeededRandom(42, { legacy: true });
+    let seed = 42;
+    for (let i = 0; i < 8; i++) {
+      seed = (seed * 9301 + 49297) % 233280;
+      expect(random.random()).toBe(seed / 233280);
+    }
+  });
+
+  describe('fork', () => {
+    it('gives a stream that does not depend on how much of the parent was used', () => {
+      const fresh = new SeededRandom(4821);
+      const used = new SeededRandom(4821);
+      draw(used, 50);
+      expect(draw(used.fork('nodes'))).toEqual(draw(fresh.fork('nodes')));
+    });
+
+    it('gives different streams for different names and seeds', () => {
+      const random = new SeededRandom(4821);
+      expect(draw(random.fork('nodes'))).not.toEqual(draw(random.fork('organic')));
+      expect(draw(random.fork('nodes'))).not.toEqual(draw(new SeededRandom(4822).fork('nodes')));
+    });
+
+    it('nests names', () => {
+      const random = new SeededRandom(4821);
+      expect(random.fork('a').fork('b').stream).toBe('a/b');
+      expect(draw(random.fork('a').fork('b'))).toEqual(draw(new SeededRandom(4821).fork('a').fork('b')));
+    });
+
+    it('shares the one stream in legacy mode', () => {
+      const random = new SeededRandom(4821, { legacy: true });
+      expect(random.fork('nodes')).toBe(random);
+    });
+  });
+
+  describe('snapshots', () => {
+    it.each([false, true])('continue the stream where it was taken (legacy: %s)', (legacy) => {
+      const random = new SeededRandom(4821, { legacy });
+      draw(random, 13);
+      const copy = SeededRandom.fromSnapshot(random.getSnapshot());
+
+      expect(copy.getSeed()).toBe(4821);
+      expect(copy.legacy).toBe(legacy);
+      expect(draw(copy)).toEqual(draw(random));
+    });
+
+    it('survive serialization, as when posted to a worker', () => {
+      const random = new SeededRandom(7);
+      draw(random, 3);
+      const snapshot = JSON.parse(JSON.stringify(random.getSnapshot()));
+      expect(draw(SeededRandom.fromSnapshot(snapshot))).toEqual(draw(random));
+    });
+
+    it('are not changed by drawing from the restored generator', () => {
+      const random = new SeededRandom(7);
+      const snapshot = random.getSnapshot();
+      draw(SeededRandom.fromSnapshot(snapshot));
+      expect(draw(SeededRandom.fromSnapshot(snapshot))).toEqual(draw(random));
+    });
+
+    it('keep fork independent of the position', () => {
+      const random = new SeededRandom(7);
+      draw(random, 20);
+      const copy = SeededRandom.fromSnapshot(random.getSnapshot());
+      expect(draw(copy.fork('cores'))).toEqual(draw(new SeededRandom(7).fork('cores')));
+    });
+  });
+});
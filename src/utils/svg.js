@@ -0,0 +1,31 @@
+/**
+ * SVG utility - Formatting shared by the SVG writers (the SVG surface and the plotter export)
+ * Numbers are written to two decimals; attribute values and text content are escaped
+ */
+
+/**
+ * Round a coordinate or length for SVG output
+ * @param {number} value - Number
+ * @returns {number} Number rounded to two decimals
+ */
+export const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Escape a value for a double-quoted attribute
+ * @param {*} value - Attribute value
+ * @returns {string} Escaped value
+ */
+export const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;');
+
+/**
+ * Escape text content of an element
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
@@ -0,0 +1,50 @@
+/**
+ * Toponyms - Seeded generator of plausible, made-up place and river names
+ * Names are built from syllables plus settlement endings, so the same seed
+ * always names the same map the same way
+ */
+
+const ONSETS = ['b', 'br', 'c', 'ch', 'd', 'dr', 'f', 'g', 'gr', 'h', 'k', 'l', 'm', 'n', 'p', 'r', 's', 'sk', 'st', 't', 'th', 'v', 'w'];
+const VOWELS = ['a', 'a', 'e', 'e', 'i', 'o', 'o', 'u', 'ai', 'ea', 'ou'];
+const CODAS = ['', '', '', 'n', 'r', 'l', 'm', 's', 'th', 'nd', 'rk', 'ld', 'st'];
+const PLACE_ENDINGS = ['ford', 'ham', 'wick', 'by', 'mere', 'ton', 'stead', 'holm', 'dale', 'bury', 'field', 'haven', 'gate', 'moor'];
+const RIVER_ENDINGS = ['a', 'e', 'el', 'en', 'wy', 'ent', 'ock', 'er'];
+
+const MAX_ATTEMPTS = 20;
+
+/**
+ * Create a name generator drawing from a seeded random stream
+ * @param {SeededRandom} random - Random number generator
+ * @returns {Object} Generator with place() and river() methods; names never repeat
+ */
+export const createToponymGenerator = (random) => {
+  const used = new Set();
+  const pick = (list) => list[Math.floor(random.random() * list.length)];
+  const syllable = () => pick(ONSETS) + pick(VOWELS) + pick(CODAS);
+  const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+  const unique = (build) => {
+    let name = build();
+    for (let i = 0; i < MAX_ATTEMPTS && used.has(name); i++) {
+      name = build();
+    }
+    used.add(name);
+    return name;
+  };
+
+  return {
+    /**
+     * Settlement name, e.g. "Brenford" or "Skaumere"
+     * @returns {string} Place name
+     */
+    place: () => unique(() => capitalize(
+      random.random() < 0.7 ? syllable() + pick(PLACE_ENDINGS) : syllable() + syllable()
+    )),
+
+    /**
+     * River name, e.g. "Tharwy" or "Dolent"
+     * @returns {string} River name
+     */
+    river: () => unique(() => capitalize(pick(ONSETS) + pick(VOWELS) + pick(ONSETS) + pick(RIVER_ENDINGS)))
+  };
+};
@@ -83,6 +83,47 @@ export class Transform3D {
     return { x: screenX, y: screenY, scale };
   }
 
+  /**
+   * Find the point of a plane that transform() puts at a screen position: the inverse of
+   * transform() for points at a known depth
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @param {number} z - Z coordinate (depth) of the plane
+   * @param {number} time - Time for animation
+   * @param {boolean} is3D - Whether the 3D transformation applies
+   * @returns {Object|null} { x, y } on the plane, or null if the plane is seen edge-on there
+   */
+  untransform(screenX, screenY, z = 0, time = 0, is3D = false) {
+    if (!is3D) {
+      return { x: screenX, y: screenY };
+    }
+
+    const cosX = Math.cos(this.rotationX);
+    const sinX = Math.sin(this.rotationX);
+    const cosY = Math.cos(this.rotationY);
+    const sinY = Math.sin(this.rotationY);
+    const p = this.perspective;
+    const u = screenX - this.centerX;
+    const v = screenY - this.centerY;
+
+    // transform() is linear in the centred plane coordinates once the perspective divide
+    // is multiplied out, leaving two equations in px and py
+    const a11 = p * cosY + u * sinY;
+    const a12 = sinX * (p * sinY - u * cosY);
+    const b1 = u * p - z * cosX * (p * sinY - u * cosY);
+    const a21 = -v * sinY;
+    const a22 = v * cosY * sinX - p * cosX;
+    const b2 = -v * p - p * z * sinX - v * z * cosX * cosY;
+
+    const determinant = a11 * a22 - a12 * a21;
+    if (Math.abs(determinant) < 1e-9) return null;
+
+    return {
+      x: this.centerX + (b1 * a22 - a12 * b2) / determinant,
+      y: this.centerY + (a11 * b2 - a21 * b1) / determinant
+    };
+  }
+
   /**
    * Transform multiple points at once
    * @param {Array} points - Array of {x, y, z} points
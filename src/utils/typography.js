@@ -0,0 +1,56 @@
+/**
+ * Typography - Shared type settings and text metrics for map lettering
+ * Labels follow the edition ID: Instrument Sans, uppercase, widely tracked
+ */
+
+export const LABEL_FONT_FAMILY = "'Instrument Sans', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+export const SERIF_FONT_FAMILY = "'Instrument Serif', Georgia, 'Times New Roman', serif"; // The italic "fig"
+
+// Average advance of a glyph as a fraction of the font size
+const UPPERCASE_ADVANCE = 0.66;
+const LOWERCASE_ADVANCE = 0.52;
+const NARROW_ADVANCE = 0.3;
+
+/**
+ * Build a canvas font shorthand
+ * @param {number} size - Font size in pixels
+ * @param {Object} options - Font options
+ * @param {number} options.weight - Font weight
+ * @param {boolean} options.italic - Whether to use the italic style
+ * @param {string} options.family - Font family list
+ * @returns {string} CSS font shorthand
+ */
+export const fontShorthand = (size, { weight = 400, italic = false, family = LABEL_FONT_FAMILY } = {}) =>
+  `${italic ? 'italic ' : ''}${weight} ${Math.round(size * 100) / 100}px ${family}`;
+
+/**
+ * Read the pixel size from a font shorthand
+ * @param {string} font - CSS font shorthand
+ * @returns {number} Font size in pixels (10 if none is given)
+ */
+export const parseFontSize = (font) => {
+  const match = String(font || '').match(/([\d.]+)px/);
+  return match ? parseFloat(match[1]) : 10;
+};
+
+/**
+ * Approximate the width of a line of text without a rendering context
+ * Good enough for placement; drawing uses the backend's own metrics where it has them
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} letterSpacing - Extra space after each glyph in pixels
+ * @returns {number} Width in pixels
+ */
+export const estimateTextWidth = (text, fontSize, letterSpacing = 0) => {
+  let width = 0;
+  for (const char of String(text)) {
+    if (/[\s.,:;'!|il1]/.test(char)) {
+      width += NARROW_ADVANCE;
+    } else if (char === char.toUpperCase() && char !== char.toLowerCase()) {
+      width += UPPERCASE_ADVANCE;
+    } else {
+      width += LOWERCASE_ADVANCE;
+    }
+  }
+  return width * fontSize + letterSpacing * String(text).length;
+};